@@ -1,11 +1,32 @@
 const el = (id) => document.getElementById(id);
 
+const THREAD_PAGE_SIZE = 50;
+
 const state = {
+  queries: [], // the searches listed on the left (first page of /api/queries)
   activeQueryId: null,
   threads: [],
-  activeThreadId: null
+  threadsCursor: null,
+  threadsTotal: 0,
+  activeThreadId: null,
+  activeSummary: null,
+  listMode: "threads", // or "search": local full-text search over all stored mail
+  hits: [],
+  hitsCursor: null,
+  hitsTotal: 0,
+  user: null, // the signed-in user ({ id, username, name, role, preferences })
+  threadDetail: null, // the open thread as /api/threads/:id returned it
+  messageOrder: "replies", // or "time"
+  whatsNew: false, // thread list shows only threads the active query's latest run added messages to
+  openQuotes: new Set() // ids of messages whose quoted text is shown
 };
 
+const ROLE_RANK = { viewer: 0, analyst: 1, admin: 2 };
+const hasRole = (role) => Boolean(state.user) && ROLE_RANK[state.user.role] >= ROLE_RANK[role];
+// mirrors canManageQuery / canManageQueryOf in server/auth.js
+const canManageQuery = (q) => hasRole("admin") || (hasRole("analyst") && q.source !== "import" && (!q.ownerId || q.ownerId === state.user.id));
+const canManageThread = (t) => canManageQuery(state.queries.find((q) => q.id === t.queryId) || {});
+
 async function api(path, opts = {}) {
   const res = await fetch(path, {
     headers: { "Content-Type": "application/json" },
@@ -14,6 +35,7 @@ async function api(path, opts = {}) {
   const text = await res.text();
   let json = null;
   try { json = JSON.parse(text); } catch { json = { ok: false, raw: text }; }
+  if (res.status === 401 && state.user && !path.startsWith("/api/auth/")) showLogin(); // session expired
   if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
   return json;
 }
@@ -26,6 +48,13 @@ function fmt(dtIso) {
   } catch { return dtIso; }
 }
 
+function fmtBytes(bytes) {
+  if (bytes === null || bytes === undefined) return "";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
 function fmtDuration(seconds) {
   if (seconds === null || seconds === undefined) return "—";
   const s = Number(seconds);
@@ -67,48 +96,174 @@ function renderQueries(queries) {
         <span class="badge ${status}">${status}</span>
       </div>
       <div class="meta">
-        ${q.dateFrom ? `From ${escapeHtml(q.dateFrom)} ` : ""}${q.dateTo ? `to ${escapeHtml(q.dateTo)} ` : ""}
+        ${q.ownerName ? `${escapeHtml(q.ownerName)} • ` : ""}${q.provider && q.provider !== "zapier" ? `${escapeHtml(q.provider)} • ` : ""}${q.dateFrom ? `From ${escapeHtml(q.dateFrom)} ` : ""}${q.dateTo ? `to ${escapeHtml(q.dateTo)} ` : ""}
         • created ${fmt(q.createdAt)}
         ${q.createdMessages ? ` • new messages: ${q.createdMessages}` : ""}
       </div>
-      ${q.error ? `<div class="meta" style="color: var(--bad)">Error: ${escapeHtml(q.error)}</div>` : ""}
+      ${q.source === "import" ? "" : `<div class="meta">${queryRunLine(q)}</div>`}
+      ${q.schedule ? `<div class="meta">${scheduleLine(q.schedule)}</div>` : ""}
+      ${q.schedule?.lastError ? `<div class="meta" style="color: var(--warn)">${escapeHtml(q.schedule.lastError)}</div>` : ""}
+      ${q.error ? `<div class="meta" style="color: var(--bad)">${status === "retrying" ? "Last error" : "Error"}: ${escapeHtml(q.error)}</div>` : ""}
+      <div class="actions">
+        ${q.source === "import" || !canManageQuery(q) ? "" : ACTIVE_QUERY_STATUSES.includes(status)
+          ? `<button class="btn small" data-action="cancel">Cancel</button>`
+          : `<button class="btn small" data-action="rerun">Rerun</button>`}
+        ${q.source === "import" || !canManageQuery(q) ? "" : `<button class="btn small" data-act="schedule">${q.schedule ? "Schedule…" : "Repeat…"}</button>`}
+        ${q.runs > 1 ? `<button class="btn small" data-act="whatsNew" title="Threads the latest run added messages to">What's new</button>` : ""}
+        <a class="btn small" href="${exportUrl("threads", { queryId: q.id })}" title="Threads with response metrics">Threads CSV</a>
+        <a class="btn small" href="${exportUrl("messages", { queryId: q.id })}" title="Messages with who replied and how fast">Messages CSV</a>
+        <a class="btn small" href="${exportUrl("threads", { queryId: q.id, format: "json" })}">JSON</a>
+      </div>
     `;
-    div.addEventListener("click", () => {
-      state.activeQueryId = q.id;
-      loadThreads();
+    for (const a of div.querySelectorAll(".actions a")) a.addEventListener("click", (ev) => ev.stopPropagation());
+    div.querySelector("[data-act=schedule]")?.addEventListener("click", (ev) => {
+      ev.stopPropagation();
+      editSchedule(q);
     });
+    div.querySelector("[data-act=whatsNew]")?.addEventListener("click", (ev) => {
+      ev.stopPropagation();
+      showQueryThreads(q.id, true);
+    });
+    for (const btn of div.querySelectorAll("button[data-action]")) {
+      btn.addEventListener("click", (ev) => {
+        ev.stopPropagation();
+        queryAction(q.id, btn.dataset.action, btn);
+      });
+    }
+    div.addEventListener("click", () => showQueryThreads(q.id, false));
     box.appendChild(div);
   }
 }
 
+// Lists the threads of a query; `whatsNew` narrows them to those its latest run added messages to
+function showQueryThreads(queryId, whatsNew) {
+  state.activeQueryId = queryId;
+  state.whatsNew = whatsNew;
+  state.threads = [];
+  loadThreads().catch((err) => alert(err.message || String(err)));
+}
+
+// "⏱ 0 7 * * 1-5 (Asia/Qatar) · next …" for a saved search
+function scheduleLine(schedule) {
+  const when = schedule.enabled && schedule.nextRunAt ? `next ${fmt(schedule.nextRunAt)}` : "paused";
+  return `⏱ ${escapeHtml(schedule.cron)} (${escapeHtml(schedule.timezone)}) · ${when}${schedule.lastRunAt ? ` · last ${fmt(schedule.lastRunAt)}` : ""}`;
+}
+
+// Sets, changes or (empty input) removes the schedule of a search
+async function editSchedule(q) {
+  const cron = prompt("Run this search on a schedule (cron: minute hour day month weekday, e.g. \"0 7 * * 1-5\"). Leave empty to stop repeating.", q.schedule?.cron || "0 7 * * 1-5");
+  if (cron === null) return;
+  try {
+    if (cron.trim()) {
+      await api(`/api/queries/${encodeURIComponent(q.id)}/schedule`, { method: "PUT", body: JSON.stringify({ cron: cron.trim(), timezone: q.schedule?.timezone }) });
+    } else if (q.schedule) {
+      await api(`/api/queries/${encodeURIComponent(q.id)}/schedule`, { method: "DELETE" });
+    }
+  } catch (err) {
+    alert(err.message || String(err));
+  }
+  await loadQueries();
+}
+
+// Download link for GET /api/export/threads|messages (CSV unless params.format says otherwise)
+function exportUrl(kind, params = {}) {
+  return `/api/export/${kind}?${new URLSearchParams({ format: "csv", ...params })}`;
+}
+
+const ACTIVE_QUERY_STATUSES = ["queued", "running", "retrying", "pending", "partial"];
+
+// "attempt 2 of 3 · run 2 · took 14s" (or "running for 3 min" while active)
+function queryRunLine(q) {
+  const parts = [];
+  const attempts = q.runAttempts ?? q.attemptCount;
+  if (attempts) parts.push(`attempt ${attempts}${q.maxAttempts ? ` of ${q.maxAttempts}` : ""}`);
+  if ((q.runs || 0) > 1) parts.push(`run ${q.runs}`);
+  const batches = q.batches;
+  if (batches && (batches.total > 1 || batches.done.length > 1 || (batches.total === null && batches.done.length))) {
+    parts.push(`batches ${batches.done.length}/${batches.total ?? "?"}`);
+  }
+  if (q.missingBatches?.length) parts.push(`missing batch ${q.missingBatches.join(", ")}`);
+  if (q.durationMs != null) parts.push(`took ${fmtDuration(Math.round(q.durationMs / 1000))}`);
+  else if (q.startedAt && ACTIVE_QUERY_STATUSES.includes(q.status)) {
+    parts.push(`${q.status} for ${fmtDuration(Math.round((Date.now() - new Date(q.startedAt)) / 1000))}`);
+  }
+  if (q.status === "retrying" && q.nextAttemptAt) parts.push(`next try ${fmt(q.nextAttemptAt)}`);
+  const title = (q.attempts || [])
+    .map((a) => `#${a.n} ${a.outcome || "in progress"}${a.durationMs != null ? ` (${fmtDuration(Math.round(a.durationMs / 1000))})` : ""}${a.error ? `: ${a.error}` : ""}`)
+    .join("\n");
+  return `<span title="${escapeHtml(title)}">${parts.map(escapeHtml).join(" • ") || "not started"}</span>`;
+}
+
+async function queryAction(queryId, action, btn) {
+  btn.disabled = true;
+  try {
+    await api(`/api/queries/${encodeURIComponent(queryId)}/${action}`, { method: "POST" });
+  } catch (err) {
+    alert(err.message || String(err));
+  }
+  await loadQueries();
+}
+
+// A participant as the directory describes it (GET /api/directory/lookup shape)
+function personLabel(p) {
+  if (p.kind === "ignored") return `${p.address} (automated)`;
+  if (p.kind === "staff") return p.name ? `${p.name}${p.shared ? " (shared)" : ""}` : p.address;
+  return p.org ? `${p.address} · ${p.org.name}` : p.address;
+}
+
 function renderThreads(threads) {
+  if (state.listMode === "search") return renderHits();
   const box = el("threads");
+  const scrollTop = box.scrollTop; // re-rendered in place by live updates
   box.innerHTML = "";
+  if (state.whatsNew) {
+    box.innerHTML = `<div class="hint" style="padding:8px 12px">New in run ${state.threadsRun ?? ""} · <a href="#" id="allThreadsLink">show all threads</a></div>`;
+    el("allThreadsLink").addEventListener("click", (ev) => {
+      ev.preventDefault();
+      showQueryThreads(state.activeQueryId, false);
+    });
+  }
   if (!threads.length) {
-    box.innerHTML = `<div class="hint" style="padding:12px">No threads yet. Run a search.</div>`;
+    box.insertAdjacentHTML("beforeend", `<div class="hint" style="padding:12px">${state.whatsNew ? "Nothing new in the latest run." : "No threads yet. Run a search."}</div>`);
     return;
   }
 
-  const filter = (el("threadFilter").value || "").trim().toLowerCase();
-
   for (const t of threads) {
     const subject = t.subject || "(no subject)";
-    const participants = (t.participants || []).slice(0, 3).join(", ");
-    const matches = !filter || subject.toLowerCase().includes(filter) || participants.toLowerCase().includes(filter);
-    if (!matches) continue;
+    const people = t.people || (t.participants || []).map((address) => ({ address }));
+    const participants = people.slice(0, 3).map((p) => (p.kind ? personLabel(p) : p.address)).join(", ");
 
     const div = document.createElement("div");
     div.className = "thread" + (state.activeThreadId === t.id ? " active" : "");
     div.innerHTML = `
-      <div class="title">${escapeHtml(subject)}</div>
+      <div class="top">
+        <div class="title">${escapeHtml(subject)}</div>
+        ${slaBadge(t.sla)}
+      </div>
       <div class="subline">
-        <span>${escapeHtml(participants)}${(t.participants||[]).length>3 ? "…" : ""}</span>
+        <span>${escapeHtml(participants)}${people.length>3 ? "…" : ""}${t.newMessages ? ` <span class="badge">+${t.newMessages} new</span>` : ""}</span>
         <span>${fmt(t.lastAt)}</span>
       </div>
     `;
     div.addEventListener("click", () => selectThread(t.id));
     box.appendChild(div);
   }
+
+  if (state.threadsCursor) {
+    const more = document.createElement("button");
+    more.className = "btn";
+    more.textContent = `Load more (${threads.length} of ${state.threadsTotal})`;
+    more.addEventListener("click", () => loadMoreThreads());
+    box.appendChild(more);
+  }
+  box.scrollTop = scrollTop;
+}
+
+function slaBadge(sla) {
+  if (!sla) return "";
+  const detail = `${sla.policy}: ${sla.kind} ${fmtDuration(sla.elapsedSeconds)} of ${fmtDuration(sla.targetSeconds)} (${sla.clock} time)`
+    + (sla.open && sla.dueAt ? `, due ${fmt(sla.dueAt)}` : "");
+  return `<span class="badge ${escapeHtml(sla.status)}" title="${escapeHtml(detail)}">${escapeHtml(sla.status)}</span>`;
 }
 
 function escapeHtml(str) {
@@ -122,48 +277,182 @@ function escapeHtml(str) {
 
 async function loadQueries() {
   const data = await api("/api/queries");
-  renderQueries(data.queries || []);
+  state.queries = data.queries || [];
+  renderQueries(state.queries);
   // auto-select the latest if none selected
   if (!state.activeQueryId && data.queries?.[0]?.id) {
     state.activeQueryId = data.queries[0].id;
   }
 }
 
+function threadsUrl(limit, cursor, ids) {
+  const params = new URLSearchParams({ queryId: state.activeQueryId, limit: String(limit) });
+  if (ids) params.set("ids", ids.join(","));
+  const filter = (el("threadFilter").value || "").trim();
+  if (filter) params.set("q", filter);
+  const sla = el("threadSla").value;
+  if (sla) params.set("sla", sla);
+  if (state.whatsNew) params.set("run", "latest");
+  if (cursor) params.set("cursor", cursor);
+  return `/api/threads?${params}`;
+}
+
+// Reloads the first page; keeps as many rows as are already shown (capped by the API at 200).
 async function loadThreads() {
-  const queryId = state.activeQueryId;
-  if (!queryId) return;
-  const data = await api(`/api/threads?queryId=${encodeURIComponent(queryId)}`);
+  if (state.listMode === "search") return loadSearch();
+  if (!state.activeQueryId) return;
+  const limit = Math.max(THREAD_PAGE_SIZE, state.threads.length);
+  const data = await api(threadsUrl(limit));
   state.threads = data.threads || [];
+  state.threadsRun = data.run || null;
+  state.threadsCursor = data.nextCursor || null;
+  state.threadsTotal = data.total || 0;
   renderThreads(state.threads);
 }
 
+async function loadMoreThreads() {
+  if (!state.activeQueryId || !state.threadsCursor) return;
+  const data = await api(threadsUrl(THREAD_PAGE_SIZE, state.threadsCursor));
+  state.threads = state.threads.concat(data.threads || []);
+  state.threadsCursor = data.nextCursor || null;
+  state.threadsTotal = data.total || 0;
+  renderThreads(state.threads);
+}
+
+// -------------------- Local search --------------------
+function searchUrl(limit, cursor) {
+  const params = new URLSearchParams({ q: (el("threadFilter").value || "").trim(), limit: String(limit) });
+  if (cursor) params.set("cursor", cursor);
+  return `/api/local-search?${params}`;
+}
+
+async function loadSearch() {
+  const q = (el("threadFilter").value || "").trim();
+  if (!q) {
+    state.hits = [];
+    state.hitsCursor = null;
+    state.hitsTotal = 0;
+    renderHits();
+    return;
+  }
+  const limit = Math.max(THREAD_PAGE_SIZE, state.hits.length);
+  try {
+    const data = await api(searchUrl(limit));
+    state.hits = data.emails || [];
+    state.hitsCursor = data.nextCursor || null;
+    state.hitsTotal = data.total || 0;
+    renderHits();
+  } catch (err) {
+    renderHits(err.message || String(err));
+  }
+}
+
+async function loadMoreHits() {
+  if (!state.hitsCursor) return;
+  const data = await api(searchUrl(THREAD_PAGE_SIZE, state.hitsCursor));
+  state.hits = state.hits.concat(data.emails || []);
+  state.hitsCursor = data.nextCursor || null;
+  state.hitsTotal = data.total || 0;
+  renderHits();
+}
+
+function renderHits(error) {
+  const box = el("threads");
+  box.innerHTML = "";
+  if (error) {
+    box.innerHTML = `<div class="hint" style="padding:12px">${escapeHtml(error)}</div>`;
+    return;
+  }
+  if (!state.hits.length) {
+    const q = (el("threadFilter").value || "").trim();
+    box.innerHTML = `<div class="hint" style="padding:12px">${q
+      ? "No stored emails match."
+      : 'Search all stored mail, e.g. <code>"price list" from:siemens after:2025-01-01 -invoice</code>. Operators: from: to: domain: subject: after: before: direction:client|staff'}</div>`;
+    return;
+  }
+
+  for (const m of state.hits) {
+    const div = document.createElement("div");
+    div.className = "thread" + (state.activeThreadId === m.threadId ? " active" : "");
+    div.innerHTML = `
+      <div class="top">
+        <div class="title">${escapeHtml(m.subject || "(no subject)")}</div>
+        <span class="badge">${escapeHtml(m.direction || "")}</span>
+      </div>
+      <div class="subline">
+        <span>${escapeHtml(m.from || "")}</span>
+        <span>${fmt(m.sentAt)}</span>
+      </div>
+      ${m.snippet ? `<div class="hint">${escapeHtml(m.snippet.slice(0, 160))}</div>` : ""}
+    `;
+    div.addEventListener("click", () => selectThread(m.threadId));
+    box.appendChild(div);
+  }
+
+  if (state.hitsCursor) {
+    const more = document.createElement("button");
+    more.className = "btn";
+    more.textContent = `Load more (${state.hits.length} of ${state.hitsTotal})`;
+    more.addEventListener("click", () => loadMoreHits().catch((err) => alert(err.message || String(err))));
+    box.appendChild(more);
+  }
+}
+
+function setListMode(mode) {
+  state.listMode = mode;
+  const search = mode === "search";
+  el("threadFilter").placeholder = search ? 'Search stored mail… e.g. from:bob "price list"' : "Filter threads…";
+  el("threadSla").hidden = search;
+  state.hits = [];
+  state.hitsCursor = null;
+  loadThreads().catch((err) => alert(err.message || String(err)));
+}
+
 async function selectThread(threadId) {
   state.activeThreadId = threadId;
   renderThreads(state.threads);
   el("summarizeBtn").disabled = false;
+  el("snoozeBtn").disabled = false;
+  el("exportThreadCsv").href = exportUrl("messages", { threadId });
+  el("exportThreadJson").href = exportUrl("messages", { threadId, format: "json" });
+  el("exportThreadCsv").hidden = el("exportThreadJson").hidden = false;
 
   const data = await api(`/api/threads/${encodeURIComponent(threadId)}`);
   renderThreadDetail(data);
 }
 
-function renderThreadDetail({ thread, emails, metrics, summary }) {
+function renderThreadDetail(detail) {
+  const { thread, metrics, summary } = detail;
+  const cards = el("threadCards");
+  const scrollTop = state.threadDetail?.thread.id === thread.id ? cards.scrollTop : 0; // same thread: a refresh
+  state.threadDetail = detail;
+  el("mergeBtn").disabled = !canManageThread(thread);
   el("threadMeta").innerHTML = `
     <div><b>Subject:</b> ${escapeHtml(thread.subject || "(no subject)")}</div>
-    <div><b>Participants:</b> ${escapeHtml((thread.participants || []).join(", "))}</div>
+    <div><b>Participants:</b> ${escapeHtml((thread.people || []).map(personLabel).join(", "))}</div>
     <div><b>Window:</b> ${fmt(thread.firstAt)} → ${fmt(thread.lastAt)}</div>
+    ${thread.sla ? `<div><b>SLA:</b> ${slaBadge(thread.sla)} ${escapeHtml(thread.sla.policy)} · ${escapeHtml(thread.sla.kind)}
+      ${fmtDuration(thread.sla.elapsedSeconds)} of ${fmtDuration(thread.sla.targetSeconds)} ${escapeHtml(thread.sla.clock)} time
+      ${thread.sla.open && thread.sla.dueAt ? ` · due ${fmt(thread.sla.dueAt)}` : ""}</div>` : ""}
+    ${isSnoozed(thread) ? `<div><b>Alerts:</b> snoozed until ${fmt(thread.alertsSnoozedUntil)}</div>` : ""}
   `;
 
-  el("summaryBox").textContent = summary?.summary || "(No summary yet. Click Summarize.)";
+  renderSummary(summary);
 
   // metrics
-  const avg = metrics?.averageSeconds ?? null;
   const per = metrics?.perClient ?? [];
-  let html = `
-    <div class="rowm"><span>Average response</span><span>${avg === null ? "—" : fmtDuration(avg)}</span></div>
-    <div class="rowm"><span>Client messages</span><span>${per.length}</span></div>
-  `;
-  const pending = per.filter(x => x.responseSeconds === null).length;
-  html += `<div class="rowm"><span>No reply yet</span><span>${pending}</span></div>`;
+  const row = (label, value) => `<div class="rowm"><span>${label}</span><span>${value}</span></div>`;
+  const both = (raw, biz) => `${fmtDuration(raw)} <span class="hint">· ${fmtDuration(biz)} business</span>`;
+  let html = [
+    row("Average response", both(metrics?.averageSeconds, metrics?.averageBusinessSeconds)),
+    row("Median", both(metrics?.medianSeconds, metrics?.medianBusinessSeconds)),
+    row("90th percentile", both(metrics?.p90Seconds, metrics?.p90BusinessSeconds)),
+    row("Slowest", both(metrics?.maxSeconds, metrics?.maxBusinessSeconds)),
+    row("Client messages", per.length),
+    row("No reply yet", metrics?.unansweredCount
+      ? `${metrics.unansweredCount} (oldest waiting ${both(metrics.oldestUnansweredSeconds, metrics.oldestUnansweredBusinessSeconds)})`
+      : "0")
+  ].join("");
 
   // show a few worst response times
   const responded = per.filter(x => typeof x.responseSeconds === "number")
@@ -173,38 +462,211 @@ function renderThreadDetail({ thread, emails, metrics, summary }) {
   if (responded.length) {
     html += `<div style="margin-top:10px; font-weight:700">Slowest replies</div>`;
     for (const r of responded) {
-      html += `<div class="rowm"><span>${escapeHtml(r.clientMessageId)}</span><span>${fmtDuration(r.responseSeconds)}</span></div>`;
+      html += `<div class="rowm">
+        <span>${escapeHtml(r.clientFrom)} · ${fmt(r.clientSentAt)}<br><span class="hint">answered by ${escapeHtml(r.staffReplyFrom)} · ${escapeHtml(r.calendar)} hours</span></span>
+        <span>${both(r.responseSeconds, r.responseBusinessSeconds)}</span>
+      </div>`;
     }
   }
 
   el("metricsBox").innerHTML = html;
+  renderMessages(detail);
+  cards.scrollTop = scrollTop;
+}
+
+// Reply order: depth-first through the reply tree (replies under what they answer); time order: as sent.
+function orderedMessages(emails, tree) {
+  if (state.messageOrder === "time" || !tree) return emails.map((m) => ({ m, depth: 0 }));
+  const byId = new Map(emails.map((m) => [m.id, m]));
+  const out = [];
+  const walk = (nodes, depth) => {
+    for (const node of nodes) {
+      out.push({ m: byId.get(node.id), depth, replies: node.children.length });
+      walk(node.children, depth + 1);
+    }
+  };
+  walk(tree, 0);
+  return out;
+}
+
+// Body HTML comes sanitized from the server (server/bodies.js); signature and quoted text stay folded away
+function messageBody(m) {
+  const b = m.body;
+  if (!b) return m.snippet ? `<div class="snippet">${escapeHtml(m.snippet)}</div>` : "";
+  const folded = b.signature + b.quoted;
+  const open = state.openQuotes.has(m.id);
+  return `
+    <div class="mailBody">${b.main || `<div class="hint">(no new text)</div>`}</div>
+    ${b.remoteImages ? `<div class="hint">${b.remoteImages} remote image${b.remoteImages > 1 ? "s" : ""} not loaded</div>` : ""}
+    ${folded ? `<button class="btn small quoteToggle" data-act="quote">${open ? "Hide quoted text" : "Show quoted text"}</button>
+      <div class="mailBody quoted"${open ? "" : " hidden"}>${folded}</div>` : ""}`;
+}
+
+// Files attached to a message (inline images already show in the body)
+function attachmentLink(a) {
+  const label = `${escapeHtml(a.filename || a.contentType)}${a.size !== null ? ` <span class="hint">${fmtBytes(a.size)}</span>` : ""}`;
+  return a.downloadable
+    ? `<a class="attachment" href="/api/attachments/${encodeURIComponent(a.id)}/content">${label}</a>`
+    : `<span class="attachment" title="Only the file's details were received">${label}</span>`;
+}
+
+function attachmentChips(m) {
+  const files = (m.attachments || []).filter((a) => !a.inline);
+  return files.length ? `<div class="attachments">${files.map(attachmentLink).join("")}</div>` : "";
+}
 
-  // messages
+function renderMessages({ thread, emails, tree, metrics }) {
+  const per = metrics?.perClient ?? [];
+  const canEdit = canManageThread(thread);
+  const firstId = emails[0]?.id; // emails come in time order
+  const perById = new Map(per.map(x => [x.clientMessageId, x]));
+  const byId = new Map(emails.map((m) => [m.id, m]));
+  const people = new Map((thread.people || []).map((p) => [p.address, p]));
+  const fromLabel = (m) => (people.has(m.from) ? personLabel(people.get(m.from)) : m.from || "");
   const box = el("messages");
   box.innerHTML = "";
-  for (const m of emails) {
+  for (const { m, depth, replies } of orderedMessages(emails, tree)) {
     const div = document.createElement("div");
     div.className = "msg " + (m.direction || "");
+    if (depth) div.style.marginLeft = `${Math.min(depth, 6) * 14}px`;
+    const parent = m.parentId ? byId.get(m.parentId) : null;
+    const pm = perById.get(m.id);
+    const response = !pm ? "" : pm.responseSeconds === null
+      ? `<span class="resp waiting">no reply yet · ${fmtDuration(pm.pendingBusinessSeconds)} business</span>`
+      : `<span class="resp">replied in ${fmtDuration(pm.responseBusinessSeconds)} business</span>`;
     div.innerHTML = `
       <div class="head">
-        <span class="from">${escapeHtml(m.from)}</span>
-        <span>${fmt(m.sentAt)}</span>
+        <span class="from">${escapeHtml(fromLabel(m))}</span>
+        <span>${response} ${fmt(m.sentAt)}</span>
       </div>
+      ${parent ? `<div class="replyTo">↳ reply to ${escapeHtml(fromLabel(parent))} · ${fmt(parent.sentAt)}${replies > 1 ? `<span class="branch">${replies} replies</span>` : ""}</div>`
+        : replies > 1 ? `<div class="replyTo"><span class="branch">${replies} replies</span></div>` : ""}
       <div class="body">
         <div>${escapeHtml(m.subject || "")}</div>
-        ${m.snippet ? `<div class="snippet">${escapeHtml(m.snippet)}</div>` : ""}
+        ${messageBody(m)}
+        ${attachmentChips(m)}
       </div>
+      ${canEdit ? `<div class="msgActions">
+        ${m.id !== firstId ? `<button class="btn small" data-act="split" title="Move this and every later message to a new thread">Split here</button>` : ""}
+        ${m.parentId ? `<button class="btn small" data-act="branch" title="Move this message and the replies below it to a new thread">Split branch</button>` : ""}
+        <button class="btn small" data-act="move">Move…</button>
+      </div>` : ""}
     `;
+    div.querySelector("[data-act=quote]")?.addEventListener("click", (e) => {
+      const open = !state.openQuotes.has(m.id);
+      if (open) state.openQuotes.add(m.id);
+      else state.openQuotes.delete(m.id);
+      div.querySelector(".quoted").hidden = !open;
+      e.target.textContent = open ? "Hide quoted text" : "Show quoted text";
+    });
+    const split = (branch) => correctThreads(`/api/threads/${encodeURIComponent(thread.id)}/split`, { emailId: m.id, branch });
+    div.querySelector("[data-act=split]")?.addEventListener("click", () => split(false));
+    div.querySelector("[data-act=branch]")?.addEventListener("click", () => split(true));
+    div.querySelector("[data-act=move]")?.addEventListener("click", async (e) => {
+      const target = await pickThread(e.target.parentElement, { queryId: thread.queryId, excludeId: thread.id, label: "Move here" });
+      if (target) await correctThreads(`/api/emails/${encodeURIComponent(m.id)}/move`, { threadId: target });
+    });
     box.appendChild(div);
   }
 }
 
+// -------- thread corrections (analysts) --------
+// Inline picker of the other threads of the same search; resolves the chosen thread id, or null.
+async function pickThread(anchor, { queryId, excludeId, label }) {
+  const data = await api(`/api/threads?queryId=${encodeURIComponent(queryId)}&limit=200`);
+  const choices = (data.threads || []).filter((t) => t.id !== excludeId);
+  if (!choices.length) {
+    alert("This search has no other threads.");
+    return null;
+  }
+  document.querySelector(".pickThread")?.remove();
+  return new Promise((resolve) => {
+    const box = document.createElement("div");
+    box.className = "pickThread";
+    box.innerHTML = `
+      <select>${choices.map((t) => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.subject || "(no subject)")} · ${t.messageCount} msg · ${fmt(t.lastAt)}</option>`).join("")}</select>
+      <button class="btn small primary" type="button">${escapeHtml(label)}</button>
+      <button class="btn small" type="button">Cancel</button>`;
+    const [ok, cancel] = box.querySelectorAll("button");
+    const done = (value) => {
+      box.remove();
+      resolve(value);
+    };
+    ok.addEventListener("click", () => done(box.querySelector("select").value));
+    cancel.addEventListener("click", () => done(null));
+    anchor.after(box);
+  });
+}
+
+// Runs a merge/split/move, then reloads the list and shows the active thread (or where its messages went)
+async function correctThreads(url, body) {
+  try {
+    const data = await api(url, { method: "POST", body: JSON.stringify(body) });
+    const failed = data.summaries?.failed || [];
+    if (failed.length) alert(`Threads updated, but a summary could not be regenerated: ${failed[0].error}`);
+    await loadThreads();
+    const next = data.threads.find((t) => t.id === state.activeThreadId) || data.threads[0];
+    if (next) await selectThread(next.id);
+  } catch (err) {
+    alert(err.message || String(err));
+  }
+}
+
+async function mergeIntoActiveThread() {
+  const thread = state.threadDetail?.thread;
+  if (!thread) return;
+  const source = await pickThread(el("mergeBtn").closest(".panelHead"), { queryId: thread.queryId, excludeId: thread.id, label: "Merge into this thread" });
+  if (source) await correctThreads(`/api/threads/${encodeURIComponent(thread.id)}/merge`, { threadIds: [source] });
+}
+
+const isSnoozed = (thread) => Boolean(thread.alertsSnoozedUntil && new Date(thread.alertsSnoozedUntil) > new Date());
+
+// Snoozes alerts for the open thread (prompting for hours), or resumes them when it is snoozed
+async function snoozeActiveThread() {
+  const thread = state.threadDetail?.thread;
+  if (!thread) return;
+  const url = `/api/threads/${encodeURIComponent(thread.id)}/snooze`;
+  try {
+    if (isSnoozed(thread)) {
+      if (!confirm(`Alerts for this thread are snoozed until ${fmt(thread.alertsSnoozedUntil)}. Resume them now?`)) return;
+      await api(url, { method: "DELETE" });
+    } else {
+      const hours = prompt("Snooze alerts for this thread for how many hours?", "24");
+      if (hours === null) return;
+      await api(url, { method: "PUT", body: JSON.stringify({ hours: Number(hours) }) });
+    }
+    await selectThread(thread.id);
+  } catch (err) {
+    alert(err.message || String(err));
+  }
+}
+
+const PROVIDER_HINTS = {
+  zapier: "This triggers Zapier → Outlook search, then Zapier sends results back to this app.",
+  graph: "Searches the mailbox directly through Microsoft Graph; results appear as soon as all pages are fetched."
+};
+
+// Fills the provider picker with the providers the server has configuration for
+async function loadProviders() {
+  const data = await api("/api/search/providers");
+  const select = el("provider");
+  const usable = (data.providers || []).filter((p) => p.configured);
+  const shown = usable.length ? usable : data.providers || [];
+  select.innerHTML = shown
+    .map((p) => `<option value="${escapeHtml(p.name)}"${p.default ? " selected" : ""}>${escapeHtml(p.label)}${p.configured ? "" : " (not configured)"}</option>`)
+    .join("");
+  const hint = () => { el("providerHint").textContent = PROVIDER_HINTS[select.value] || ""; };
+  select.onchange = hint;
+  hint();
+}
+
 async function doSearch(e) {
   e.preventDefault();
   const keyword = el("keyword").value.trim();
   const dateFrom = el("dateFrom").value || null;
   const dateTo = el("dateTo").value || null;
   const maxResults = Number(el("maxResults").value || 50);
+  const schedule = el("schedule").value.trim() || undefined;
 
   const btn = e.submitter;
   btn.disabled = true;
@@ -213,12 +675,15 @@ async function doSearch(e) {
   try {
     const data = await api("/api/search", {
       method: "POST",
-      body: JSON.stringify({ keyword, dateFrom, dateTo, maxResults })
+      body: JSON.stringify({ keyword, dateFrom, dateTo, maxResults, provider: el("provider").value || undefined, schedule })
     });
     state.activeQueryId = data.queryId;
+    state.whatsNew = false;
+    state.threads = [];
     await loadQueries();
     await loadThreads();
-    alert("Search triggered. If Zapier is set correctly, results will appear after Zap posts back.");
+    if (data.status === "retrying") alert("The search provider did not answer; the search will be retried automatically.");
+    else if (data.provider === "zapier") alert("Search triggered. If Zapier is set correctly, results will appear after Zap posts back.");
   } catch (err) {
     alert(err.message || String(err));
   } finally {
@@ -227,15 +692,86 @@ async function doSearch(e) {
   }
 }
 
+// Uploads files one at a time (raw body per request) and logs a line per file
+async function doImport(e) {
+  e.preventDefault();
+  const files = [...el("importFiles").files];
+  if (!files.length) return;
+  const btn = e.submitter;
+  const log = el("importLog");
+  btn.disabled = true;
+  log.innerHTML = "";
+
+  const line = (html) => {
+    const div = document.createElement("div");
+    div.innerHTML = html;
+    log.appendChild(div);
+    return div;
+  };
+
+  for (const [i, file] of files.entries()) {
+    btn.textContent = `Importing ${i + 1}/${files.length}…`;
+    const row = line(`${escapeHtml(file.name)}: uploading…`);
+    try {
+      const data = await api(`/api/import?filename=${encodeURIComponent(file.name)}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/octet-stream" },
+        body: file
+      });
+      const r = data.report;
+      row.innerHTML = `${escapeHtml(file.name)}: ${r.imported} imported, ${r.duplicates} duplicates` +
+        (r.errors.length ? `, <span style="color: var(--bad)">${r.errors.length} errors</span>` : "");
+      for (const err of r.errors) {
+        line(`<span style="color: var(--bad)">&nbsp;&nbsp;${err.index === null ? "file" : `message #${err.index + 1}`}: ${escapeHtml(err.error)}</span>`);
+      }
+      state.activeQueryId = data.queryId;
+      state.whatsNew = false;
+    } catch (err) {
+      row.innerHTML = `${escapeHtml(file.name)}: <span style="color: var(--bad)">${escapeHtml(err.message || String(err))}</span>`;
+    }
+  }
+
+  btn.disabled = false;
+  btn.textContent = "Import";
+  el("importFiles").value = "";
+  state.threads = [];
+  await loadQueries().catch(() => {});
+  await loadThreads().catch(() => {});
+}
+
+// Latest stored summary; stale = new (or removed) messages since it was generated
+function renderSummary(summary) {
+  state.activeSummary = summary || null;
+  const meta = el("summaryMeta");
+  const btn = el("summarizeBtn");
+  if (!summary) {
+    meta.innerHTML = "";
+    el("summaryBox").textContent = "(No summary yet. Click Summarize.)";
+    btn.textContent = "Summarize";
+    return;
+  }
+  const items = (summary.actionItems || []).map((a) => `- ${typeof a === "string" ? a : JSON.stringify(a)}`);
+  el("summaryBox").textContent = summary.summary + (items.length ? `\n\nAction items:\n${items.join("\n")}` : "");
+  meta.innerHTML = `
+    v${summary.version} · ${escapeHtml(summary.provider)} · ${fmt(summary.createdAt)} · ${summary.messageCount} messages
+    ${summary.stale
+      ? `<span class="badge breached">stale</span> thread now has ${summary.currentMessageCount} messages`
+      : `<span class="badge on-track">up to date</span>`}
+  `;
+  btn.textContent = summary.stale ? "Summarize" : "Regenerate";
+}
+
 async function summarizeActiveThread() {
   if (!state.activeThreadId) return;
   const btn = el("summarizeBtn");
+  // an up-to-date summary is only regenerated on purpose
+  const force = Boolean(state.activeSummary && !state.activeSummary.stale);
   btn.disabled = true;
   btn.textContent = "Summarizing…";
   try {
     const data = await api(`/api/threads/${encodeURIComponent(state.activeThreadId)}/summarize`, {
       method: "POST",
-      body: JSON.stringify({})
+      body: JSON.stringify({ force })
     });
     // Refresh detail
     await selectThread(state.activeThreadId);
@@ -243,31 +779,701 @@ async function summarizeActiveThread() {
     alert(err.message || String(err));
   } finally {
     btn.disabled = false;
-    btn.textContent = "Summarize";
+    renderSummary(state.activeSummary);
   }
 }
 
-async function boot() {
+// -------------------- Analytics (inline SVG charts, no external libs) --------------------
+const CHART_W = 520;
+const CHART_H = 180;
+const CHART_PAD = { top: 10, right: 10, bottom: 28, left: 44 };
+
+function chartFrame(inner, maxValue, fmtTick) {
+  const h = CHART_H - CHART_PAD.top - CHART_PAD.bottom;
+  const ticks = [0, 0.5, 1].map((f) => {
+    const y = CHART_PAD.top + h - f * h;
+    return `<text class="axis" x="${CHART_PAD.left - 6}" y="${y + 3}" text-anchor="end">${escapeHtml(fmtTick(maxValue * f))}</text>
+      <line x1="${CHART_PAD.left}" x2="${CHART_W - CHART_PAD.right}" y1="${y}" y2="${y}" stroke="rgba(255,255,255,.08)" />`;
+  }).join("");
+  return `<svg viewBox="0 0 ${CHART_W} ${CHART_H}" role="img">${ticks}${inner}</svg>`;
+}
+
+// Stacked bar chart. series: [{ name, cls, values: [] }] aligned with labels.
+function barChart(labels, series, fmtTick = (v) => String(Math.round(v))) {
+  if (!labels.length) return `<div class="hint">No data for this selection.</div>`;
+  const totals = labels.map((_, i) => series.reduce((s, se) => s + (se.values[i] || 0), 0));
+  const max = Math.max(1, ...totals);
+  const w = CHART_W - CHART_PAD.left - CHART_PAD.right;
+  const h = CHART_H - CHART_PAD.top - CHART_PAD.bottom;
+  const slot = w / labels.length;
+  const labelEvery = Math.ceil(labels.length / 10);
+
+  let inner = "";
+  labels.forEach((label, i) => {
+    const x = CHART_PAD.left + i * slot + slot * 0.15;
+    let y = CHART_PAD.top + h;
+    for (const se of series) {
+      const v = se.values[i] || 0;
+      const bh = (v / max) * h;
+      y -= bh;
+      inner += `<rect class="bar ${se.cls || ""}" x="${x}" y="${y}" width="${slot * 0.7}" height="${bh}"><title>${escapeHtml(label)} · ${escapeHtml(se.name)}: ${v}</title></rect>`;
+    }
+    if (i % labelEvery === 0) {
+      inner += `<text class="axis" x="${x + slot * 0.35}" y="${CHART_H - 10}" text-anchor="middle">${escapeHtml(label)}</text>`;
+    }
+  });
+  return chartFrame(inner, max, fmtTick);
+}
+
+// Line chart of numeric values (nulls leave gaps).
+function lineChart(labels, values, fmtTick) {
+  const present = values.filter((v) => typeof v === "number");
+  if (!present.length) return `<div class="hint">No answered client messages in this selection.</div>`;
+  const max = Math.max(1, ...present);
+  const w = CHART_W - CHART_PAD.left - CHART_PAD.right;
+  const h = CHART_H - CHART_PAD.top - CHART_PAD.bottom;
+  const step = labels.length > 1 ? w / (labels.length - 1) : 0;
+  const labelEvery = Math.ceil(labels.length / 8);
+  const xy = (i, v) => [CHART_PAD.left + (labels.length > 1 ? i * step : w / 2), CHART_PAD.top + h - (v / max) * h];
+
+  let path = "";
+  let pen = false;
+  let inner = "";
+  values.forEach((v, i) => {
+    if (typeof v !== "number") { pen = false; return; }
+    const [x, y] = xy(i, v);
+    path += `${pen ? "L" : "M"}${x},${y} `;
+    pen = true;
+    inner += `<circle class="dot" cx="${x}" cy="${y}" r="3"><title>${escapeHtml(labels[i])}: ${escapeHtml(fmtTick(v))}</title></circle>`;
+  });
+  labels.forEach((label, i) => {
+    if (i % labelEvery !== 0) return;
+    inner += `<text class="axis" x="${xy(i, 0)[0]}" y="${CHART_H - 10}" text-anchor="middle">${escapeHtml(label)}</text>`;
+  });
+  return chartFrame(`<path class="line" d="${path}" />${inner}`, max, fmtTick);
+}
+
+function dataTable(columns, rows) {
+  if (!rows.length) return `<div class="hint">No data for this selection.</div>`;
+  const head = columns.map((c) => `<th>${escapeHtml(c.label)}</th>`).join("");
+  const body = rows.map((r) => `<tr>${columns.map((c) => `<td>${escapeHtml(c.value(r))}</td>`).join("")}</tr>`).join("");
+  return `<table class="data"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+function analyticsQuery() {
+  const params = new URLSearchParams();
+  if (el("anAfter").value) params.set("after", el("anAfter").value);
+  if (el("anBefore").value) params.set("before", el("anBefore").value);
+  const domain = el("anDomain").value.trim();
+  if (domain) params.set("domain", domain);
+  if (el("anActiveQuery").checked && state.activeQueryId) params.set("queryId", state.activeQueryId);
+  return params.toString();
+}
+
+async function loadAnalytics() {
+  const qs = analyticsQuery();
+  const business = el("anClock").value === "business";
+  const [times, trend, volume, domains, responders] = await Promise.all([
+    api(`/api/analytics/response-times?${qs}`),
+    api(`/api/analytics/trends?${qs}`),
+    api(`/api/analytics/volume?${qs}`),
+    api(`/api/analytics/domains?${qs}`),
+    api(`/api/analytics/responders?${qs}`)
+  ]);
+
+  const dist = business ? times.business : times.raw;
+  el("anHistogram").innerHTML = barChart(
+    dist.histogram.map((b) => b.label),
+    [{ name: "replies", values: dist.histogram.map((b) => b.count) }]
+  );
+  const p = dist.percentiles;
+  el("anPercentiles").innerHTML = [
+    ["Client messages", `${times.clientMessages} (${times.unanswered} unanswered)`],
+    ["Median", fmtDuration(p.p50)],
+    ["75th / 90th / 95th", `${fmtDuration(p.p75)} / ${fmtDuration(p.p90)} / ${fmtDuration(p.p95)}`],
+    ["Slowest", fmtDuration(p.max)]
+  ].map(([k, v]) => `<div class="rowm"><span>${k}</span><span>${v}</span></div>`).join("");
+
+  el("anTrend").innerHTML = lineChart(
+    trend.weeks.map((w) => w.week),
+    trend.weeks.map((w) => business ? w.medianBusinessSeconds : w.medianSeconds),
+    fmtDuration
+  );
+
+  el("anVolume").innerHTML = barChart(
+    volume.periods.map((v) => v.period),
+    [
+      { name: "client", cls: "client", values: volume.periods.map((v) => v.client) },
+      { name: "staff", cls: "staff", values: volume.periods.map((v) => v.staff) }
+    ]
+  ) + `<div class="legend"><span class="client">■ client</span> <span class="staff">■ staff</span></div>`;
+
+  const median = (r) => fmtDuration(business ? r.medianBusinessSeconds : r.medianSeconds);
+  const p90 = (r) => fmtDuration(business ? r.p90BusinessSeconds : r.p90Seconds);
+  el("anDomains").innerHTML = dataTable([
+    { label: "Organization / domain", value: (r) => r.name },
+    { label: "Client msgs", value: (r) => r.clientMessages },
+    { label: "Unanswered", value: (r) => r.unanswered },
+    { label: "Median", value: median },
+    { label: "P90", value: p90 }
+  ], domains.domains);
+  el("anResponders").innerHTML = dataTable([
+    { label: "Responder", value: (r) => (r.name ? `${r.name}${r.shared ? " (shared)" : ""}` : r.responder) },
+    { label: "Replies", value: (r) => r.replies },
+    { label: "Median", value: median },
+    { label: "P90", value: p90 }
+  ], responders.responders);
+}
+
+// -------------------- Live updates (Server-Sent Events; polling only while the stream is down) --------------------
+const POLL_MS = 12000;
+const live = { source: null, pollTimer: null, retryTimer: null };
+
+function connectLive() {
+  closeLive();
+  if (typeof EventSource !== "function") return startPolling();
+  const source = new EventSource("/api/events");
+  live.source = source;
+  source.addEventListener("open", stopPolling);
+  source.addEventListener("error", () => {
+    if (live.source !== source || !state.user) return;
+    startPolling(); // the browser reconnects by itself; the lists stay fresh meanwhile
+    if (source.readyState === EventSource.CLOSED) {
+      // refused outright (e.g. a proxy error): the browser gives up, so try again later
+      live.source = null;
+      live.retryTimer = setTimeout(() => state.user && connectLive(), POLL_MS);
+    }
+  });
+  const on = (event, apply) => source.addEventListener(event, (e) => {
+    if (!state.user) return;
+    Promise.resolve(apply(JSON.parse(e.data || "{}"))).catch(() => {});
+  });
+  on("queries", applyQueryChanges);
+  on("threads", applyThreadChanges);
+  on("summaries", ({ threadIds }) => (threadIds.includes(state.activeThreadId) ? refreshActiveThread() : null));
+  on("reset", refreshAll); // missed events (a long drop, a server restart, a big import)
+  on("signedout", showLogin);
+}
+
+function closeLive() {
+  live.source?.close();
+  live.source = null;
+  clearTimeout(live.retryTimer);
+  stopPolling();
+}
+
+function startPolling() {
+  if (!live.pollTimer) live.pollTimer = setInterval(() => refreshAll().catch(() => {}), POLL_MS);
+}
+
+function stopPolling() {
+  clearInterval(live.pollTimer);
+  live.pollTimer = null;
+}
+
+// Everything on screen again; lists keep the rows already loaded, their scroll position and the selection
+async function refreshAll() {
+  if (!state.user) return;
+  await loadQueries();
+  await loadThreads();
+  await refreshActiveThread();
+}
+
+async function refreshActiveThread() {
+  const id = state.activeThreadId;
+  if (!id) return;
+  const data = await api(`/api/threads/${encodeURIComponent(id)}`).catch(() => null);
+  if (data && state.activeThreadId === id) renderThreadDetail(data);
+}
+
+// queries event: re-read the searches that changed and update their cards in place
+async function applyQueryChanges({ ids = [], removed = [] }) {
+  if (removed.includes(state.activeQueryId) || ids.length > 20) return refreshAll();
+  const fresh = await Promise.all(ids.map((id) => api(`/api/queries/${encodeURIComponent(id)}`).then((d) => d.query, () => null)));
+  const gone = new Set(removed);
+  const queries = state.queries.filter((q) => !gone.has(q.id));
+  for (const q of fresh.filter(Boolean)) {
+    const i = queries.findIndex((x) => x.id === q.id);
+    if (i >= 0) queries[i] = q;
+    else if (!el("onlyMine").checked || q.ownerId === state.user.id) queries.unshift(q); // newest first
+  }
+  state.queries = queries;
+  renderQueries(queries);
+  // "what's new" follows the latest run of the open search
+  if (state.whatsNew && ids.includes(state.activeQueryId)) await loadThreads();
+}
+
+// threads event: re-read the listed threads of the open search and the open thread
+async function applyThreadChanges({ ids = [], removed = [], queryIds = [] }) {
+  if (state.listMode === "threads" && state.activeQueryId) {
+    const gone = new Set(removed);
+    const before = state.threads.length;
+    state.threads = state.threads.filter((t) => !gone.has(t.id));
+    state.threadsTotal -= before - state.threads.length;
+    let changed = state.threads.length !== before;
+    if (ids.length && queryIds.includes(state.activeQueryId)) {
+      if (ids.length > 200) return refreshAll();
+      const data = await api(threadsUrl(ids.length, null, ids));
+      patchThreads(ids, data.threads || []);
+      changed = true;
+    }
+    if (changed) renderThreads(state.threads);
+  }
+  if (ids.includes(state.activeThreadId)) await refreshActiveThread();
+}
+
+const byLastAtDesc = (a, b) => String(b.lastAt || "").localeCompare(String(a.lastAt || "")) || String(b.id).localeCompare(String(a.id));
+
+// Applies re-read threads to the loaded rows: updated ones are replaced, threads that no longer match
+// the filters drop out, new ones are slotted in by lastAt (unless they belong on a page not loaded yet)
+function patchThreads(ids, fresh) {
+  const byId = new Map(fresh.map((t) => [t.id, t]));
+  const asked = new Set(ids);
+  const edge = state.threadsCursor ? state.threads[state.threads.length - 1] : null;
+  const rows = [];
+  for (const t of state.threads) {
+    if (!asked.has(t.id)) rows.push(t);
+    else if (byId.has(t.id)) rows.push(byId.get(t.id));
+    else state.threadsTotal--;
+    byId.delete(t.id);
+  }
+  for (const t of byId.values()) {
+    state.threadsTotal++;
+    if (!edge || byLastAtDesc(t, edge) < 0) rows.push(t);
+  }
+  state.threads = rows.sort(byLastAtDesc);
+}
+
+// -------- sign-in and user menu --------
+function showLogin() {
+  closeLive();
+  state.user = null;
+  el("userMenu").hidden = true;
+  document.querySelector("main.layout").hidden = true;
+  el("analyticsPanel").hidden = true;
+  el("usersPanel").hidden = true;
+  el("auditPanel").hidden = true;
+  el("attachmentsPanel").hidden = true;
+  el("alertsPanel").hidden = true;
+  el("directoryPanel").hidden = true;
+  el("analyticsBtn").hidden = true;
+  el("attachmentsBtn").hidden = true;
+  el("alertsBtn").hidden = true;
+  el("loginScreen").hidden = false;
+  el("loginUser").focus();
+}
+
+// Shows the app for the signed-in user; controls their role cannot use are hidden or disabled
+function applyUser(user) {
+  state.user = user;
+  el("loginScreen").hidden = true;
+  document.querySelector("main.layout").hidden = false;
+  el("analyticsBtn").hidden = false;
+  el("attachmentsBtn").hidden = false;
+  el("alertsBtn").hidden = false;
+  el("userMenu").hidden = false;
+  el("userBtn").textContent = `${user.name || user.username} · ${user.role}`;
+  el("onlyMine").checked = Boolean(user.preferences?.onlyMine);
+  el("usersBtn").hidden = !hasRole("admin");
+  el("auditBtn").hidden = !hasRole("admin");
+  el("directoryBtn").hidden = !hasRole("admin");
+  for (const node of document.querySelectorAll("[data-role]")) node.hidden = !hasRole(node.dataset.role);
+  el("summarizeBtn").hidden = !hasRole("analyst");
+}
+
+async function doLogin(e) {
+  e.preventDefault();
+  el("loginError").textContent = "";
+  try {
+    const data = await api("/api/auth/login", {
+      method: "POST",
+      body: JSON.stringify({ username: el("loginUser").value, password: el("loginPassword").value })
+    });
+    el("loginPassword").value = "";
+    await startApp(data.user);
+  } catch (err) {
+    el("loginError").textContent = err.message || String(err);
+  }
+}
+
+async function doLogout() {
+  closeLive();
+  await api("/api/auth/logout", { method: "POST" }).catch(() => {});
+  state.activeQueryId = null;
+  state.whatsNew = false;
+  state.activeThreadId = null;
+  state.threadDetail = null;
+  state.threads = [];
+  el("userDropdown").hidden = true;
+  showLogin();
+}
+
+async function changePassword() {
+  const currentPassword = prompt("Current password");
+  if (!currentPassword) return;
+  const password = prompt("New password (at least 10 characters)");
+  if (!password) return;
+  try {
+    await api("/api/auth/me", { method: "PATCH", body: JSON.stringify({ currentPassword, password }) });
+    alert("Password changed. Your other sessions were signed out.");
+  } catch (err) {
+    alert(err.message || String(err));
+  }
+}
+
+async function setOnlyMine(onlyMine) {
+  const data = await api("/api/auth/me", { method: "PATCH", body: JSON.stringify({ preferences: { onlyMine } }) });
+  state.user = data.user;
+  state.activeQueryId = null;
+  state.whatsNew = false;
+  state.threads = [];
+  await loadQueries();
+  await loadThreads();
+}
+
+// -------- user management (admins) --------
+async function loadUsers() {
+  const data = await api("/api/users");
+  const box = el("usersTable");
+  const rows = data.users.map((u) => `
+    <tr data-id="${escapeHtml(u.id)}">
+      <td>${escapeHtml(u.username)}${u.id === state.user.id ? " (you)" : ""}</td>
+      <td>${escapeHtml(u.name || "")}</td>
+      <td><select data-field="role">${data.roles.map((r) => `<option${r === u.role ? " selected" : ""}>${r}</option>`).join("")}</select></td>
+      <td>${u.lastLoginAt ? fmt(u.lastLoginAt) : "never"}</td>
+      <td>
+        <button class="btn small" data-action="toggle">${u.disabled ? "Enable" : "Disable"}</button>
+        <button class="btn small" data-action="password">Reset password</button>
+        <button class="btn small" data-action="delete">Delete</button>
+      </td>
+    </tr>`).join("");
+  box.innerHTML = `<table class="data"><thead><tr><th>Username</th><th>Name</th><th>Role</th><th>Last login</th><th></th></tr></thead><tbody>${rows}</tbody></table>`;
+
+  const patch = (id, body) => api(`/api/users/${encodeURIComponent(id)}`, { method: "PATCH", body: JSON.stringify(body) });
+  for (const tr of box.querySelectorAll("tr[data-id]")) {
+    const id = tr.dataset.id;
+    const user = data.users.find((u) => u.id === id);
+    const run = (fn) => fn().then(loadUsers).catch((err) => {
+      alert(err.message || String(err));
+      loadUsers();
+    });
+    tr.querySelector("[data-field=role]").addEventListener("change", (e) => run(() => patch(id, { role: e.target.value })));
+    tr.querySelector("[data-action=toggle]").addEventListener("click", () => run(() => patch(id, { disabled: !user.disabled })));
+    tr.querySelector("[data-action=password]").addEventListener("click", () => {
+      const password = prompt(`New password for ${user.username} (at least 10 characters)`);
+      if (password) run(() => patch(id, { password }));
+    });
+    tr.querySelector("[data-action=delete]").addEventListener("click", () => {
+      if (confirm(`Delete ${user.username}? Their searches stay.`)) {
+        run(() => api(`/api/users/${encodeURIComponent(id)}`, { method: "DELETE" }));
+      }
+    });
+  }
+}
+
+async function addUser(e) {
+  e.preventDefault();
+  try {
+    await api("/api/users", {
+      method: "POST",
+      body: JSON.stringify({
+        username: el("newUsername").value,
+        name: el("newName").value,
+        password: el("newPassword").value,
+        role: el("newRole").value
+      })
+    });
+    e.target.reset();
+    await loadUsers();
+  } catch (err) {
+    alert(err.message || String(err));
+  }
+}
+
+// -------- attachments --------
+function attachmentsQuery() {
+  const params = new URLSearchParams();
+  if (el("attType").value.trim()) params.set("type", el("attType").value.trim());
+  if (el("attFrom").value.trim()) params.set("from", el("attFrom").value.trim());
+  if (el("attName").value.trim()) params.set("q", el("attName").value.trim());
+  if (el("attAfter").value) params.set("after", el("attAfter").value);
+  if (el("attBefore").value) params.set("before", el("attBefore").value);
+  if (el("attActiveQuery").checked && state.activeQueryId) params.set("queryId", state.activeQueryId);
+  if (el("attInline").checked) params.set("inline", "true");
+  return params;
+}
+
+async function loadAttachments() {
+  const params = attachmentsQuery();
+  params.set("limit", "200");
+  const data = await api(`/api/attachments?${params}`);
+  el("attachmentsStatus").textContent = `${data.total} attachment${data.total === 1 ? "" : "s"}${data.total > data.attachments.length ? ` (newest ${data.attachments.length} shown)` : ""}`;
+  if (!data.attachments.length) {
+    el("attachmentsTable").innerHTML = `<div class="hint">No attachments match.</div>`;
+    return;
+  }
+  const rows = data.attachments.map((a) => `
+    <tr>
+      <td>${fmt(a.sentAt)}</td>
+      <td>${escapeHtml(a.from || "")}</td>
+      <td>${attachmentLink({ ...a, size: null })}</td>
+      <td>${escapeHtml(a.contentType)}</td>
+      <td>${fmtBytes(a.size)}</td>
+      <td><a href="#" data-thread="${escapeHtml(a.threadId)}">${escapeHtml(a.subject || "(no subject)")}</a></td>
+    </tr>`).join("");
+  el("attachmentsTable").innerHTML = `<table class="data"><thead><tr><th>Received</th><th>From</th><th>File</th><th>Type</th><th>Size</th><th>Thread</th></tr></thead><tbody>${rows}</tbody></table>`;
+  for (const link of el("attachmentsTable").querySelectorAll("[data-thread]")) {
+    link.addEventListener("click", (e) => {
+      e.preventDefault();
+      selectThread(link.dataset.thread);
+      window.scrollTo({ top: 0, behavior: "smooth" });
+    });
+  }
+}
+
+// -------- alerts --------
+const ALERT_TYPES = { unanswered: "Unanswered", reopened: "Reopened", "new-thread": "New thread" };
+
+async function loadAlertList() {
+  const params = new URLSearchParams({ limit: "100" });
+  if (el("alertsStatus").value) params.set("status", el("alertsStatus").value);
+  const [config, data] = await Promise.all([api("/api/alerts/config"), api(`/api/alerts?${params}`)]);
+  const rules = config.rules.map((r) => `${r.name}${r.enabled ? "" : " (off)"} → ${r.webhooks.join(", ") || "no webhook"}`);
+  el("alertsConfig").textContent = rules.length
+    ? `Rules: ${rules.join(" · ")} — ${data.total} alert${data.total === 1 ? "" : "s"}`
+    : `No alert rules yet: add them to ${config.path}.`;
+  if (!data.alerts.length) {
+    el("alertsTable").innerHTML = `<div class="hint">No alerts.</div>`;
+    return;
+  }
+  const rows = data.alerts.map((a) => `
+    <tr>
+      <td>${fmt(a.lastFiredAt)}${a.count > 1 ? ` <span class="hint">×${a.count}</span>` : ""}</td>
+      <td>${escapeHtml(ALERT_TYPES[a.type] || a.type)}<br><span class="hint">${escapeHtml(a.rule)}</span></td>
+      <td><a href="#" data-thread="${escapeHtml(a.threadId)}">${escapeHtml(a.subject || "(no subject)")}</a><br><span class="hint">${escapeHtml(a.text)}</span></td>
+      <td>${escapeHtml(a.from)}${a.organization ? `<br><span class="hint">${escapeHtml(a.organization)}</span>` : ""}</td>
+      <td title="${escapeHtml(a.deliveries.map((d) => `${d.webhook}: ${d.ok ? "ok" : d.error || "not sent yet"}`).join("\n"))}">${escapeHtml(a.status)}</td>
+    </tr>`).join("");
+  el("alertsTable").innerHTML = `<table class="data"><thead><tr><th>Fired</th><th>Rule</th><th>Thread</th><th>From</th><th>Delivery</th></tr></thead><tbody>${rows}</tbody></table>`;
+  for (const link of el("alertsTable").querySelectorAll("[data-thread]")) {
+    link.addEventListener("click", (e) => {
+      e.preventDefault();
+      selectThread(link.dataset.thread);
+      window.scrollTo({ top: 0, behavior: "smooth" });
+    });
+  }
+}
+
+async function evaluateAlerts() {
+  const r = await api("/api/alerts/evaluate", { method: "POST" });
+  await loadAlertList();
+  el("alertsConfig").textContent += ` · evaluated: ${r.fired} fired, ${r.delivered} delivered, ${r.failed} failed`;
+}
+
+async function testAlertWebhooks() {
+  const r = await api("/api/alerts/test", { method: "POST", body: "{}" });
+  alert(r.results.map((x) => `${x.webhook} (${x.format}): ${x.ok ? "ok" : x.error}`).join("\n"));
+}
+
+// -------- audit log (admins) --------
+function auditQuery() {
+  const params = new URLSearchParams();
+  if (el("auditActor").value.trim()) params.set("actor", el("auditActor").value.trim());
+  if (el("auditAction").value.trim()) params.set("action", el("auditAction").value.trim());
+  if (el("auditTarget").value.trim()) params.set("target", el("auditTarget").value.trim());
+  if (el("auditDenied").checked) params.set("status", "denied");
+  return params;
+}
+
+// Long id lists are stored capped, with the full number in `<key>Count` (server/audit.js)
+const auditTargets = (targets) =>
+  Object.entries(targets || {})
+    .filter(([key, ids]) => !key.endsWith("Count") && Array.isArray(ids) && ids.length)
+    .map(([key, ids]) => {
+      const total = targets[`${key}Count`] ?? ids.length;
+      return `${key.replace(/Ids$/, "")}: ${total > 3 ? `${ids.slice(0, 3).join(", ")} +${total - 3}` : ids.join(", ")}`;
+    })
+    .join("; ");
+
+async function loadAudit() {
+  const params = auditQuery();
+  el("auditCsv").href = `/api/audit/export?${new URLSearchParams([...params, ["format", "csv"]])}`;
+  el("auditNdjson").href = `/api/audit/export?${new URLSearchParams([...params, ["format", "ndjson"]])}`;
+  params.set("limit", "100");
+  const data = await api(`/api/audit?${params}`);
+  el("auditStatus").textContent = `${data.total} entr${data.total === 1 ? "y" : "ies"}${data.total > data.entries.length ? ` (newest ${data.entries.length} shown)` : ""}`;
+  const rows = data.entries.map((e) => `
+    <tr>
+      <td>${fmt(e.at)}</td>
+      <td>${escapeHtml(e.actor?.username || e.actor?.type || "anonymous")}</td>
+      <td>${escapeHtml(e.ip || "")}</td>
+      <td title="${escapeHtml(`${e.method} ${e.path}`)}">${escapeHtml(e.action)}</td>
+      <td>${e.status ?? ""}${e.detail?.aborted ? " aborted" : ""}</td>
+      <td>${escapeHtml(auditTargets(e.targets))}</td>
+      <td class="hint">${escapeHtml(Object.keys(e.detail || {}).length ? JSON.stringify(e.detail) : "")}</td>
+    </tr>`).join("");
+  el("auditTable").innerHTML = `<table class="data"><thead><tr><th>When</th><th>Who</th><th>IP</th><th>Action</th><th>Status</th><th>Targets</th><th>Detail</th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+async function verifyAudit() {
+  const data = await api("/api/audit/verify");
+  el("auditStatus").textContent = data.ok
+    ? `Chain intact: ${data.entries} entries verified.`
+    : `Chain broken at entry ${data.brokenAt}: ${data.reason} (${data.entries} entries verified before it).`;
+}
+
+// -------- directory (admin) --------
+async function loadDirectory() {
+  const data = await api("/api/directory");
+  el("directoryJson").value = JSON.stringify(data.directory, null, 2);
+  el("directoryStatus").textContent = `${data.path} · staff domains in effect: ${data.staffDomains.join(", ")}`;
+}
+
+async function saveDirectory(e) {
+  e.preventDefault();
+  let body;
+  try {
+    body = JSON.parse(el("directoryJson").value || "{}");
+  } catch (err) {
+    el("directoryStatus").textContent = `Not valid JSON: ${err.message}`;
+    return;
+  }
+  try {
+    const data = await api("/api/directory", { method: "PUT", body: JSON.stringify(body) });
+    el("directoryJson").value = JSON.stringify(data.directory, null, 2);
+    el("directoryStatus").textContent = `Saved. ${data.emailsReclassified} message(s) reclassified in ${data.threadsUpdated} thread(s).`;
+    if (data.emailsReclassified) await loadThreads();
+  } catch (err) {
+    el("directoryStatus").textContent = err.message || String(err);
+  }
+}
+
+async function startApp(user) {
+  applyUser(user);
   await refreshHealth();
+  await loadProviders().catch(() => {});
   await loadQueries();
   await loadThreads();
+  // links in alerts open a thread: /?thread=<id>
+  const linked = new URLSearchParams(location.search).get("thread");
+  if (linked) selectThread(linked).catch((err) => alert(err.message || String(err)));
+  connectLive();
+}
+
+async function boot() {
+  el("loginForm").addEventListener("submit", doLogin);
+  el("userBtn").addEventListener("click", () => {
+    el("userDropdown").hidden = !el("userDropdown").hidden;
+  });
+  el("logoutBtn").addEventListener("click", doLogout);
+  el("passwordBtn").addEventListener("click", changePassword);
+  el("onlyMine").addEventListener("change", (e) => setOnlyMine(e.target.checked).catch((err) => alert(err.message || String(err))));
+  el("usersBtn").addEventListener("click", () => {
+    const panel = el("usersPanel");
+    panel.hidden = !panel.hidden;
+    el("userDropdown").hidden = true;
+    if (!panel.hidden) {
+      loadUsers().catch((err) => alert(err.message || String(err)));
+      panel.scrollIntoView({ behavior: "smooth" });
+    }
+  });
+  el("userForm").addEventListener("submit", addUser);
+  el("auditBtn").addEventListener("click", () => {
+    const panel = el("auditPanel");
+    panel.hidden = !panel.hidden;
+    el("userDropdown").hidden = true;
+    if (!panel.hidden) {
+      loadAudit().catch((err) => alert(err.message || String(err)));
+      panel.scrollIntoView({ behavior: "smooth" });
+    }
+  });
+  el("directoryBtn").addEventListener("click", () => {
+    const panel = el("directoryPanel");
+    panel.hidden = !panel.hidden;
+    el("userDropdown").hidden = true;
+    if (!panel.hidden) {
+      loadDirectory().catch((err) => alert(err.message || String(err)));
+      panel.scrollIntoView({ behavior: "smooth" });
+    }
+  });
+  el("directoryForm").addEventListener("submit", saveDirectory);
+  el("directoryReloadBtn").addEventListener("click", () => loadDirectory().catch((err) => alert(err.message || String(err))));
+  el("auditForm").addEventListener("submit", (e) => {
+    e.preventDefault();
+    loadAudit().catch((err) => alert(err.message || String(err)));
+  });
+  el("auditVerifyBtn").addEventListener("click", () => verifyAudit().catch((err) => alert(err.message || String(err))));
 
   el("searchForm").addEventListener("submit", doSearch);
+  el("importForm").addEventListener("submit", doImport);
   el("refreshBtn").addEventListener("click", async () => {
     await loadQueries();
     await loadThreads();
   });
-  el("threadFilter").addEventListener("input", () => renderThreads(state.threads));
+  let filterTimer = null;
+  el("listMode").addEventListener("change", (e) => setListMode(e.target.value));
+  el("threadFilter").addEventListener("input", () => {
+    clearTimeout(filterTimer);
+    filterTimer = setTimeout(() => {
+      state.threads = [];
+      state.hits = [];
+      loadThreads().catch(() => {});
+    }, 250);
+  });
+  el("threadSla").addEventListener("change", () => {
+    state.threads = [];
+    loadThreads().catch(() => {});
+  });
   el("summarizeBtn").addEventListener("click", summarizeActiveThread);
+  el("mergeBtn").addEventListener("click", mergeIntoActiveThread);
+  el("snoozeBtn").addEventListener("click", snoozeActiveThread);
+  el("messageOrder").addEventListener("change", (e) => {
+    state.messageOrder = e.target.value;
+    if (state.threadDetail) renderMessages(state.threadDetail);
+  });
+  el("alertsBtn").addEventListener("click", () => {
+    const panel = el("alertsPanel");
+    panel.hidden = !panel.hidden;
+    if (!panel.hidden) {
+      loadAlertList().catch((err) => alert(err.message || String(err)));
+      panel.scrollIntoView({ behavior: "smooth" });
+    }
+  });
+  el("alertsForm").addEventListener("submit", (e) => {
+    e.preventDefault();
+    loadAlertList().catch((err) => alert(err.message || String(err)));
+  });
+  el("alertsEvaluateBtn").addEventListener("click", () => evaluateAlerts().catch((err) => alert(err.message || String(err))));
+  el("alertsTestBtn").addEventListener("click", () => testAlertWebhooks().catch((err) => alert(err.message || String(err))));
+  el("attachmentsBtn").addEventListener("click", () => {
+    const panel = el("attachmentsPanel");
+    panel.hidden = !panel.hidden;
+    if (!panel.hidden) {
+      loadAttachments().catch((err) => alert(err.message || String(err)));
+      panel.scrollIntoView({ behavior: "smooth" });
+    }
+  });
+  el("attachmentsForm").addEventListener("submit", (e) => {
+    e.preventDefault();
+    loadAttachments().catch((err) => alert(err.message || String(err)));
+  });
+  el("analyticsBtn").addEventListener("click", () => {
+    const panel = el("analyticsPanel");
+    panel.hidden = !panel.hidden;
+    if (!panel.hidden) {
+      loadAnalytics().catch((err) => alert(err.message || String(err)));
+      panel.scrollIntoView({ behavior: "smooth" });
+    }
+  });
+  el("analyticsForm").addEventListener("submit", (e) => {
+    e.preventDefault();
+    loadAnalytics().catch((err) => alert(err.message || String(err)));
+  });
+  el("anClock").addEventListener("change", () => loadAnalytics().catch(() => {}));
 
-  // light auto-refresh (manual is fine, but this helps after Zapier posts results)
-  setInterval(async () => {
-    try {
-      await loadQueries();
-      await loadThreads();
-      if (state.activeThreadId) await selectThread(state.activeThreadId);
-    } catch {}
-  }, 12000);
+  const me = await api("/api/auth/me").catch(() => ({ user: null }));
+  if (me.user) await startApp(me.user);
+  else showLogin();
 }
 
 boot();
@@ -0,0 +1,485 @@
+/**
+ * Alerts: a background evaluator over stored threads that posts to outbound webhooks when a client
+ * email needs attention.
+ *
+ * alerts.json (path from ALERTS_PATH) looks like:
+ * {
+ *   "lookbackDays": 7,
+ *   "webhooks": [
+ *     { "name": "support-slack", "url": "https://hooks.slack.com/services/...", "format": "slack" },
+ *     { "name": "teams", "url": "https://example.webhook.office.com/...", "format": "teams" },
+ *     { "name": "ops", "url": "http://localhost:4000/alerts", "format": "json" }
+ *   ],
+ *   "rules": [
+ *     { "name": "Unanswered 4h", "type": "unanswered", "hours": 4, "repeatHours": 24 },
+ *     { "name": "Reopened", "type": "reopened", "quietDays": 14, "webhooks": ["support-slack"] },
+ *     { "name": "New from Siemens", "type": "new-thread", "orgs": ["siemens"], "domains": ["siemens.de"] }
+ *   ]
+ * }
+ *
+ * - unanswered: the oldest client message since the last staff reply has waited `hours` (working
+ *   hours of its calendar, unless "clock": "wall"). One alert per waiting stretch; `repeatHours`
+ *   sends a reminder that often while it keeps waiting.
+ * - reopened: a client writes again after `quietDays` without any message in the thread.
+ * - new-thread: a thread starts with a client message from a watched domain (subdomains included)
+ *   or client organization (directory.js ids).
+ * - Every rule can be narrowed with `domains` / `orgs`, routed with `webhooks` (names; default all)
+ *   and switched off with "enabled": false. Only messages of the last `lookbackDays` alert, so
+ *   turning a rule on does not replay old mail.
+ *
+ * Webhook formats: "json" ({ type: "email.alert", alert }), "slack" (incoming-webhook `text`) and
+ * "teams" (MessageCard). Posts are signed like the app's other outbound calls (webhooks.js).
+ *
+ * Dedup: an alert's id is derived from the rule and the triggering message (by Message-ID, so the same
+ * conversation found by two searches alerts once) and stored in the `alerts` collection together with
+ * its deliveries. Failed deliveries are retried on the next passes, up to ALERT_MAX_ATTEMPTS.
+ * Snooze: threads with `alertsSnoozedUntil` in the future are skipped (PUT /api/threads/:id/snooze).
+ *
+ * The file is re-read when it changes (the last good copy is kept on a broken edit).
+ */
+const fs = require("fs");
+const path = require("path");
+const { APP_BASE_URL } = require("./config");
+const { fetchFn, safeEmail, domainOf, stableHash } = require("./util");
+const { signedHeaders } = require("./webhooks");
+const { computeResponseMetrics } = require("./compute");
+const { orgOf } = require("./directory");
+
+const ALERTS_PATH = process.env.ALERTS_PATH || path.join(process.cwd(), "alerts.json");
+const ALERT_EVAL_MS = Number(process.env.ALERT_EVAL_MS ?? 60000); // 0 = only on POST /api/alerts/evaluate
+const ALERT_TIMEOUT_MS = Number(process.env.ALERT_TIMEOUT_MS || 10000);
+const ALERT_MAX_ATTEMPTS = Number(process.env.ALERT_MAX_ATTEMPTS || 3);
+
+const TYPES = ["unanswered", "reopened", "new-thread"];
+const WEBHOOK_FORMATS = ["json", "slack", "teams"];
+const DAY_MS = 86400000;
+
+let cache = null; // { mtimeMs, config }
+
+const slug = (s) => String(s).trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+// Validates a raw alerts object; throws with a readable message on the first problem.
+function compileAlerts(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("The alerts config must be a JSON object");
+  const list = (v, field) => {
+    if (v === undefined || v === null) return [];
+    if (!Array.isArray(v)) throw new Error(`${field} must be an array`);
+    return v;
+  };
+  const positive = (v, field) => {
+    if (!(Number(v) > 0)) throw new Error(`${field} must be a positive number`);
+    return Number(v);
+  };
+
+  const lookbackDays = raw.lookbackDays === undefined ? 7 : positive(raw.lookbackDays, "lookbackDays");
+
+  const webhooks = list(raw.webhooks, "webhooks").map((w, i) => {
+    const name = String(w?.name || "").trim();
+    if (!name) throw new Error(`webhooks[${i}] needs a name`);
+    let url;
+    try {
+      url = new URL(String(w.url || ""));
+    } catch {
+      throw new Error(`webhooks[${i}] ("${name}"): url is not a valid URL`);
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") throw new Error(`webhooks[${i}] ("${name}"): url must be http(s)`);
+    const format = w.format || "json";
+    if (!WEBHOOK_FORMATS.includes(format)) throw new Error(`webhooks[${i}] ("${name}"): format must be one of ${WEBHOOK_FORMATS.join(", ")}`);
+    return { name, url: url.toString(), format };
+  });
+  const names = webhooks.map((w) => w.name);
+  if (new Set(names).size !== names.length) throw new Error("webhooks: every name must be unique");
+
+  const ids = new Set();
+  const rules = list(raw.rules, "rules").map((r, i) => {
+    const name = String(r?.name || "").trim();
+    if (!name) throw new Error(`rules[${i}] needs a name`);
+    const id = slug(r.id || name);
+    if (ids.has(id)) throw new Error(`rules[${i}]: id "${id}" is used twice`);
+    ids.add(id);
+    const field = (f) => `rules[${i}] ("${name}"): ${f}`;
+    if (!TYPES.includes(r.type)) throw new Error(field(`type must be one of ${TYPES.join(", ")}`));
+
+    const rule = {
+      id,
+      name,
+      type: r.type,
+      enabled: r.enabled !== false,
+      domains: list(r.domains, field("domains")).map((d) => String(d).trim().toLowerCase().replace(/^@/, "")).filter(Boolean),
+      orgs: list(r.orgs, field("orgs")).map((o) => slug(o)).filter(Boolean),
+      webhooks: r.webhooks === undefined ? names : list(r.webhooks, field("webhooks")).map(String)
+    };
+    for (const w of rule.webhooks) {
+      if (!names.includes(w)) throw new Error(field(`unknown webhook "${w}"`));
+    }
+    if (r.type === "unanswered") {
+      rule.seconds = Math.round(positive(r.hours, field("hours")) * 3600);
+      rule.clock = r.clock || "business";
+      if (rule.clock !== "business" && rule.clock !== "wall") throw new Error(field('clock must be "business" or "wall"'));
+      rule.repeatSeconds = r.repeatHours === undefined || r.repeatHours === null ? null : Math.round(positive(r.repeatHours, field("repeatHours")) * 3600);
+    }
+    if (r.type === "reopened") rule.quietSeconds = Math.round(positive(r.quietDays, field("quietDays")) * 86400);
+    if (r.type === "new-thread" && !rule.domains.length && !rule.orgs.length) {
+      throw new Error(field("a new-thread rule needs domains and/or orgs to watch"));
+    }
+    return rule;
+  });
+
+  return { lookbackDays, webhooks, rules };
+}
+
+// Load (and cache) alerts.json; re-read when it changes, keeping the last good copy on a broken edit.
+function loadAlerts() {
+  let mtimeMs;
+  try {
+    mtimeMs = fs.statSync(ALERTS_PATH).mtimeMs;
+  } catch {
+    mtimeMs = -1;
+  }
+  if (cache && cache.mtimeMs === mtimeMs) return cache.config;
+
+  try {
+    const raw = mtimeMs === -1 ? {} : JSON.parse(fs.readFileSync(ALERTS_PATH, "utf-8"));
+    const config = compileAlerts(raw);
+    cache = { mtimeMs, config };
+    return config;
+  } catch (e) {
+    if (!cache) throw new Error(`Failed to load ${ALERTS_PATH}: ${e.message}`);
+    console.error(`Ignoring invalid ${ALERTS_PATH}: ${e.message}`);
+    cache.mtimeMs = mtimeMs;
+    return cache.config;
+  }
+}
+
+// -------- evaluation --------
+
+function senderMatches(rule, address) {
+  if (!rule.domains.length && !rule.orgs.length) return true;
+  const email = safeEmail(address);
+  const domain = domainOf(email);
+  if (rule.domains.some((d) => domain === d || domain.endsWith(`.${d}`))) return true;
+  const org = orgOf(email);
+  return Boolean(org && rule.orgs.includes(org.id));
+}
+
+const isSnoozed = (thread, now) => Boolean(thread.alertsSnoozedUntil && new Date(thread.alertsSnoozedUntil) > now);
+
+// "3d 4h", "5h 12m", "45m"
+function duration(seconds) {
+  const m = Math.floor(seconds / 60);
+  const d = Math.floor(m / 1440);
+  const h = Math.floor((m % 1440) / 60);
+  if (d) return h ? `${d}d ${h}h` : `${d}d`;
+  if (h) return m % 60 ? `${h}h ${m % 60}m` : `${h}h`;
+  return `${m}m`;
+}
+
+const when = (iso) => `${new Date(iso).toISOString().slice(0, 16).replace("T", " ")} UTC`;
+
+// Title and one-line text of an alert record (also used for reminders, with fresh numbers)
+function describeAlert(a) {
+  const sender = a.organization ? `${a.from} (${a.organization})` : a.from;
+  const subject = a.subject || "(no subject)";
+  if (a.type === "unanswered") {
+    const waited = `${duration(a.waitedSeconds)}${a.clock === "business" ? " of working time" : ""}`;
+    return {
+      title: `Unanswered client email: ${subject}`,
+      text: `${sender} wrote on ${when(a.sentAt)} and has had no reply for ${waited}.${a.count > 1 ? ` Reminder ${a.count - 1}.` : ""}`
+    };
+  }
+  if (a.type === "reopened") {
+    return { title: `Thread reopened: ${subject}`, text: `${sender} wrote again on ${when(a.sentAt)} after ${duration(a.quietSeconds)} of silence.` };
+  }
+  return {
+    title: `New thread from ${a.organization || domainOf(a.from)}: ${subject}`,
+    text: `${sender} started a conversation on ${when(a.sentAt)}.`
+  };
+}
+
+const threadUrl = (threadId) => (APP_BASE_URL ? `${APP_BASE_URL}/?thread=${encodeURIComponent(threadId)}` : null);
+
+/**
+ * What the rules see right now: [{ rule, thread, email, waitedSeconds?, quietSeconds? }], one per
+ * (rule, triggering message). Reads only; snoozed threads and messages before the lookback are skipped.
+ */
+function findEvents(store, config, now = new Date()) {
+  const rules = config.rules.filter((r) => r.enabled);
+  if (!rules.length) return [];
+  const cutoff = new Date(now.getTime() - config.lookbackDays * DAY_MS);
+  const recent = (iso) => new Date(iso) >= cutoff;
+
+  const threads = store.threads.list().filter((t) => t.lastAt && recent(t.lastAt) && !isSnoozed(t, now));
+  if (!threads.length) return [];
+  const byThread = new Map(threads.map((t) => [t.id, []]));
+  for (const e of store.emails.list({ threadId: threads.map((t) => t.id) })) byThread.get(e.threadId)?.push(e);
+
+  const events = [];
+  const seen = new Set();
+  const add = (rule, thread, email, extra = {}) => {
+    const key = `${rule.id}|${email.messageId || email.id}`;
+    if (seen.has(key)) return; // the same message in another search's thread
+    seen.add(key);
+    events.push({ key, rule, thread, email, ...extra });
+  };
+
+  for (const thread of threads) {
+    const emails = byThread.get(thread.id);
+    const sorted = emails.filter((e) => e.direction !== "ignored").sort((a, b) => new Date(a.sentAt) - new Date(b.sentAt));
+    if (!sorted.length) continue;
+    const byId = new Map(sorted.map((e) => [e.id, e]));
+    let metrics = null;
+
+    for (const rule of rules) {
+      if (rule.type === "unanswered") {
+        if (thread.lastDirection !== "client") continue;
+        metrics = metrics || computeResponseMetrics(emails, { now });
+        const waiting = metrics.perClient.find((m) => m.repliedAt === null);
+        if (!waiting || !recent(waiting.clientSentAt) || !senderMatches(rule, waiting.clientFrom)) continue;
+        const waited = rule.clock === "wall" ? waiting.pendingSeconds : waiting.pendingBusinessSeconds;
+        if (waited >= rule.seconds) add(rule, thread, byId.get(waiting.clientMessageId), { waitedSeconds: waited });
+      } else if (rule.type === "reopened") {
+        for (let i = 1; i < sorted.length; i++) {
+          const e = sorted[i];
+          if (e.direction !== "client" || !recent(e.sentAt) || !senderMatches(rule, e.from)) continue;
+          const quiet = Math.floor((new Date(e.sentAt) - new Date(sorted[i - 1].sentAt)) / 1000);
+          if (quiet >= rule.quietSeconds) add(rule, thread, e, { quietSeconds: quiet });
+        }
+      } else if (rule.type === "new-thread") {
+        const first = sorted[0];
+        if (first.direction === "client" && recent(first.sentAt) && senderMatches(rule, first.from)) add(rule, thread, first);
+      }
+    }
+  }
+  return events;
+}
+
+const alertId = (key) => `al_${stableHash(key).slice(0, 24)}`;
+
+function alertStatus(a) {
+  if (!a.deliveries.length) return "recorded";
+  if (a.deliveries.every((d) => d.ok)) return "delivered";
+  return a.deliveries.some((d) => !d.ok && d.attempts < ALERT_MAX_ATTEMPTS) ? "pending" : "failed";
+}
+
+// Turns the events into alert records (new ones, and reminders that are due); run inside a transaction.
+function recordAlerts(store, config, events, now) {
+  const fired = [];
+  for (const ev of events) {
+    const id = alertId(ev.key);
+    const existing = store.alerts.get(id);
+    if (existing) {
+      const repeat = ev.rule.repeatSeconds;
+      if (!repeat || now - new Date(existing.lastFiredAt) < repeat * 1000) continue;
+    }
+    const org = orgOf(ev.email.from);
+    const alert = {
+      id,
+      key: ev.key,
+      ruleId: ev.rule.id,
+      rule: ev.rule.name,
+      type: ev.rule.type,
+      clock: ev.rule.clock || null,
+      threadId: ev.thread.id,
+      queryId: ev.thread.queryId,
+      emailId: ev.email.id,
+      subject: ev.email.subject || ev.thread.subject || "",
+      from: ev.email.from,
+      organization: org?.name || null,
+      sentAt: ev.email.sentAt,
+      waitedSeconds: ev.waitedSeconds ?? null,
+      quietSeconds: ev.quietSeconds ?? null,
+      url: threadUrl(ev.thread.id),
+      firedAt: existing?.firedAt || now.toISOString(),
+      lastFiredAt: now.toISOString(),
+      count: (existing?.count || 0) + 1,
+      deliveries: ev.rule.webhooks.map((webhook) => ({ webhook, ok: false, status: null, error: null, attempts: 0, at: null }))
+    };
+    Object.assign(alert, describeAlert(alert));
+    alert.status = alertStatus(alert);
+    store.alerts.put(alert);
+    fired.push(alert);
+  }
+  return fired;
+}
+
+// -------- delivery --------
+
+const slackEscape = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+// The body posted to a webhook of `format` for an alert record
+function formatPayload(format, a) {
+  if (format === "slack") {
+    const link = a.url ? `\n<${a.url}|Open thread>` : "";
+    return { text: `*${slackEscape(a.title)}*\n${slackEscape(a.text)}${link}\n_${slackEscape(a.rule)}_` };
+  }
+  if (format === "teams") {
+    return {
+      "@type": "MessageCard",
+      "@context": "https://schema.org/extensions",
+      summary: a.title,
+      themeColor: a.type === "unanswered" ? "D9534F" : "F0AD4E",
+      title: a.title,
+      text: a.text,
+      sections: [{ facts: [{ name: "Rule", value: a.rule }, { name: "From", value: a.from }, { name: "Sent", value: when(a.sentAt) }] }],
+      potentialAction: a.url ? [{ "@type": "OpenUri", name: "Open thread", targets: [{ os: "default", uri: a.url }] }] : []
+    };
+  }
+  const { key, deliveries, status, clock, ...alert } = a;
+  return { type: "email.alert", alert };
+}
+
+// POSTs one alert to one webhook; resolves with { ok, status, error } (never throws)
+async function post(webhook, alert) {
+  const body = JSON.stringify(formatPayload(webhook.format, alert));
+  try {
+    const r = await fetchFn(webhook.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...signedHeaders(body) },
+      body,
+      signal: AbortSignal.timeout(ALERT_TIMEOUT_MS)
+    });
+    const text = await r.text().catch(() => "");
+    return r.ok ? { ok: true, status: r.status, error: null } : { ok: false, status: r.status, error: `${r.status} ${text.slice(0, 200)}`.trim() };
+  } catch (e) {
+    return { ok: false, status: null, error: e.name === "TimeoutError" ? `no answer within ${ALERT_TIMEOUT_MS} ms` : e.message };
+  }
+}
+
+// Sends the deliveries of `alerts` that are not through yet; returns { alertId: deliveries }
+async function deliver(config, alerts) {
+  const results = {};
+  for (const alert of alerts) {
+    results[alert.id] = [];
+    for (const d of alert.deliveries) {
+      if (d.ok || d.attempts >= ALERT_MAX_ATTEMPTS) {
+        results[alert.id].push(d);
+        continue;
+      }
+      const webhook = config.webhooks.find((w) => w.name === d.webhook);
+      const outcome = webhook ? await post(webhook, alert) : { ok: false, status: null, error: "webhook no longer configured" };
+      results[alert.id].push({
+        ...d,
+        ...outcome,
+        attempts: webhook ? d.attempts + 1 : ALERT_MAX_ATTEMPTS,
+        at: new Date().toISOString()
+      });
+    }
+  }
+  return results;
+}
+
+let running = null;
+
+/**
+ * One evaluation pass: records new alerts and due reminders, then delivers them together with earlier
+ * deliveries still waiting for a retry. Resolves with { fired, delivered, failed } counts. A pass that
+ * starts while another is running joins it.
+ */
+function runAlerts(store, now = new Date()) {
+  if (running) return running;
+  running = (async () => {
+    const config = loadAlerts();
+    const toSend = await store.write((s) => {
+      const fired = recordAlerts(s, config, findEvents(s, config, now), now);
+      const firedIds = new Set(fired.map((a) => a.id));
+      const retries = s.alerts.list().filter((a) => a.status === "pending" && !firedIds.has(a.id));
+      return [...fired, ...retries];
+    });
+    const fired = toSend.filter((a) => a.lastFiredAt === now.toISOString()).length;
+    if (!toSend.length) return { fired, delivered: 0, failed: 0 };
+
+    const results = await deliver(config, toSend);
+    return store.write((s) => {
+      const counts = { fired, delivered: 0, failed: 0 };
+      for (const [id, deliveries] of Object.entries(results)) {
+        const alert = s.alerts.get(id);
+        if (!alert) continue;
+        alert.deliveries = deliveries;
+        alert.status = alertStatus(alert);
+        s.alerts.put(alert);
+        if (alert.status === "delivered") counts.delivered++;
+        if (alert.status === "failed") counts.failed++;
+      }
+      return counts;
+    });
+  })().finally(() => {
+    running = null;
+  });
+  return running;
+}
+
+// What a pass would fire right now, without recording or sending anything
+function previewAlerts(store, now = new Date()) {
+  const config = loadAlerts();
+  return findEvents(store, config, now).map((ev) => {
+    const existing = store.alerts.get(alertId(ev.key));
+    return {
+      rule: ev.rule.name,
+      type: ev.rule.type,
+      threadId: ev.thread.id,
+      emailId: ev.email.id,
+      subject: ev.email.subject || ev.thread.subject || "",
+      from: ev.email.from,
+      sentAt: ev.email.sentAt,
+      waitedSeconds: ev.waitedSeconds ?? null,
+      quietSeconds: ev.quietSeconds ?? null,
+      alreadyFired: Boolean(existing),
+      alertId: existing ? existing.id : null
+    };
+  });
+}
+
+// Posts a sample alert to the named webhooks (default all) so a receiver can be checked end to end
+async function sendTestAlert(webhookNames) {
+  const config = loadAlerts();
+  const targets = webhookNames?.length ? config.webhooks.filter((w) => webhookNames.includes(w.name)) : config.webhooks;
+  const now = new Date().toISOString();
+  const alert = {
+    id: "al_test",
+    ruleId: "test",
+    rule: "Test alert",
+    type: "unanswered",
+    threadId: null,
+    queryId: null,
+    emailId: null,
+    subject: "Test alert from the email dashboard",
+    from: "client@example.com",
+    organization: null,
+    sentAt: now,
+    waitedSeconds: 0,
+    quietSeconds: null,
+    url: APP_BASE_URL || null,
+    firedAt: now,
+    lastFiredAt: now,
+    count: 1,
+    test: true
+  };
+  alert.title = alert.subject;
+  alert.text = "If you can read this, the webhook works.";
+  const results = [];
+  for (const w of targets) results.push({ webhook: w.name, format: w.format, ...(await post(w, alert)) });
+  return results;
+}
+
+// Starts the evaluator (call once at startup); also runs it right away. ALERT_EVAL_MS=0 turns it off.
+function startAlertJobs(store) {
+  if (!(ALERT_EVAL_MS > 0)) return () => {};
+  const tick = () => runAlerts(store).catch((e) => console.error("alert evaluator:", e));
+  tick();
+  const timer = setInterval(tick, ALERT_EVAL_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  ALERTS_PATH,
+  ALERT_MAX_ATTEMPTS,
+  loadAlerts,
+  compileAlerts,
+  findEvents,
+  formatPayload,
+  runAlerts,
+  previewAlerts,
+  sendTestAlert,
+  startAlertJobs
+};
@@ -0,0 +1,211 @@
+/**
+ * Cross-thread analytics built on the per-thread metrics from compute.js.
+ * Dates are bucketed in UTC (days, ISO weeks).
+ */
+const { domainOf, percentile } = require("./util");
+const { computeResponseMetrics, groupEmailsByThread } = require("./compute");
+const { orgOf, clientGroup, describe } = require("./directory");
+
+const HISTOGRAM_BUCKETS = [
+  { label: "< 15 min", max: 15 * 60 },
+  { label: "15-60 min", max: 3600 },
+  { label: "1-4 h", max: 4 * 3600 },
+  { label: "4-8 h", max: 8 * 3600 },
+  { label: "8-24 h", max: 24 * 3600 },
+  { label: "1-2 d", max: 2 * 86400 },
+  { label: "2-5 d", max: 5 * 86400 },
+  { label: "> 5 d", max: Infinity }
+];
+
+function isoWeek(date) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const day = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - day); // Thursday decides the year
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+function bucketKey(date, interval) {
+  return interval === "week" ? isoWeek(date) : date.toISOString().slice(0, 10);
+}
+
+function inWindow(iso, { after, before }) {
+  const d = new Date(iso);
+  if (after && !(d >= after)) return false;
+  if (before && !(d < before)) return false;
+  return true;
+}
+
+/**
+ * Threads (and their emails) in scope: optional queryIds, threadIds, client domain and client organization.
+ * `domain` keeps threads with at least one client participant in that domain (or a subdomain),
+ * `org` those with a client of that organization (directory.js).
+ */
+function scopedThreads(store, { queryIds = [], threadIds = [], domain = "", org = "" } = {}) {
+  const narrowed = queryIds.length || threadIds.length;
+  const threads = store.threads.list({
+    ...(queryIds.length ? { queryId: queryIds } : {}),
+    ...(threadIds.length ? { ids: threadIds } : {})
+  });
+  const byThread = groupEmailsByThread(
+    narrowed ? store.emails.list({ threadId: threads.map((t) => t.id) }) : store.emails.list()
+  );
+  const out = [];
+  for (const thread of threads) {
+    const emails = byThread.get(thread.id) || [];
+    if (domain) {
+      const hit = emails.some((e) => {
+        if (e.direction !== "client") return false;
+        const d = domainOf(e.from);
+        return d === domain || d.endsWith("." + domain);
+      });
+      if (!hit) continue;
+    }
+    if (org && !emails.some((e) => e.direction === "client" && orgOf(e.from)?.id === org)) continue;
+    out.push({ thread, emails });
+  }
+  return out;
+}
+
+// Every client message in scope whose sentAt falls in the window, with its response data.
+function collectResponses(store, filters, { now = new Date() } = {}) {
+  const rows = [];
+  for (const { emails } of scopedThreads(store, filters)) {
+    const metrics = computeResponseMetrics(emails, { now });
+    for (const m of metrics.perClient) {
+      if (inWindow(m.clientSentAt, filters)) rows.push(m);
+    }
+  }
+  return rows;
+}
+
+function stats(values) {
+  const sorted = values.filter((v) => typeof v === "number").sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    average: sorted.length ? Math.round(sorted.reduce((s, v) => s + v, 0) / sorted.length) : null,
+    p50: percentile(sorted, 50),
+    p75: percentile(sorted, 75),
+    p90: percentile(sorted, 90),
+    p95: percentile(sorted, 95),
+    max: sorted.length ? sorted[sorted.length - 1] : null
+  };
+}
+
+function histogram(values) {
+  const counts = HISTOGRAM_BUCKETS.map((b) => ({ label: b.label, count: 0 }));
+  for (const v of values) {
+    if (typeof v !== "number") continue;
+    const i = HISTOGRAM_BUCKETS.findIndex((b) => v < b.max);
+    counts[i].count++;
+  }
+  return counts;
+}
+
+function responseTimes(store, filters) {
+  const rows = collectResponses(store, filters);
+  const answered = rows.filter((r) => r.responseSeconds !== null);
+  return {
+    clientMessages: rows.length,
+    answered: answered.length,
+    unanswered: rows.length - answered.length,
+    raw: {
+      percentiles: stats(answered.map((r) => r.responseSeconds)),
+      histogram: histogram(answered.map((r) => r.responseSeconds))
+    },
+    business: {
+      percentiles: stats(answered.map((r) => r.responseBusinessSeconds)),
+      histogram: histogram(answered.map((r) => r.responseBusinessSeconds))
+    }
+  };
+}
+
+// Group response rows by `keyOf` and summarise each group; rows with a null key are skipped.
+function breakdown(rows, keyOf) {
+  const groups = new Map();
+  for (const r of rows) {
+    const key = keyOf(r);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+  return [...groups.entries()].map(([key, list]) => {
+    const answered = list.filter((r) => r.responseSeconds !== null);
+    const raw = stats(answered.map((r) => r.responseSeconds));
+    const business = stats(answered.map((r) => r.responseBusinessSeconds));
+    return {
+      key,
+      clientMessages: list.length,
+      answered: answered.length,
+      unanswered: list.length - answered.length,
+      averageSeconds: raw.average,
+      medianSeconds: raw.p50,
+      p90Seconds: raw.p90,
+      averageBusinessSeconds: business.average,
+      medianBusinessSeconds: business.p50,
+      p90BusinessSeconds: business.p90
+    };
+  });
+}
+
+function trends(store, filters) {
+  const rows = collectResponses(store, filters);
+  return breakdown(rows, (r) => isoWeek(new Date(r.clientSentAt)))
+    .map(({ key, ...rest }) => ({ week: key, ...rest }))
+    .sort((a, b) => a.week.localeCompare(b.week));
+}
+
+// Per client organization (directory.js); clients outside every organization per domain.
+function byDomain(store, filters) {
+  const rows = collectResponses(store, filters);
+  const groups = new Map();
+  return breakdown(rows, (r) => {
+    const group = clientGroup(r.clientFrom);
+    groups.set(group.key, group);
+    return group.key;
+  })
+    .map(({ key, ...rest }) => {
+      const { label, org } = groups.get(key);
+      return { domain: org ? null : key, org, name: label, ...rest };
+    })
+    .sort((a, b) => b.clientMessages - a.clientMessages);
+}
+
+// Per staff responder: only answered messages count, keyed by who sent the reply.
+function byResponder(store, filters) {
+  const rows = collectResponses(store, filters).filter((r) => r.staffReplyFrom);
+  return breakdown(rows, (r) => r.staffReplyFrom)
+    .map(({ key, clientMessages, answered, unanswered, ...rest }) => {
+      const who = describe(key);
+      return { responder: key, name: who.name, shared: who.shared, replies: answered, ...rest };
+    })
+    .sort((a, b) => b.replies - a.replies);
+}
+
+// Client vs staff message counts per day or ISO week (ignored senders left out).
+function volume(store, filters, interval = "week") {
+  const buckets = new Map();
+  for (const { emails } of scopedThreads(store, filters)) {
+    for (const e of emails) {
+      if (!inWindow(e.sentAt, filters)) continue;
+      const key = bucketKey(new Date(e.sentAt), interval);
+      if (!buckets.has(key)) buckets.set(key, { period: key, client: 0, staff: 0 });
+      const b = buckets.get(key);
+      if (e.direction === "staff") b.staff++;
+      else if (e.direction === "client") b.client++;
+    }
+  }
+  return [...buckets.values()].sort((a, b) => a.period.localeCompare(b.period));
+}
+
+module.exports = {
+  HISTOGRAM_BUCKETS,
+  isoWeek,
+  scopedThreads,
+  responseTimes,
+  trends,
+  byDomain,
+  byResponder,
+  volume
+};
@@ -0,0 +1,129 @@
+/**
+ * Attachment metadata on emails: quotes, POs, drawings that a thread revolves around.
+ *
+ * Incoming emails may carry
+ *   attachments: [{ filename | name, contentType | mimeType, size, contentId, inline | isInline,
+ *                   url | downloadUrl, contentBase64 | contentBytes }]
+ * Only metadata is required. Content sent as base64 is kept when it is at most ATTACHMENT_INLINE_MAX_KB
+ * (bigger files keep their metadata and url). Each attachment is stored on its email with an id of
+ * `<email id>.<n>`; listAttachments() flattens them with the email's sender, time and thread.
+ */
+const ATTACHMENT_INLINE_MAX_KB = Number(process.env.ATTACHMENT_INLINE_MAX_KB || 256);
+const MAX_ATTACHMENTS = 100;
+
+// Short names accepted by the `type` filter besides MIME types and file extensions
+const TYPE_FAMILIES = {
+  image: ["image/*"],
+  spreadsheet: ["xls", "xlsx", "xlsm", "ods", "csv"],
+  document: ["doc", "docx", "odt", "rtf", "txt"],
+  presentation: ["ppt", "pptx", "odp"],
+  archive: ["zip", "7z", "rar", "gz", "tar"],
+  drawing: ["dwg", "dxf", "step", "stp", "igs", "iges", "stl"]
+};
+
+const MIME_TYPE = /^[a-z0-9][\w.+-]*\/[a-z0-9][\w.+-]*$/i;
+const BASE64 = /^[A-Za-z0-9+/=\s]+$/;
+
+const extensionOf = (filename) => {
+  const m = /\.([a-z0-9]{1,10})$/i.exec(String(filename || ""));
+  return m ? m[1].toLowerCase() : "";
+};
+
+/**
+ * Stored form of an incoming attachment list (unknown fields dropped, content over the size limit
+ * left out). `emailId` names the attachments; returns [] when there are none. Content of an image
+ * already kept in the email's `inlineImages` is not stored twice.
+ */
+function cleanAttachments(list, emailId, { inlineImages } = {}) {
+  if (!Array.isArray(list)) return [];
+  const out = [];
+  for (const a of list.slice(0, MAX_ATTACHMENTS)) {
+    if (!a || typeof a !== "object") continue;
+    const filename = String(a.filename || a.name || "").trim().slice(0, 255) || null;
+    const rawType = String(a.contentType || a.mimeType || "").trim().toLowerCase().split(";")[0];
+    let contentBase64 = typeof (a.contentBase64 ?? a.contentBytes) === "string" ? (a.contentBase64 ?? a.contentBytes).replace(/\s+/g, "") : null;
+    if (contentBase64 && (!BASE64.test(contentBase64) || contentBase64.length * 0.75 > ATTACHMENT_INLINE_MAX_KB * 1024)) contentBase64 = null;
+    const declaredSize = Number(a.size);
+    const size = Number.isFinite(declaredSize) && declaredSize >= 0 ? Math.round(declaredSize) : contentBase64 ? Buffer.from(contentBase64, "base64").length : null;
+    const contentId = String(a.contentId || "").trim().replace(/^<+|>+$/g, "") || null;
+    if (contentId && inlineImages?.[contentId]) contentBase64 = null;
+    const url = /^https?:\/\//i.test(String(a.url || a.downloadUrl || "")) ? String(a.url || a.downloadUrl) : null;
+    if (!filename && !rawType && !url && !contentBase64) continue;
+    out.push({
+      id: `${emailId}.${out.length}`,
+      filename,
+      contentType: MIME_TYPE.test(rawType) ? rawType : "application/octet-stream",
+      size,
+      contentId,
+      inline: Boolean(a.inline ?? a.isInline),
+      url,
+      contentBase64
+    });
+  }
+  return out;
+}
+
+// An attachment as the API shows it: without its content, with whether it can be downloaded here
+function publicAttachment(a, email) {
+  const { contentBase64, ...rest } = a;
+  return { ...rest, downloadable: Boolean(contentBase64 || a.url || (a.contentId && email?.inlineImages?.[a.contentId])) };
+}
+
+/**
+ * Matcher for a `type` filter: MIME types ("application/pdf"), wildcards ("image/*"), file extensions
+ * or subtypes ("pdf", "dwg") and the families above ("spreadsheet"). Empty list: everything.
+ */
+function typeMatcher(types) {
+  const wanted = types.flatMap((t) => TYPE_FAMILIES[t.toLowerCase()] || [t.toLowerCase()]);
+  if (!wanted.length) return () => true;
+  return (a) => {
+    const type = a.contentType || "";
+    const ext = extensionOf(a.filename);
+    return wanted.some((w) => {
+      if (w.endsWith("/*")) return type.startsWith(w.slice(0, -1));
+      if (w.includes("/")) return type === w;
+      return ext === w.replace(/^\./, "") || type.split("/")[1] === w;
+    });
+  };
+}
+
+/**
+ * Attachments of the stored emails matching `filter` ({ threadId, queryId, after, before } as for
+ * store.emails.list), each with its email's context. `matches(attachment, email)` narrows further.
+ */
+function listAttachments(store, filter, matches = () => true) {
+  const out = [];
+  for (const email of store.emails.list(filter)) {
+    for (const a of email.attachments || []) {
+      if (!matches(a, email)) continue;
+      out.push({
+        ...publicAttachment(a, email),
+        emailId: email.id,
+        threadId: email.threadId,
+        queryId: email.queryId,
+        subject: email.subject,
+        from: email.from,
+        direction: email.direction,
+        sentAt: email.sentAt
+      });
+    }
+  }
+  return out;
+}
+
+// { email, attachment } for an attachment id, or null
+function findAttachment(store, id) {
+  const emailId = String(id).replace(/\.\d+$/, "");
+  const email = store.emails.get(emailId);
+  const attachment = email && (email.attachments || []).find((a) => a.id === id);
+  return attachment ? { email, attachment } : null;
+}
+
+// Bytes of an attachment kept in the store (its own content, or the inline image it is), or null
+function attachmentContent(email, attachment) {
+  if (attachment.contentBase64) return Buffer.from(attachment.contentBase64, "base64");
+  const dataUri = attachment.contentId && email.inlineImages?.[attachment.contentId];
+  return dataUri ? Buffer.from(dataUri.slice(dataUri.indexOf(",") + 1), "base64") : null;
+}
+
+module.exports = { cleanAttachments, publicAttachment, typeMatcher, listAttachments, findAttachment, attachmentContent };
@@ -0,0 +1,292 @@
+/**
+ * Append-only audit log: who searched for what, who opened which thread or email, who summarized
+ * and who changed or deleted data.
+ *
+ * Entries go to AUDIT_PATH (NDJSON, default ./audit.log), outside the data store, so deleting data
+ * never deletes its trail. Each entry is
+ *   { seq, at, actor, ip, action, method, path, status, targets, detail, prevHash, hash }
+ * where hash = sha256(prevHash + the entry without hash). verify() walks the chain, so an edited or
+ * removed line shows up.
+ *
+ * auditTrail() (mounted on /api) records every write, including rejected ones, and the reads listed
+ * in ACTIONS. Routes add targets/detail through res.locals.audit. A read repeated by the same actor
+ * with the same targets within AUDIT_VIEW_DEDUP_SECONDS (the UI polls) is recorded once. A response
+ * the client broke off (a cancelled download or export) is recorded too, with detail.aborted.
+ * A target list longer than AUDIT_MAX_TARGET_IDS keeps its first ids plus the full count
+ * (e.g. emailIds + emailIdsCount), so one big ingest doesn't make a huge line.
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const AUDIT_PATH = process.env.AUDIT_PATH || path.join(process.cwd(), "audit.log");
+const AUDIT_VIEW_DEDUP_SECONDS = Number(process.env.AUDIT_VIEW_DEDUP_SECONDS || 300);
+const AUDIT_MAX_TARGET_IDS = Number(process.env.AUDIT_MAX_TARGET_IDS || 100);
+const GENESIS = "0".repeat(64);
+const TAIL_CHUNK_BYTES = 64 * 1024;
+
+// "METHOD route" -> action name. Writes not listed here are still recorded, as "METHOD /route".
+const ACTIONS = {
+  "POST /search": "search.start",
+  "POST /queries/:id/rerun": "search.rerun",
+  "POST /queries/:id/cancel": "search.cancel",
+  "DELETE /queries/:id": "query.delete",
+  "PUT /queries/:id/schedule": "query.schedule",
+  "DELETE /queries/:id/schedule": "query.unschedule",
+  "POST /zapier/results": "results.ingest",
+  "GET /threads": "results.list",
+  "POST /import": "import.upload",
+  "GET /threads/:id": "thread.view",
+  "GET /threads/:id/summaries": "summary.history",
+  "POST /threads/:id/summarize": "thread.summarize",
+  "DELETE /threads/:id": "thread.delete",
+  "POST /threads/:id/merge": "thread.merge",
+  "POST /threads/:id/split": "thread.split",
+  "PUT /threads/:id/snooze": "thread.snooze",
+  "DELETE /threads/:id/snooze": "thread.unsnooze",
+  "POST /emails/:id/move": "email.move",
+  "GET /emails": "emails.list",
+  "GET /emails/:id": "email.view",
+  "DELETE /emails/:id": "email.delete",
+  "GET /local-search": "search.local",
+  "GET /attachments": "attachments.list",
+  "GET /attachments/:id/content": "attachment.download",
+  "GET /export/threads": "export.threads",
+  "GET /export/messages": "export.messages",
+  "POST /auth/login": "auth.login",
+  "POST /auth/logout": "auth.logout",
+  "PATCH /auth/me": "user.update_self",
+  "POST /users": "user.create",
+  "PATCH /users/:id": "user.update",
+  "DELETE /users/:id": "user.delete",
+  "GET /admin/config": "config.view",
+  "PUT /directory": "directory.update",
+  "POST /alerts/evaluate": "alerts.evaluate",
+  "POST /alerts/test": "alerts.test",
+  "GET /audit": "audit.read",
+  "GET /audit/export": "audit.export",
+  "GET /audit/verify": "audit.verify"
+};
+
+// route prefix -> targets key for :id
+const ID_TARGETS = { queries: "queryIds", threads: "threadIds", emails: "emailIds", users: "userIds" };
+
+// For requests rejected before reaching a route (401/403 from the /api guard): "METHOD /path" -> { key, id }
+const ROUTE_PATTERNS = Object.keys(ACTIONS).map((key) => {
+  const [method, route] = key.split(" ");
+  return { key, method, re: new RegExp(`^${route.replace(/:id/, "([^/]+)")}$`) };
+});
+
+function matchRoute(method, apiPath) {
+  for (const p of ROUTE_PATTERNS) {
+    const m = p.method === method && apiPath.match(p.re);
+    if (m) return { key: p.key, id: m[1] ? decodeURIComponent(m[1]) : undefined };
+  }
+  return null;
+}
+
+const hashEntry = (entry) => crypto.createHash("sha256").update(entry.prevHash + JSON.stringify(entry)).digest("hex");
+
+function parseLines(text) {
+  const out = [];
+  for (const line of text.split("\n")) {
+    if (!line) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch {
+      // torn last line from a crash; verify() reports it
+    }
+  }
+  return out;
+}
+
+// The last readable entry, reading backwards chunk by chunk until a complete line parses
+// (an entry may be longer than one chunk; a torn last line from a crash is skipped).
+function readLastEntry(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    let pos = fs.fstatSync(fd).size;
+    let carry = Buffer.alloc(0); // start of a line whose beginning lies in an earlier chunk
+    while (pos > 0) {
+      const len = Math.min(pos, TAIL_CHUNK_BYTES);
+      pos -= len;
+      const chunk = Buffer.alloc(len);
+      fs.readSync(fd, chunk, 0, len, pos);
+      const buf = Buffer.concat([chunk, carry]);
+      const firstLine = pos === 0 ? 0 : buf.indexOf(0x0a) + 1;
+      if (firstLine === 0 && pos > 0) {
+        carry = buf;
+        continue;
+      }
+      const lines = buf.subarray(firstLine).toString("utf-8").split("\n");
+      for (let i = lines.length - 1; i >= 0; i--) {
+        if (!lines[i]) continue;
+        try {
+          return JSON.parse(lines[i]);
+        } catch {
+          // torn line; try the one before
+        }
+      }
+      carry = buf.subarray(0, firstLine);
+    }
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// { emailIds: [4000 ids] } -> { emailIds: [first AUDIT_MAX_TARGET_IDS], emailIdsCount: 4000 }
+function capTargets(targets) {
+  const out = {};
+  for (const [key, ids] of Object.entries(targets || {})) {
+    if (Array.isArray(ids) && ids.length > AUDIT_MAX_TARGET_IDS) {
+      out[key] = ids.slice(0, AUDIT_MAX_TARGET_IDS);
+      out[`${key}Count`] = ids.length;
+    } else {
+      out[key] = ids;
+    }
+  }
+  return out;
+}
+
+function createAuditLog(filePath = AUDIT_PATH) {
+  let seq = 0;
+  let lastHash = GENESIS;
+  if (fs.existsSync(filePath)) {
+    const last = readLastEntry(filePath);
+    if (last) {
+      seq = last.seq;
+      lastHash = last.hash;
+    }
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+  const fd = fs.openSync(filePath, "a");
+
+  // Appends one entry (synchronously, fsynced); returns it with seq and hash filled in.
+  function append({ actor = null, ip = "", action, method = "", path: reqPath = "", status = null, targets = {}, detail = {} }) {
+    const entry = { seq: seq + 1, at: new Date().toISOString(), actor, ip, action, method, path: reqPath, status, targets: capTargets(targets), detail, prevHash: lastHash };
+    entry.hash = hashEntry(entry);
+    fs.writeSync(fd, JSON.stringify(entry) + "\n");
+    fs.fdatasyncSync(fd);
+    seq = entry.seq;
+    lastHash = entry.hash;
+    return entry;
+  }
+
+  const read = () => (fs.existsSync(filePath) ? parseLines(fs.readFileSync(filePath, "utf-8")) : []);
+
+  // Checks the hash chain: { ok, entries, brokenAt?: seq, reason? }
+  function verify() {
+    const text = fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf-8") : "";
+    let prev = GENESIS;
+    let entries = 0;
+    for (const line of text.split("\n")) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        return { ok: false, entries, brokenAt: entries + 1, reason: "unreadable line" };
+      }
+      const { hash, ...rest } = entry;
+      if (entry.prevHash !== prev) return { ok: false, entries, brokenAt: entry.seq, reason: "chain broken (entry missing or reordered)" };
+      if (hashEntry(rest) !== hash) return { ok: false, entries, brokenAt: entry.seq, reason: "entry was modified" };
+      prev = hash;
+      entries++;
+    }
+    return { ok: true, entries };
+  }
+
+  return { location: filePath, append, read, verify, close: () => fs.closeSync(fd) };
+}
+
+let auditLog = null;
+
+function getAuditLog() {
+  if (!auditLog) auditLog = createAuditLog();
+  return auditLog;
+}
+
+const actorOf = (user) => (user ? { id: user.id, username: user.username, role: user.role } : null);
+
+// -------- middleware --------
+const recentReads = new Map(); // dedup key -> expiry (ms)
+
+function seenRecently(key, now) {
+  for (const [k, expires] of recentReads) {
+    if (expires > now) break; // insertion order = expiry order
+    recentReads.delete(k);
+  }
+  if (recentReads.has(key)) return true;
+  recentReads.set(key, now + AUDIT_VIEW_DEDUP_SECONDS * 1000);
+  return false;
+}
+
+function auditTrail(getLog = getAuditLog) {
+  return (req, res, next) => {
+    let recorded = false;
+    const record = (aborted) => {
+      if (recorded) return;
+      recorded = true;
+      try {
+        const isRead = req.method === "GET" || req.method === "HEAD";
+        const fullPath = req.originalUrl.split("?")[0];
+        const matched = req.route ? { key: `${req.method} ${req.route.path}`, id: req.params?.id } : matchRoute(req.method, fullPath.replace(/^\/api/, ""));
+        const key = matched?.key || null;
+        if (isRead && !ACTIONS[key]) return;
+
+        const extra = res.locals.audit || {};
+        const targets = { ...extra.targets };
+        const resource = key && key.split(" ")[1].split("/")[1];
+        if (matched?.id && ID_TARGETS[resource] && !targets[ID_TARGETS[resource]]) targets[ID_TARGETS[resource]] = [matched.id];
+
+        let actor = actorOf(extra.actor || req.user);
+        if (!actor && key === "POST /zapier/results") actor = { type: "webhook" };
+        const detail = { ...extra.detail };
+        if (aborted) detail.aborted = true;
+        if (isRead) {
+          const { cursor, ...query } = req.query;
+          if (Object.keys(query).length) detail.query = query;
+        }
+        const action = ACTIONS[key] || key || `${req.method} ${fullPath.replace(/^\/api/, "")}`;
+
+        if (isRead && res.statusCode < 400 && !aborted) {
+          const dedupKey = JSON.stringify([actor?.id, action, targets, detail]);
+          if (seenRecently(dedupKey, Date.now())) return;
+        }
+        getLog().append({
+          actor,
+          ip: req.ip,
+          action,
+          method: req.method,
+          path: fullPath,
+          status: res.statusCode,
+          targets,
+          detail
+        });
+      } catch (e) {
+        console.error("audit log write failed:", e);
+      }
+    };
+    res.on("finish", () => record(false));
+    // the client went away before the response was complete: still who read (part of) what
+    res.on("close", () => {
+      if (!res.writableFinished) record(true);
+    });
+    next();
+  };
+}
+
+// Adds targets/detail to the current request's audit entry.
+function auditNote(res, { targets, detail, actor } = {}) {
+  const current = res.locals.audit || {};
+  res.locals.audit = {
+    ...current,
+    ...(actor ? { actor } : {}),
+    targets: { ...current.targets, ...targets },
+    detail: { ...current.detail, ...detail }
+  };
+}
+
+module.exports = { AUDIT_PATH, ACTIONS, createAuditLog, getAuditLog, auditTrail, auditNote, actorOf };
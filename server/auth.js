@@ -0,0 +1,265 @@
+/**
+ * Local accounts, cookie sessions and roles.
+ *
+ * Roles, each including the ones before it:
+ *   viewer   read-only: lists, threads, emails, analytics, local search
+ *   analyst  runs searches and imports, summarizes, deletes data; manages their own searches
+ *   admin    manages users and configuration; may act on anyone's searches
+ *
+ * Passwords are hashed with scrypt ("scrypt$N$r$p$salt$hash", base64). A login creates a random
+ * session token sent as an HttpOnly cookie; the store keeps only its SHA-256 (sessions collection),
+ * so a copy of db.json cannot be used to log in. Sessions expire SESSION_TTL_HOURS after login.
+ *
+ * apiAccess() guards /api: every call needs a session except the public ones below; writes need
+ * at least analyst unless the route is one of the SELF_SERVICE ones. Routes that need more
+ * (admin, or owning the query a thread or email belongs to) check with requireRole /
+ * canManageQuery / canManageQueryOf.
+ */
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { makeId } = require("./util");
+const { APP_BASE_URL } = require("./config");
+
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS || 12);
+const SESSION_COOKIE = "fg_session";
+const ROLES = ["viewer", "analyst", "admin"];
+
+// Reachable without a session (webhooks authenticate themselves, see webhooks.js)
+const PUBLIC_API = [["POST", "/auth/login"], ["GET", "/auth/me"], ["POST", "/zapier/results"]];
+// Writes every signed-in user may make about themselves
+const SELF_SERVICE = [["POST", "/auth/logout"], ["PATCH", "/auth/me"]];
+
+const MIN_PASSWORD_LENGTH = 10;
+const LOGIN_FAILURES_BEFORE_LOCK = 5;
+const LOGIN_LOCK_MS = 60 * 1000;
+
+const scrypt = promisify(crypto.scrypt);
+const SCRYPT = { N: 16384, r: 8, p: 1 };
+
+function authError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// -------- passwords --------
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, 32, SCRYPT);
+  return ["scrypt", SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString("base64"), hash.toString("base64")].join("$");
+}
+
+async function verifyPassword(password, stored) {
+  const [kind, N, r, p, salt, hash] = String(stored || "").split("$");
+  if (kind !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(String(password), Buffer.from(salt, "base64"), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function passwordProblem(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  }
+  return null;
+}
+
+// -------- users --------
+const normalizeUsername = (name) => String(name || "").trim().toLowerCase();
+
+// The user as the API shows it (never the password hash)
+function publicUser(user) {
+  if (!user) return null;
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+const hasRole = (user, role) => Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+/**
+ * Validates and builds a new user record (password hashed). Throws `status` 400 / 409.
+ * Run the returned record through store.users.put inside a write.
+ */
+async function buildUser(store, { username, password, role = "viewer", name = "" }) {
+  const uname = normalizeUsername(username);
+  if (!/^[a-z0-9._@-]{2,64}$/.test(uname)) {
+    throw authError("Username must be 2-64 characters: letters, digits, . _ @ -", 400);
+  }
+  if (!ROLES.includes(role)) throw authError(`Role must be one of ${ROLES.join(", ")}.`, 400);
+  const problem = passwordProblem(password);
+  if (problem) throw authError(problem, 400);
+  if (store.users.findByUsername(uname)) throw authError(`User "${uname}" already exists.`, 409);
+  const nowIso = new Date().toISOString();
+  return {
+    id: makeId("u"),
+    username: uname,
+    name: String(name || "").trim(),
+    role,
+    disabled: false,
+    passwordHash: await hashPassword(password),
+    preferences: {},
+    createdAt: nowIso,
+    updatedAt: nowIso
+  };
+}
+
+/**
+ * Creates ADMIN_USERNAME / ADMIN_PASSWORD as an admin when the store has no users yet.
+ * Returns the created user or null.
+ */
+async function ensureBootstrapAdmin(store) {
+  const username = process.env.ADMIN_USERNAME;
+  const password = process.env.ADMIN_PASSWORD;
+  if (store.users.list().length) return null;
+  if (!username || !password) {
+    console.warn("No user accounts yet: set ADMIN_USERNAME and ADMIN_PASSWORD, or run `npm run user -- add <name> --role admin`.");
+    return null;
+  }
+  const user = await buildUser(store, { username, password, role: "admin", name: "Administrator" });
+  await store.write(() => {
+    if (!store.users.list().length) store.users.put(user);
+  });
+  console.log(`Created admin user "${user.username}"`);
+  return user;
+}
+
+// -------- sessions --------
+const tokenHash = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Creates a session for the user; run inside a write. Returns the raw token for the cookie.
+function createSession(store, user, { userAgent = "", ip = "" } = {}) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const now = new Date();
+  store.sessions.put({
+    id: tokenHash(token),
+    userId: user.id,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + SESSION_TTL_HOURS * 3600 * 1000).toISOString(),
+    userAgent: String(userAgent).slice(0, 200),
+    ip
+  });
+  return token;
+}
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const eq = part.indexOf("=");
+    if (eq > 0 && part.slice(0, eq).trim() === name) return decodeURIComponent(part.slice(eq + 1).trim());
+  }
+  return "";
+}
+
+function sessionCookie(token, maxAgeSeconds) {
+  const parts = [`${SESSION_COOKIE}=${token}`, "Path=/", "HttpOnly", "SameSite=Lax", `Max-Age=${maxAgeSeconds}`];
+  if (APP_BASE_URL.startsWith("https://")) parts.push("Secure");
+  return parts.join("; ");
+}
+
+const setSessionCookie = (res, token) => res.setHeader("Set-Cookie", sessionCookie(token, SESSION_TTL_HOURS * 3600));
+const clearSessionCookie = (res) => res.setHeader("Set-Cookie", sessionCookie("", 0));
+
+// Resolves the request's session: { session, user } or null. Expired sessions and disabled users count as none.
+function sessionFor(store, req) {
+  const token = readCookie(req, SESSION_COOKIE);
+  if (!token) return null;
+  const session = store.sessions.get(tokenHash(token));
+  if (!session || new Date(session.expiresAt) <= new Date()) return null;
+  const user = store.users.get(session.userId);
+  if (!user || user.disabled) return null;
+  return { session, user };
+}
+
+// Removes expired sessions; run inside a write.
+function pruneSessions(store, now = new Date()) {
+  const expired = store.sessions.list().filter((s) => new Date(s.expiresAt) <= now).map((s) => s.id);
+  if (expired.length) store.sessions.remove(expired);
+  return expired.length;
+}
+
+// -------- login throttling (per username, in memory) --------
+const failures = new Map(); // username -> { count, lockedUntil }
+
+function loginLockedFor(username, now = Date.now()) {
+  const f = failures.get(username);
+  return f && f.lockedUntil > now ? Math.ceil((f.lockedUntil - now) / 1000) : 0;
+}
+
+function recordLoginFailure(username, now = Date.now()) {
+  const f = failures.get(username) || { count: 0, lockedUntil: 0 };
+  f.count++;
+  if (f.count >= LOGIN_FAILURES_BEFORE_LOCK) {
+    f.count = 0;
+    f.lockedUntil = now + LOGIN_LOCK_MS;
+  }
+  failures.set(username, f);
+}
+
+const clearLoginFailures = (username) => failures.delete(username);
+
+// -------- middleware --------
+const routeIn = (list, req) => list.some(([method, p]) => method === req.method && req.path === p);
+
+/**
+ * /api guard: sets req.user (and req.session) from the cookie; 401 without a session,
+ * 403 for writes by viewers.
+ */
+function apiAccess(getStore) {
+  return (req, res, next) => {
+    const found = sessionFor(getStore(), req);
+    req.user = found?.user || null;
+    req.session = found?.session || null;
+    if (routeIn(PUBLIC_API, req)) return next();
+    if (!req.user) return res.status(401).json({ ok: false, error: "Not signed in" });
+    const isWrite = !["GET", "HEAD", "OPTIONS"].includes(req.method);
+    if (isWrite && !routeIn(SELF_SERVICE, req) && !hasRole(req.user, "analyst")) {
+      return res.status(403).json({ ok: false, error: "Your role is read-only" });
+    }
+    next();
+  };
+}
+
+// Route-level check for a minimum role.
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) return res.status(403).json({ ok: false, error: `Requires the ${role} role` });
+    next();
+  };
+}
+
+// Admins manage every search; analysts their own (and legacy searches nobody owns). The shared
+// query of imported files belongs to no analyst: only admins delete or correct imported mail.
+const canManageQuery = (user, query) =>
+  hasRole(user, "admin") || (hasRole(user, "analyst") && query.source !== "import" && (!query.ownerId || query.ownerId === user.id));
+
+// Threads and emails are managed along with the search they belong to.
+const canManageQueryOf = (user, store, record) => canManageQuery(user, store.queries.get(record.queryId) || {});
+
+module.exports = {
+  ROLES,
+  SESSION_TTL_HOURS,
+  authError,
+  hashPassword,
+  verifyPassword,
+  passwordProblem,
+  normalizeUsername,
+  publicUser,
+  hasRole,
+  buildUser,
+  ensureBootstrapAdmin,
+  createSession,
+  setSessionCookie,
+  clearSessionCookie,
+  pruneSessions,
+  loginLockedFor,
+  recordLoginFailure,
+  clearLoginFailures,
+  sessionFor,
+  apiAccess,
+  requireRole,
+  canManageQuery,
+  canManageQueryOf
+};
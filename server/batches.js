@@ -0,0 +1,110 @@
+/**
+ * Batch bookkeeping for search results that arrive in several callback posts.
+ *
+ * Callback contract (all optional; a post without them is one final batch):
+ *   batchIndex      0-based index of this batch
+ *   batchCount      total number of batches, if the sender knows it
+ *   final           true on the last batch (sets batchCount = batchIndex + 1)
+ *   idempotencyKey  per-post key (or the Idempotency-Key header); a retried post with the same key
+ *                   is acknowledged but not stored or counted again
+ *   chunkIndex / chunkCount   a batch too large for one request split into several posts, each with
+ *                   part of the emails; the batch counts as received once every chunk arrived
+ *
+ * Without an explicit key the key is derived from batchIndex/chunkIndex, or for a post without batch
+ * metadata from a hash of its message ids.
+ *
+ * State lives on the query record as `batches` ({ total, done, chunks, keys }) and is reset per run.
+ */
+const { stableHash } = require("./util");
+
+function emptyBatchState() {
+  return { total: null, done: [], chunks: {}, keys: [] };
+}
+
+const intField = (v) => (v === undefined || v === null || v === "" ? null : Number(v));
+
+/**
+ * Reads batch metadata from a callback body. Returns { meta } or { error }.
+ * meta = { key, index, total, chunkIndex, chunkCount }
+ */
+function parseBatchMeta(body, headerKey, emails) {
+  const index = intField(body.batchIndex);
+  const count = intField(body.batchCount);
+  const chunkIndex = intField(body.chunkIndex);
+  const chunkCount = intField(body.chunkCount);
+  const final = body.final === true || body.final === "true" || body.final === 1 || body.final === "1";
+
+  const isIndex = (n) => Number.isInteger(n) && n >= 0;
+  if (index !== null && !isIndex(index)) return { error: "batchIndex must be a whole number >= 0" };
+  if (count !== null && !(Number.isInteger(count) && count >= 1)) return { error: "batchCount must be a whole number >= 1" };
+  if (index !== null && count !== null && index >= count) return { error: "batchIndex must be below batchCount" };
+  if ((chunkIndex === null) !== (chunkCount === null)) return { error: "chunkIndex and chunkCount go together" };
+  if (chunkCount !== null && !(Number.isInteger(chunkCount) && chunkCount >= 1 && isIndex(chunkIndex) && chunkIndex < chunkCount)) {
+    return { error: "chunkIndex must be a whole number below chunkCount" };
+  }
+
+  const legacy = index === null && count === null && !final && chunkCount === null;
+  const batchIndex = index ?? 0;
+  let total = count;
+  if (final) total = batchIndex + 1;
+  if (index === null && count === null) total = total ?? 1; // no batch numbering: a single batch
+
+  let key = String(headerKey || body.idempotencyKey || "").trim();
+  if (!key) {
+    key = legacy
+      ? `hash:${stableHash(emails.map((e) => String(e?.messageId || e?.id || e?.internetMessageId || "")).sort().join("\n")).slice(0, 24)}`
+      : `batch:${batchIndex}${chunkCount !== null ? `:${chunkIndex}` : ""}`;
+  }
+  return { meta: { key, index: batchIndex, total, chunkIndex, chunkCount } };
+}
+
+// Indices below `total` that have not fully arrived.
+function missingBatches(state) {
+  if (state.total === null) return [];
+  const done = new Set(state.done);
+  const missing = [];
+  for (let i = 0; i < state.total; i++) if (!done.has(i)) missing.push(i);
+  return missing;
+}
+
+/**
+ * Records one post in `state` (a copy is returned; the input is not changed).
+ * Returns { state, duplicate, status } with status "complete" (every batch in), "incomplete"
+ * (the last batch is in but earlier ones are missing) or "partial" (more batches expected).
+ */
+function recordBatch(current, meta) {
+  const state = {
+    total: current?.total ?? null,
+    done: [...(current?.done || [])],
+    chunks: { ...(current?.chunks || {}) },
+    keys: [...(current?.keys || [])]
+  };
+  const duplicate = state.keys.includes(meta.key);
+  if (!duplicate) {
+    state.keys.push(meta.key);
+    if (meta.total !== null) state.total = Math.max(state.total ?? 0, meta.total);
+
+    let batchDone = true;
+    if (meta.chunkCount !== null) {
+      const got = new Set(state.chunks[meta.index] || []);
+      got.add(meta.chunkIndex);
+      batchDone = got.size >= meta.chunkCount;
+      if (batchDone) delete state.chunks[meta.index];
+      else state.chunks[meta.index] = [...got].sort((a, b) => a - b);
+    }
+    if (batchDone && !state.done.includes(meta.index)) {
+      state.done.push(meta.index);
+      state.done.sort((a, b) => a - b);
+    }
+  }
+  return { state, duplicate, status: batchStatus(state) };
+}
+
+function batchStatus(state) {
+  if (state.total === null) return "partial";
+  const missing = missingBatches(state);
+  if (!missing.length) return "complete";
+  return state.done.includes(state.total - 1) ? "incomplete" : "partial";
+}
+
+module.exports = { emptyBatchState, parseBatchMeta, recordBatch, missingBatches };
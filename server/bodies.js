@@ -0,0 +1,392 @@
+/**
+ * Email bodies for display: an allowlist HTML sanitizer, inline (cid:) images, and splitting a
+ * message into what it adds (main), its signature and the earlier messages it quotes.
+ *
+ * Stored emails keep the body as received (bodyHtml / bodyText); renderBody() works from that at read
+ * time, so a sanitizer fix also applies to mail stored before it. The API never hands out the raw
+ * HTML: presentEmail() replaces it with
+ *   body: { format: "html" | "text", main, signature, quoted, remoteImages }
+ * where main / signature / quoted are sanitized HTML fragments ("" when absent) and remoteImages
+ * counts the images that were left out.
+ *
+ * The sanitizer keeps the tags and attributes listed below and drops the rest: scripts, styles,
+ * event handlers, frames, forms, inline CSS, classes. Links keep http(s) and mailto targets only.
+ * Images show when they are parts of the message (cid: resolved from email.inlineImages) or embedded
+ * data: images; remote images become a placeholder unless BODY_REMOTE_IMAGES=allow (they are often
+ * tracking pixels).
+ *
+ * Quoted text starts at the first of: a quote container (Gmail, Apple Mail, Outlook, Thunderbird,
+ * Yahoo markup), an "On ... wrote:" line, an "-----Original Message-----" line, an Outlook header
+ * block (From: followed by Sent:/To:/Subject: lines), or in plain text a trailing run of "> " lines.
+ * The signature starts at a "-- " line, a "Sent from my ..." footer, or a sign-off ("Best regards,")
+ * followed by a few short lines. Each also has German and French forms.
+ */
+
+const { publicAttachment } = require("./attachments");
+
+const BODY_REMOTE_IMAGES = String(process.env.BODY_REMOTE_IMAGES || "block").toLowerCase() === "allow";
+const INLINE_IMAGE_MAX_KB = Number(process.env.INLINE_IMAGE_MAX_KB || 512);
+const CACHE_SIZE = 500;
+
+const ALLOWED_TAGS = new Set([
+  "a", "abbr", "b", "blockquote", "br", "caption", "center", "code", "dd", "div", "dl", "dt", "em",
+  "h1", "h2", "h3", "h4", "h5", "h6", "hr", "i", "img", "li", "ol", "p", "pre", "q", "s", "small",
+  "span", "strike", "strong", "sub", "sup", "table", "tbody", "td", "tfoot", "th", "thead", "tr", "u", "ul"
+]);
+const VOID_TAGS = new Set(["br", "hr", "img"]);
+// dropped together with everything inside them
+const DROP_CONTENT = new Set([
+  "script", "style", "head", "title", "iframe", "frame", "frameset", "object", "embed", "applet",
+  "noscript", "noframes", "template", "svg", "math", "textarea", "select", "audio", "video", "canvas", "xml"
+]);
+// tags that end a line of text, for quote and signature detection
+const BLOCK_TAGS = new Set([
+  "blockquote", "br", "caption", "center", "dd", "div", "dl", "dt", "h1", "h2", "h3", "h4", "h5", "h6",
+  "hr", "li", "ol", "p", "pre", "table", "tbody", "td", "tfoot", "th", "thead", "tr", "ul"
+]);
+
+const ATTRIBUTES = {
+  a: { href: null, title: /^/ },
+  img: { src: null, alt: /^/, title: /^/, width: /^\d{1,4}%?$/, height: /^\d{1,4}%?$/ },
+  td: { colspan: /^\d{1,3}$/, rowspan: /^\d{1,3}$/ },
+  th: { colspan: /^\d{1,3}$/, rowspan: /^\d{1,3}$/ },
+  ol: { start: /^\d{1,6}$/ },
+  "*": { dir: /^(ltr|rtl|auto)$/i }
+};
+
+const DATA_IMAGE = /^data:image\/(png|jpe?g|gif|webp|bmp);base64,[A-Za-z0-9+/=\s]+$/i;
+
+// Markup that mail clients wrap around the quoted message
+function isQuoteContainer(name, attrs) {
+  const cls = String(attrs.class || "").toLowerCase();
+  const id = String(attrs.id || "").toLowerCase();
+  if (name === "blockquote" && String(attrs.type || "").toLowerCase() === "cite") return true;
+  if (/(^|\s)(gmail_quote|yahoo_quoted|moz-cite-prefix|outlookmessageheader|protonmail_quote|zmail_extra)(\s|$)/.test(cls)) return true;
+  return /^(x_)?(divrplyfwdmsg|appendonsend|stopspelling|mail-editor-reference-message-container)$/.test(id);
+}
+
+const QUOTE_INTRO = [
+  /^On\b.{0,300}\bwrote\s?:$/i,
+  /^Le\b.{0,300}\ba écrit\s?:$/i,
+  /^Am\b.{0,300}\bschrieb.{0,120}:$/i,
+  /^-{2,}\s*(Original Message|Forwarded message|Ursprüngliche Nachricht|Message d'origine|Message transféré)\s*-{2,}$/i
+];
+const HEADER_FROM = /^(From|Von|De)\s?:\s*\S/i;
+const HEADER_NEXT = /^(Sent|Date|To|Cc|Subject|Gesendet|Datum|An|Betreff|Envoyé|À|Objet)\s?:/i;
+const SIGNATURE_START = [/^-- ?$/, /^Sent from my\b/i, /^Sent from (Mail|Outlook|Yahoo Mail)\b/i, /^Get Outlook for\b/i, /^Von meinem .{1,40} gesendet$/i, /^Envoyé de mon\b/i];
+const SIGN_OFF =
+  /^((best|kind|warm|warmest|many thanks and)\s+regards|regards|thanks( again| so much)?|many thanks|thank you|cheers|best|best wishes|sincerely|yours (truly|sincerely)|mit freundlichen grüßen|viele grüße|beste grüße|cordialement|bien à vous)\s*[,.!]?$/i;
+const SIGNATURE_MAX_LINES = 6;
+const SIGNATURE_MAX_LINE_LENGTH = 80;
+
+// -------- text helpers --------
+const NAMED_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", shy: "" };
+
+function decodeEntities(s) {
+  return String(s).replace(/&(#x[0-9a-f]{1,6}|#\d{1,7}|[a-z]{2,8});?/gi, (m, ent) => {
+    if (ent[0] === "#") {
+      const code = ent[1].toLowerCase() === "x" ? parseInt(ent.slice(2), 16) : Number(ent.slice(1));
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : "";
+    }
+    const named = NAMED_ENTITIES[ent.toLowerCase()];
+    return named === undefined ? m : named;
+  });
+}
+
+const escapeHtml = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+const collapse = (s) => s.replace(/[\s ​]+/g, " ").trim();
+
+// Text between tags, escaped for output (entities that are already escaped stay as they are)
+const escapeText = (s) =>
+  s.replace(/&(?!(#\d{1,7}|#x[0-9a-f]{1,6}|[a-z][a-z0-9]{1,31});)/gi, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+// Content-ID as used in a cid: URL or a header, for lookups
+const normalizeCid = (cid) => String(cid || "").trim().replace(/^cid:/i, "").replace(/^<+|>+$/g, "").trim();
+
+// -------- sanitizer --------
+const TOKEN_RE = /<!--[\s\S]*?(?:-->|$)|<![^>]*>?|<\?[^>]*>?|<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTR_RE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+function parseAttributes(s) {
+  const attrs = {};
+  for (const m of s.matchAll(ATTR_RE)) {
+    const name = m[1].toLowerCase();
+    if (!(name in attrs)) attrs[name] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? "");
+  }
+  return attrs;
+}
+
+function safeHref(href) {
+  const url = href.replace(/[\u0000- \u007f-\u009f]/g, "");
+  return /^(https?:|mailto:)/i.test(url) ? url : null;
+}
+
+// Where an <img> may load from: { src, remote? }, or { blocked: true, url } / { missing: true } for a placeholder
+function imageSource(src, inlineImages) {
+  const url = src.replace(/[\u0000- \u007f-\u009f]/g, "");
+  if (/^cid:/i.test(url)) {
+    const cid = normalizeCid(url);
+    let decoded = cid;
+    try {
+      decoded = decodeURIComponent(cid);
+    } catch {
+      // not percent-encoded
+    }
+    const images = inlineImages || {};
+    const found = images[cid] || images[decoded] || Object.entries(images).find(([k]) => k.toLowerCase() === decoded.toLowerCase())?.[1];
+    return found ? { src: found } : { missing: true };
+  }
+  if (DATA_IMAGE.test(url)) return { src: url };
+  if (/^https?:/i.test(url)) return BODY_REMOTE_IMAGES ? { src: url, remote: true } : { blocked: true, url };
+  return { missing: true };
+}
+
+function openTag(name, attrs, ctx) {
+  const allowed = { ...ATTRIBUTES["*"], ...ATTRIBUTES[name] };
+  let out = `<${name}`;
+  if (name === "img") {
+    const image = imageSource(attrs.src || "", ctx.inlineImages);
+    const label = attrs.alt ? `image: ${attrs.alt}` : "image";
+    if (image.blocked) {
+      ctx.remoteImages++;
+      return `<span class="imgBlocked" title="${escapeHtml(`Remote image not loaded: ${image.url}`)}">[${escapeHtml(label)}]</span>`;
+    }
+    if (image.missing) return `<span class="imgBlocked">[${escapeHtml(label)}]</span>`;
+    out += ` src="${escapeHtml(image.src)}"`;
+    if (image.remote) out += ` referrerpolicy="no-referrer"`;
+  }
+  if (name === "a") {
+    const href = safeHref(attrs.href || "");
+    if (href) out += ` href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer nofollow"`;
+  }
+  for (const [attr, value] of Object.entries(attrs)) {
+    const re = allowed[attr];
+    if (re && re.test(value)) out += ` ${attr}="${escapeHtml(value)}"`;
+  }
+  return out + ">";
+}
+
+/**
+ * Sanitizes HTML into tokens ({ kind: "open" | "close" | "void" | "text", name, html }) and the
+ * lines of text they hold ({ text, start: token index, marker: quote container }).
+ */
+function tokenizeHtml(html, inlineImages) {
+  const ctx = { inlineImages, remoteImages: 0 };
+  const tokens = [];
+  const lines = [];
+  let line = { text: "", start: 0, marker: false };
+  let dropping = null; // { name, depth } while inside a DROP_CONTENT element
+  let last = 0;
+
+  const endLine = (next = tokens.length, marker = false) => {
+    const text = collapse(line.text);
+    if (text || line.marker) lines.push({ ...line, text });
+    line = { text: "", start: next, marker };
+  };
+  const addText = (raw) => {
+    if (dropping || !raw) return;
+    line.text += decodeEntities(raw);
+    tokens.push({ kind: "text", html: escapeText(raw) });
+  };
+
+  for (const m of html.matchAll(TOKEN_RE)) {
+    addText(html.slice(last, m.index));
+    last = m.index + m[0].length;
+    if (!m[2]) continue; // comment, doctype, processing instruction
+    const closing = Boolean(m[1]);
+    const name = m[2].toLowerCase();
+
+    if (dropping) {
+      if (name === dropping.name) dropping.depth += closing ? -1 : 1;
+      if (dropping.depth <= 0) dropping = null;
+      continue;
+    }
+    if (DROP_CONTENT.has(name)) {
+      if (!closing && !/\/\s*$/.test(m[3])) dropping = { name, depth: 1 };
+      continue;
+    }
+    const attrs = closing ? {} : parseAttributes(m[3]);
+    if (!closing && isQuoteContainer(name, attrs)) endLine(tokens.length, true);
+    else if (BLOCK_TAGS.has(name) && !closing && name !== "br") endLine();
+    if (!ALLOWED_TAGS.has(name)) continue;
+
+    if (closing) {
+      if (!VOID_TAGS.has(name)) tokens.push({ kind: "close", name, html: `</${name}>` });
+    } else {
+      const tagHtml = openTag(name, attrs, ctx);
+      tokens.push({ kind: VOID_TAGS.has(name) || !tagHtml.startsWith(`<${name}`) ? "void" : "open", name, html: tagHtml });
+      if (name === "img") line.text += " [image] ";
+    }
+    if (BLOCK_TAGS.has(name) && (closing || VOID_TAGS.has(name))) endLine();
+  }
+  addText(html.slice(last));
+  endLine();
+  return { tokens, lines, remoteImages: ctx.remoteImages };
+}
+
+// Joins tokens into well-formed HTML: stray closing tags are dropped, open ones closed at the end.
+function joinTokens(tokens) {
+  const open = [];
+  let out = "";
+  for (const t of tokens) {
+    if (t.kind === "open") {
+      open.push(t.name);
+      out += t.html;
+    } else if (t.kind === "close") {
+      const at = open.lastIndexOf(t.name);
+      if (at < 0) continue;
+      while (open.length > at) out += `</${open.pop()}>`;
+    } else {
+      out += t.html;
+    }
+  }
+  while (open.length) out += `</${open.pop()}>`;
+  return out;
+}
+
+// Sanitized HTML of a whole body (see the allowlist above)
+function sanitizeHtml(html, { inlineImages } = {}) {
+  return joinTokens(tokenizeHtml(String(html || ""), inlineImages).tokens);
+}
+
+// -------- quotes and signatures --------
+
+/**
+ * Where the quoted text and the signature start, as indexes into `lines` (null when absent).
+ * lines: [{ text, marker?, quotePrefix? }] without blank lines.
+ */
+function findCuts(lines) {
+  let quoteAt = null;
+  for (let i = 0; i < lines.length && quoteAt === null; i++) {
+    const t = lines[i].text;
+    const next = lines[i + 1]?.text || "";
+    if (lines[i].marker || QUOTE_INTRO.some((re) => re.test(t))) quoteAt = i;
+    // "On Mon, 3 Jun 2024 at 10:02, Ann <ann@example.com>" + "wrote:" when the client wrapped the line
+    else if (/^(On|Le|Am)\b/.test(t) && next && t.length + next.length < 300 && QUOTE_INTRO.some((re) => re.test(`${t} ${next}`))) quoteAt = i;
+    else if (HEADER_FROM.test(t) && lines.slice(i + 1, i + 5).filter((l) => HEADER_NEXT.test(l.text)).length >= 2) {
+      quoteAt = i > 0 && /^_{10,}$/.test(lines[i - 1].text) ? i - 1 : i;
+    } else if (lines[i].quotePrefix && lines.slice(i).every((l) => l.quotePrefix)) quoteAt = i;
+  }
+
+  const end = quoteAt ?? lines.length;
+  let signatureAt = null;
+  for (let i = 1; i < end && signatureAt === null; i++) {
+    const t = lines[i].text;
+    if (SIGNATURE_START.some((re) => re.test(t))) signatureAt = i;
+    else if (SIGN_OFF.test(t)) {
+      const rest = lines.slice(i + 1, end);
+      if (rest.length <= SIGNATURE_MAX_LINES && rest.every((l) => l.text.length <= SIGNATURE_MAX_LINE_LENGTH)) signatureAt = i;
+    }
+  }
+  return { quoteAt, signatureAt };
+}
+
+const hasContent = (html) => /<img\b/i.test(html) || collapse(decodeEntities(html.replace(/<[^>]*>/g, " "))) !== "";
+
+function splitHtml(html, inlineImages) {
+  const { tokens, lines, remoteImages } = tokenizeHtml(html, inlineImages);
+  const { quoteAt, signatureAt } = findCuts(lines);
+  const quoteStart = quoteAt === null ? tokens.length : lines[quoteAt].start;
+  const signatureStart = signatureAt === null ? quoteStart : lines[signatureAt].start;
+  const part = (from, to) => {
+    const out = joinTokens(tokens.slice(from, to));
+    return hasContent(out) ? out : "";
+  };
+  return {
+    format: "html",
+    main: part(0, signatureStart),
+    signature: part(signatureStart, quoteStart),
+    quoted: part(quoteStart, tokens.length),
+    remoteImages
+  };
+}
+
+// Plain text as HTML: escaped, links made clickable, line breaks kept by the "plain" class
+function textToHtml(text) {
+  const trimmed = text.replace(/^\s*\n|\s+$/g, "");
+  if (!trimmed) return "";
+  const linked = escapeHtml(trimmed).replace(
+    /\b(https?:\/\/[^\s<>"]+[^\s<>".,;:!?)\]'])/g,
+    (url) => `<a href="${url}" target="_blank" rel="noopener noreferrer nofollow">${url}</a>`
+  );
+  return `<div class="plain">${linked}</div>`;
+}
+
+function splitText(text) {
+  const raw = String(text).replace(/\r\n?/g, "\n").split("\n");
+  const lines = [];
+  raw.forEach((l, index) => {
+    const text = collapse(l);
+    if (text) lines.push({ text, start: index, quotePrefix: /^\s*>/.test(l) });
+  });
+  const { quoteAt, signatureAt } = findCuts(lines);
+  const quoteStart = quoteAt === null ? raw.length : lines[quoteAt].start;
+  const signatureStart = signatureAt === null ? quoteStart : lines[signatureAt].start;
+  const part = (from, to) => textToHtml(raw.slice(from, to).join("\n"));
+  return {
+    format: "text",
+    main: part(0, signatureStart),
+    signature: part(signatureStart, quoteStart),
+    quoted: part(quoteStart, raw.length),
+    remoteImages: 0
+  };
+}
+
+// -------- stored emails --------
+const cache = new Map(); // email id -> { stamp, body }
+
+/**
+ * Display body of a stored (or incoming) email: the HTML body when there is one, else the text
+ * body, else the snippet. See the top of this file for the shape.
+ */
+function renderBody(email) {
+  const stamp = `${(email.bodyHtml || "").length}:${(email.bodyText || "").length}:${Object.keys(email.inlineImages || {}).length}`;
+  const hit = email.id && cache.get(email.id);
+  if (hit && hit.stamp === stamp) return hit.body;
+
+  let body;
+  if (String(email.bodyHtml || "").trim()) body = splitHtml(email.bodyHtml, email.inlineImages);
+  else body = splitText(email.bodyText || email.snippet || "");
+
+  if (email.id) {
+    cache.delete(email.id);
+    cache.set(email.id, { stamp, body });
+    if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+  }
+  return body;
+}
+
+// Plain text of what the email adds, e.g. for a snippet when the source sent none
+function newText(email) {
+  const { main } = renderBody(email);
+  const withoutImages = main.replace(/<span class="imgBlocked"[^>]*>[^<]*<\/span>/g, " ");
+  return collapse(decodeEntities(withoutImages.replace(/<br\s*\/?>|<\/(p|div|li|tr|h[1-6])>/gi, "\n").replace(/<[^>]*>/g, " ")));
+}
+
+/**
+ * Inline images worth keeping from an incoming payload: { "<content-id>": "data:image/...;base64,..." },
+ * each at most INLINE_IMAGE_MAX_KB. Returns null when there are none.
+ */
+function cleanInlineImages(images) {
+  if (!images || typeof images !== "object" || Array.isArray(images)) return null;
+  const out = {};
+  for (const [cid, uri] of Object.entries(images)) {
+    const key = normalizeCid(cid);
+    if (!key || typeof uri !== "string" || !DATA_IMAGE.test(uri)) continue;
+    if (uri.length * 0.75 > INLINE_IMAGE_MAX_KB * 1024) continue;
+    out[key] = uri.replace(/\s+/g, "");
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+/**
+ * An email as the API returns it: raw HTML, inline image data and attachment content removed, and
+ * with `full` the sanitized `body` added. Lists use full: false to stay small.
+ */
+function presentEmail(email, { full = true } = {}) {
+  const { bodyHtml, inlineImages, ...rest } = email;
+  rest.attachments = (email.attachments || []).map((a) => publicAttachment(a, email));
+  return full ? { ...rest, body: renderBody(email) } : rest;
+}
+
+module.exports = { sanitizeHtml, renderBody, newText, cleanInlineImages, normalizeCid, presentEmail };
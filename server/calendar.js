@@ -0,0 +1,278 @@
+/**
+ * Working calendars for business-time response metrics.
+ *
+ * calendar.json (path from CALENDAR_PATH) looks like:
+ * {
+ *   "default": {
+ *     "name": "Doha office",
+ *     "timezone": "Asia/Qatar",
+ *     "workingHours": { "sun": "08:00-17:00", "mon": "08:00-17:00", "thu": ["08:00-12:00", "13:00-16:00"] },
+ *     "holidaysFile": "holidays.json"
+ *   },
+ *   "teams": [{ "name": "UK team", "members": ["ann@futuregate.info"], "calendar": { "timezone": "Europe/London" } }],
+ *   "clientDomains": { "siemens.com": { "name": "Siemens contract hours", "timezone": "Europe/Berlin" } }
+ * }
+ *
+ * Team and client-domain calendars inherit anything they don't set from "default".
+ * A holidays file is a JSON array of "YYYY-MM-DD" strings or { "date": "YYYY-MM-DD", "name": "..." } objects,
+ * resolved relative to calendar.json. Without a calendar.json every message uses Mon-Fri 09:00-17:00 UTC.
+ */
+const fs = require("fs");
+const path = require("path");
+const { safeEmail, domainOf } = require("./util");
+
+const CALENDAR_PATH = process.env.CALENDAR_PATH || path.join(process.cwd(), "calendar.json");
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DAY_MS = 86400000;
+const MAX_DAYS = 3 * 366; // cap on how far back an unanswered message is measured
+
+const BUILTIN_DEFAULT = {
+  name: "default",
+  timezone: "UTC",
+  workingHours: { mon: "09:00-17:00", tue: "09:00-17:00", wed: "09:00-17:00", thu: "09:00-17:00", fri: "09:00-17:00" },
+  holidays: []
+};
+
+let cache = null; // { mtimeMs, calendars }
+
+function parseClock(s, label) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(s).trim());
+  if (!m || Number(m[1]) > 24 || Number(m[2]) > 59) throw new Error(`Invalid time "${s}" in ${label}`);
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+function parseSpans(value, label) {
+  const list = Array.isArray(value) ? value : (value ? [value] : []);
+  return list.map((span) => {
+    const [a, b] = String(span).split("-");
+    const start = parseClock(a, label);
+    const end = parseClock(b, label);
+    if (end <= start) throw new Error(`Working hours "${span}" in ${label} must end after they start`);
+    return [start, end];
+  });
+}
+
+function readHolidays(file, baseDir) {
+  const full = path.resolve(baseDir, file);
+  const list = JSON.parse(fs.readFileSync(full, "utf-8"));
+  if (!Array.isArray(list)) throw new Error(`Holidays file ${full} must contain a JSON array`);
+  return list.map((h) => (typeof h === "string" ? h : h?.date));
+}
+
+// Turn a (partial) config entry into { name, timezone, week, holidays } on top of `base`.
+function compileCalendar(entry, base, baseDir, label) {
+  const name = entry.name || label;
+  const timezone = entry.timezone || base?.timezone || "UTC";
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+  } catch {
+    throw new Error(`Unknown timezone "${timezone}" in ${label}`);
+  }
+
+  let week = base?.week;
+  if (entry.workingHours || !week) {
+    const hours = entry.workingHours || {};
+    for (const key of Object.keys(hours)) {
+      if (!DAYS.includes(key)) throw new Error(`Unknown weekday "${key}" in ${label} (use ${DAYS.join(", ")})`);
+    }
+    week = DAYS.map((d) => parseSpans(hours[d], `${label}.workingHours.${d}`));
+  }
+
+  let holidays = base?.holidays;
+  if (entry.holidays || entry.holidaysFile || !holidays) {
+    const dates = [...(entry.holidays || [])].map((h) => (typeof h === "string" ? h : h?.date));
+    if (entry.holidaysFile) dates.push(...readHolidays(entry.holidaysFile, baseDir));
+    for (const d of dates) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(String(d))) throw new Error(`Invalid holiday date "${d}" in ${label}`);
+    }
+    holidays = new Set(dates);
+  }
+
+  return { name, timezone, week, holidays };
+}
+
+function compileConfig(config, baseDir) {
+  const def = compileCalendar({ ...BUILTIN_DEFAULT, ...(config.default || {}) }, null, baseDir, "default");
+
+  const byMember = new Map();
+  for (const [i, team] of (config.teams || []).entries()) {
+    const label = team.name || `teams[${i}]`;
+    const cal = compileCalendar({ name: label, ...(team.calendar || {}) }, def, baseDir, label);
+    for (const member of team.members || []) byMember.set(safeEmail(member), cal);
+  }
+
+  const byDomain = new Map();
+  for (const [domain, entry] of Object.entries(config.clientDomains || {})) {
+    byDomain.set(domain.toLowerCase(), compileCalendar({ name: domain, ...entry }, def, baseDir, domain));
+  }
+
+  return { default: def, byMember, byDomain };
+}
+
+/**
+ * Load (and cache) calendar.json. The file is re-read when it changes on disk;
+ * a broken edit keeps the last good calendars and logs the error.
+ */
+function loadCalendars() {
+  let mtimeMs = 0;
+  try {
+    mtimeMs = fs.statSync(CALENDAR_PATH).mtimeMs;
+  } catch {
+    mtimeMs = -1;
+  }
+  if (cache && cache.mtimeMs === mtimeMs) return cache.calendars;
+
+  try {
+    const config = mtimeMs === -1 ? {} : JSON.parse(fs.readFileSync(CALENDAR_PATH, "utf-8"));
+    const calendars = compileConfig(config, path.dirname(CALENDAR_PATH));
+    cache = { mtimeMs, calendars };
+    return calendars;
+  } catch (e) {
+    if (!cache) throw new Error(`Failed to load ${CALENDAR_PATH}: ${e.message}`);
+    console.error(`Ignoring invalid ${CALENDAR_PATH}: ${e.message}`);
+    cache.mtimeMs = mtimeMs;
+    return cache.calendars;
+  }
+}
+
+/**
+ * Which calendar governs a client message: the client's domain (or a parent domain) first,
+ * then the team of the staff member who answered (or was addressed), then the default.
+ */
+function calendarFor({ clientEmail, staffEmail } = {}) {
+  const calendars = loadCalendars();
+  let domain = domainOf(clientEmail);
+  while (domain) {
+    const cal = calendars.byDomain.get(domain);
+    if (cal) return cal;
+    const dot = domain.indexOf(".");
+    domain = dot >= 0 ? domain.slice(dot + 1) : "";
+  }
+  return calendars.byMember.get(safeEmail(staffEmail)) || calendars.default;
+}
+
+const partsFormatters = new Map();
+
+function localParts(date, timezone) {
+  let f = partsFormatters.get(timezone);
+  if (!f) {
+    f = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone, hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit"
+    });
+    partsFormatters.set(timezone, f);
+  }
+  const p = {};
+  for (const { type, value } of f.formatToParts(date)) p[type] = Number(value);
+  return p;
+}
+
+// UTC offset of `timezone` at instant `ms`, in ms.
+function offsetAt(ms, timezone) {
+  const p = localParts(new Date(ms), timezone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Working spans of one local calendar day as UTC [startMs, endMs] pairs.
+ * `day` is the local date encoded as UTC midnight. The offset is taken at local noon,
+ * so a DST switch in the small hours doesn't shift that day's hours.
+ */
+function workingSpans(day, calendar) {
+  const date = new Date(day);
+  if (calendar.holidays.has(date.toISOString().slice(0, 10))) return [];
+  const spans = calendar.week[date.getUTCDay()];
+  if (!spans.length) return [];
+  const tz = calendar.timezone;
+  const offset = offsetAt(day + 12 * 3600000 - offsetAt(day + 12 * 3600000, tz), tz);
+  return spans.map(([a, b]) => [day + a * 60000 - offset, day + b * 60000 - offset]);
+}
+
+function localDay(ms, timezone) {
+  const p = localParts(new Date(ms), timezone);
+  return Date.UTC(p.year, p.month - 1, p.day);
+}
+
+// Working ms per weekday and per week, and holidays as day numbers (local midnight as UTC ms).
+const weekCache = new WeakMap();
+
+function weekTotals(calendar) {
+  let totals = weekCache.get(calendar);
+  if (!totals) {
+    const perDay = calendar.week.map((spans) => spans.reduce((sum, [a, b]) => sum + (b - a) * 60000, 0));
+    totals = { perDay, week: perDay.reduce((a, b) => a + b, 0), holidays: [...calendar.holidays].map((d) => Date.parse(`${d}T00:00:00Z`)) };
+    weekCache.set(calendar, totals);
+  }
+  return totals;
+}
+
+function spanMsWithin(day, calendar, startMs, endMs) {
+  let ms = 0;
+  for (const [a, b] of workingSpans(day, calendar)) {
+    const lo = Math.max(a, startMs);
+    const hi = Math.min(b, endMs);
+    if (hi > lo) ms += hi - lo;
+  }
+  return ms;
+}
+
+/**
+ * Seconds between two instants that fall inside the calendar's working hours,
+ * skipping closed weekdays and holidays.
+ * The first and last week are walked day by day; the whole weeks between them lie entirely
+ * inside the interval and are counted from the weekly hours, minus the holidays among them.
+ */
+function businessSecondsBetween(start, end, calendar) {
+  const startMs = new Date(start).getTime();
+  const endMs = new Date(end).getTime();
+  if (!(endMs > startMs)) return 0;
+
+  const lastDay = localDay(endMs, calendar.timezone);
+  const firstDay = Math.max(localDay(startMs, calendar.timezone), lastDay - MAX_DAYS * DAY_MS);
+  const weeks = Math.max(0, Math.floor(((lastDay - firstDay) / DAY_MS + 1 - 14) / 7));
+  const midStart = firstDay + 7 * DAY_MS;
+  const midEnd = midStart + weeks * 7 * DAY_MS;
+
+  let totalMs = 0;
+  for (let day = firstDay; day <= lastDay; day += DAY_MS) {
+    if (day === midStart && weeks) day = midEnd;
+    totalMs += spanMsWithin(day, calendar, startMs, endMs);
+  }
+  if (weeks) {
+    const totals = weekTotals(calendar);
+    totalMs += weeks * totals.week;
+    for (const h of totals.holidays) {
+      if (h >= midStart && h < midEnd) totalMs -= totals.perDay[new Date(h).getUTCDay()];
+    }
+  }
+  return Math.floor(totalMs / 1000);
+}
+
+// The instant at which `seconds` of working time have passed since `start` (null if never within MAX_DAYS).
+function businessDeadline(start, seconds, calendar) {
+  if (!weekTotals(calendar).week) return null; // never open
+  const startMs = new Date(start).getTime();
+  let remainingMs = Math.max(0, seconds) * 1000;
+  let day = localDay(startMs, calendar.timezone);
+
+  for (let i = 0; i < MAX_DAYS; i++, day += DAY_MS) {
+    for (const [a, b] of workingSpans(day, calendar)) {
+      const lo = Math.max(a, startMs);
+      if (b <= lo) continue;
+      if (b - lo >= remainingMs) return new Date(lo + remainingMs);
+      remainingMs -= b - lo;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  CALENDAR_PATH,
+  loadCalendars,
+  calendarFor,
+  localParts,
+  offsetAt,
+  businessSecondsBetween,
+  businessDeadline
+};
@@ -1,25 +1,58 @@
-const { domainOf, normalizeSubject, stableHash, parseIsoDate, pickParticipants, safeEmail } = require("./util");
+const { normalizeSubject, stableHash, parseIsoDate, pickParticipants, safeEmail, percentile } = require("./util");
 const { nanoid } = require("nanoid");
+const { calendarFor, businessSecondsBetween } = require("./calendar");
+const { normalizeMessageId, parseIdList, referencesOf, createThreadIndex } = require("./threading");
+const { cleanInlineImages, newText } = require("./bodies");
+const { cleanAttachments } = require("./attachments");
+const { classify } = require("./directory");
 
-const STAFF_DOMAIN = (process.env.STAFF_DOMAIN || "futuregate.info").toLowerCase();
-
+// "staff" | "client" | "ignored" (no-reply and other senders left out of metrics), see directory.js
 function classifyDirection(fromEmail) {
-  return domainOf(fromEmail) === STAFF_DOMAIN ? "staff" : "client";
+  return classify(fromEmail);
 }
 
+// Key of a new thread; see threading.js for how messages find an existing one first.
 function threadKeyFor(email) {
   if (email.conversationId) return `conv:${email.conversationId}`;
+  const refs = email.references || [];
+  if (refs.length) return `ref:${refs[0]}`; // the thread's root message, even if it has not arrived
+  // a source that sends reply headers sent none: this message starts a conversation of its own
+  if (email.headersKnown && email.messageId) return `msg:${email.messageId}`;
   const subject = normalizeSubject(email.subject || "");
   const participants = pickParticipants(email);
   const key = stableHash(subject + "|" + participants.join(","));
   return `fallback:${key}`;
 }
 
-function upsertEmailsAndThreads(db, queryId, incomingEmails) {
+// Moves the emails of `sourceIds` into `target` and drops those threads (their summaries no longer apply).
+function mergeThreads(store, target, sourceIds) {
+  for (const email of store.emails.list({ threadId: sourceIds })) store.emails.put({ ...email, threadId: target.id });
+  store.summaries.remove(store.summaries.list({ threadId: sourceIds }).map(s => s.id));
+  store.threads.remove(sourceIds);
+  refreshThreadStats(target, store.emails.list({ threadId: target.id }));
+  store.threads.put(target);
+  return target;
+}
+
+/**
+ * Store incoming emails (deduplicated by messageId) and group them into threads of this query,
+ * by In-Reply-To / References first (see threading.js). Threads that a new message shows to be one
+ * conversation are merged, unless a manual correction touched them; merged-away ids are returned in
+ * threadIdsMerged. A message with a manual override (query.threadOverrides, see corrections.js) goes
+ * to the thread it was put in. Attachment metadata is cleaned by attachments.js and kept on the email.
+ * New emails carry the query's current run number (`run`); so does their thread (`lastRun`).
+ * `store` is a storage adapter from server/storage; run inside store.transaction().
+ */
+function upsertEmailsAndThreads(store, queryId, incomingEmails) {
   const nowIso = new Date().toISOString();
 
   const emailIdsCreated = [];
   const threadIdsTouched = new Set();
+  const threadIdsMerged = [];
+  const index = createThreadIndex(store, queryId);
+  const query = store.queries.get(queryId);
+  const overrides = query?.threadOverrides || {};
+  const run = query?.runs || null; // the search run these results belong to
 
   for (const e of incomingEmails) {
     const sentAt = parseIsoDate(e.sentAt || e.dateTime || e.receivedAt || e.receivedTime || e.sentTime);
@@ -30,17 +63,50 @@ function upsertEmailsAndThreads(db, queryId, incomingEmails) {
     const cc = Array.isArray(e.cc) ? e.cc.map(safeEmail) : (e.cc ? [safeEmail(e.cc)] : []);
 
     const direction = classifyDirection(from);
-    const messageId = String(e.messageId || e.id || e.internetMessageId || "").trim();
+    const rawMessageId = String(e.messageId || e.id || e.internetMessageId || "").trim();
+    const messageId = normalizeMessageId(rawMessageId);
+    const references = referencesOf({ messageId, references: e.references, inReplyTo: e.inReplyTo });
+    const inReplyTo = parseIdList(e.inReplyTo)[0] || null;
 
     // Dedup: messageId within same query or globally
-    const already = db.emails.find(x => x.messageId && messageId && x.messageId === messageId);
+    // (ids stored before normalization may still carry their <>)
+    const already = messageId
+      ? store.emails.findByMessageId(messageId) || (rawMessageId !== messageId ? store.emails.findByMessageId(rawMessageId) : null)
+      : null;
     if (already) {
+      // emails stored before headers (or attachment metadata) were collected pick them up from a re-run
+      const patch = {};
+      if (references.length && !already.references?.length) Object.assign(patch, { inReplyTo, references });
+      if (!already.attachments?.length && e.attachments?.length) patch.attachments = cleanAttachments(e.attachments, already.id, already);
+      if (Object.keys(patch).length) store.emails.put({ ...already, ...patch });
       threadIdsTouched.add(already.threadId);
       continue;
     }
 
-    const key = threadKeyFor({ subject: e.subject, conversationId: e.conversationId, from, to, cc });
-    let thread = db.threads.find(t => t.key === key && t.queryId === queryId);
+    const headersKnown = e.inReplyTo !== undefined || e.references !== undefined;
+    const pinnedKey = messageId ? overrides[messageId] : null;
+    const key = pinnedKey || threadKeyFor({ subject: e.subject, conversationId: e.conversationId, references, headersKnown, messageId, from, to, cc });
+    let thread = null;
+    const linked = pinnedKey ? [] : index.linkedThreads(messageId, references).map(id => store.threads.get(id)).filter(Boolean);
+    if (linked.length) {
+      // threads someone split or regrouped by hand stay as they are: join the nearest ancestor's thread
+      const locked = linked.some(t => t.manual);
+      if (!locked) linked.sort((a, b) => new Date(a.firstAt) - new Date(b.firstAt));
+      thread = linked[0];
+      const sourceIds = locked ? [] : linked.slice(1).map(t => t.id);
+      if (sourceIds.length) {
+        mergeThreads(store, thread, sourceIds);
+        index.moved(sourceIds, thread.id);
+        for (const id of sourceIds) threadIdsTouched.delete(id);
+        threadIdsMerged.push(...sourceIds);
+      }
+    }
+    if (pinnedKey) {
+      thread = store.threads.findByKey(queryId, pinnedKey);
+    } else if (!thread) {
+      const conversationThreadId = index.conversationThread(e.conversationId);
+      thread = conversationThreadId ? store.threads.get(conversationThreadId) : store.threads.findByKey(queryId, key);
+    }
     if (!thread) {
       thread = {
         id: "t_" + nanoid(10),
@@ -51,15 +117,20 @@ function upsertEmailsAndThreads(db, queryId, incomingEmails) {
         participants: Array.from(new Set([from, ...to, ...cc])).filter(Boolean).sort(),
         firstAt: sentAt.toISOString(),
         lastAt: sentAt.toISOString(),
-        createdAt: nowIso
+        lastDirection: direction === "ignored" ? null : direction,
+        messageCount: 0,
+        createdAt: nowIso,
+        ...(pinnedKey ? { manual: true } : {})
       };
-      db.threads.push(thread);
     } else {
       // update thread window
       const first = new Date(thread.firstAt);
       const last = new Date(thread.lastAt);
       if (sentAt < first) thread.firstAt = sentAt.toISOString();
-      if (sentAt > last) thread.lastAt = sentAt.toISOString();
+      if (sentAt >= last) {
+        thread.lastAt = sentAt.toISOString();
+        if (direction !== "ignored") thread.lastDirection = direction;
+      }
       // also merge participants
       const merged = Array.from(new Set([...(thread.participants || []), from, ...to, ...cc])).filter(Boolean).sort();
       thread.participants = merged;
@@ -69,33 +140,157 @@ function upsertEmailsAndThreads(db, queryId, incomingEmails) {
       }
     }
 
+    const emailId = "m_" + nanoid(10);
+    const inlineImages = cleanInlineImages(e.inlineImages);
     const email = {
-      id: "m_" + nanoid(10),
+      id: emailId,
       queryId,
       threadId: thread.id,
       messageId: messageId || null,
       conversationId: e.conversationId || null,
+      inReplyTo,
+      references,
       subject: e.subject || "",
       from,
       to,
       cc,
       sentAt: sentAt.toISOString(),
-      snippet: (e.snippet || e.preview || "").slice(0, 500),
       bodyHtml: e.bodyHtml || e.body || "",
       bodyText: e.bodyText || "",
+      inlineImages,
+      attachments: cleanAttachments(e.attachments, emailId, { inlineImages }),
       direction,
+      run,
       createdAt: nowIso
     };
+    // without a snippet from the source, the start of the message's own text (quotes left out)
+    email.snippet = (e.snippet || e.preview || newText(email)).slice(0, 500);
 
-    db.emails.push(email);
+    store.emails.put(email);
+    index.add(email);
+    thread.messageCount = (thread.messageCount || 0) + 1;
+    if (run) thread.lastRun = run;
+    store.threads.put(thread);
     emailIdsCreated.push(email.id);
     threadIdsTouched.add(thread.id);
   }
 
-  return { emailIdsCreated, threadIdsTouched: Array.from(threadIdsTouched) };
+  return { emailIdsCreated, threadIdsTouched: Array.from(threadIdsTouched), threadIdsMerged };
+}
+
+// Delete threads together with their emails and summaries. Returns the number of emails removed.
+function removeThreads(store, threadIds) {
+  if (!threadIds.length) return 0;
+  const emailIds = store.emails.list({ threadId: threadIds }).map(e => e.id);
+  store.emails.remove(emailIds);
+  store.summaries.remove(store.summaries.list({ threadId: threadIds }).map(s => s.id));
+  store.threads.remove(threadIds);
+  return emailIds.length;
+}
+
+// Delete one email; its thread is refreshed, or dropped when it has no emails left.
+function removeEmail(store, emailId) {
+  const email = store.emails.get(emailId);
+  if (!email) return null;
+  store.emails.remove([emailId]);
+
+  const thread = email.threadId ? store.threads.get(email.threadId) : null;
+  if (thread) {
+    const rest = store.emails.list({ threadId: thread.id });
+    if (rest.length) store.threads.put(refreshThreadStats(thread, rest));
+    else removeThreads(store, [thread.id]);
+  }
+  return email;
+}
+
+/**
+ * Re-applies the directory (directory.js) to stored emails after it changed: direction of every
+ * email, and the stats of threads whose emails changed. Returns { emailsChanged, threadIds } so the
+ * caller can refresh SLA state (sla.js refreshThreadSla).
+ */
+function reclassifyEmails(store) {
+  const changed = [];
+  for (const email of store.emails.list()) {
+    const direction = classifyDirection(email.from);
+    if (email.direction === direction) continue;
+    store.emails.put({ ...email, direction });
+    changed.push(email);
+  }
+  const threadIds = [...new Set(changed.map(e => e.threadId).filter(Boolean))];
+  const byThread = groupEmailsByThread(store.emails.list({ threadId: threadIds }));
+  for (const thread of store.threads.list({ ids: threadIds })) {
+    store.threads.put(refreshThreadStats(thread, byThread.get(thread.id) || []));
+  }
+  return { emailsChanged: changed.length, threadIds };
+}
+
+function groupEmailsByThread(emails) {
+  const byThread = new Map();
+  for (const email of emails) {
+    if (!email.threadId) continue;
+    if (!byThread.has(email.threadId)) byThread.set(email.threadId, []);
+    byThread.get(email.threadId).push(email);
+  }
+  return byThread;
+}
+
+// Recompute a thread's derived fields from its emails (after deletes or legacy upgrades).
+function refreshThreadStats(thread, emails) {
+  const sorted = [...emails].sort((a,b) => new Date(a.sentAt) - new Date(b.sentAt));
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+  thread.firstAt = first?.sentAt || thread.firstAt || "";
+  thread.lastAt = last?.sentAt || thread.lastAt || "";
+  thread.lastDirection = sorted.filter(e => e.direction !== "ignored").pop()?.direction || null;
+  thread.messageCount = sorted.length;
+  thread.participants = Array.from(new Set(sorted.flatMap(e => [e.from, ...(e.to||[]), ...(e.cc||[])]))).filter(Boolean).sort();
+  return thread;
+}
+
+/**
+ * Older db.json files were written by the first server.js ingestion path:
+ * threads carried `messageIds` and emails had no threadId/direction.
+ * Bring them in line with the model above. Returns the number of records changed.
+ */
+function upgradeLegacyRecords(db) {
+  let changed = 0;
+  const emailsByMessageId = new Map(db.emails.map(e => [e.messageId, e]));
+
+  for (const thread of db.threads) {
+    if (!Array.isArray(thread.messageIds)) continue;
+    for (const mid of thread.messageIds) {
+      const email = emailsByMessageId.get(mid);
+      if (email && !email.threadId) email.threadId = thread.id;
+    }
+    delete thread.messageIds;
+    changed++;
+  }
+
+  for (const email of db.emails) {
+    if (!email.direction) {
+      email.direction = classifyDirection(email.from);
+      changed++;
+    }
+  }
+
+  const byThread = groupEmailsByThread(db.emails);
+  for (const thread of db.threads) {
+    if (typeof thread.messageCount === "number" && thread.lastDirection !== undefined) continue;
+    refreshThreadStats(thread, byThread.get(thread.id) || []);
+    changed++;
+  }
+
+  return changed;
 }
 
-function computeResponseMetrics(emails) {
+/**
+ * Per-client-message response times for one thread.
+ * Each client message is answered by the first staff message sent after it; messages
+ * with no later staff reply are reported as unanswered with their age at `now`.
+ * Every duration is given wall-clock (`*Seconds`) and in working time (`*BusinessSeconds`)
+ * using the calendar from calendar.js that applies to that client/staff pair.
+ */
+function computeResponseMetrics(emails, { now = new Date(), resolveCalendar = calendarFor } = {}) {
   // emails: already filtered for one thread, unsorted OK
   const sorted = [...emails].sort((a,b) => new Date(a.sentAt) - new Date(b.sentAt));
 
@@ -109,29 +304,67 @@ function computeResponseMetrics(emails) {
     for (let j = i + 1; j < sorted.length; j++) {
       if (sorted[j].direction === "staff") { reply = sorted[j]; break; }
     }
+    const addressedStaff = [...(msg.to || []), ...(msg.cc || [])].find(a => classifyDirection(a) === "staff");
+    const calendar = resolveCalendar({ clientEmail: msg.from, staffEmail: reply ? reply.from : addressedStaff });
+    const base = {
+      clientMessageId: msg.id,
+      clientFrom: msg.from,
+      clientSentAt: msg.sentAt,
+      subject: msg.subject || "",
+      calendar: calendar.name
+    };
     if (!reply) {
       metrics.push({
-        clientMessageId: msg.id,
+        ...base,
         staffReplyId: null,
-        responseSeconds: null
+        staffReplyFrom: null,
+        repliedAt: null,
+        responseSeconds: null,
+        responseBusinessSeconds: null,
+        pendingSeconds: Math.max(0, Math.floor((now - new Date(msg.sentAt)) / 1000)),
+        pendingBusinessSeconds: businessSecondsBetween(msg.sentAt, now, calendar)
       });
       continue;
     }
     const diffMs = new Date(reply.sentAt) - new Date(msg.sentAt);
     metrics.push({
-      clientMessageId: msg.id,
+      ...base,
       staffReplyId: reply.id,
-      responseSeconds: Math.max(0, Math.floor(diffMs / 1000))
+      staffReplyFrom: reply.from,
+      repliedAt: reply.sentAt,
+      responseSeconds: Math.max(0, Math.floor(diffMs / 1000)),
+      responseBusinessSeconds: businessSecondsBetween(msg.sentAt, reply.sentAt, calendar),
+      pendingSeconds: null,
+      pendingBusinessSeconds: null
     });
   }
 
   // aggregate
   const responded = metrics.filter(m => typeof m.responseSeconds === "number");
-  const avgSeconds = responded.length
-    ? Math.round(responded.reduce((s,m) => s + m.responseSeconds, 0) / responded.length)
-    : null;
+  const pending = metrics.filter(m => m.responseSeconds === null);
 
-  return { perClient: metrics, averageSeconds: avgSeconds };
+  return {
+    perClient: metrics,
+    clientMessages: metrics.length,
+    respondedCount: responded.length,
+    unansweredCount: pending.length,
+    ...aggregateSeconds(responded.map(m => m.responseSeconds), ""),
+    ...aggregateSeconds(responded.map(m => m.responseBusinessSeconds), "Business"),
+    oldestUnansweredSeconds: pending.length ? Math.max(...pending.map(m => m.pendingSeconds)) : null,
+    oldestUnansweredBusinessSeconds: pending.length ? Math.max(...pending.map(m => m.pendingBusinessSeconds)) : null
+  };
+}
+
+// { averageSeconds, medianSeconds, p90Seconds, maxSeconds } (or average<suffix>Seconds, ...)
+function aggregateSeconds(values, suffix) {
+  const seconds = [...values].sort((a,b) => a - b);
+  const avg = seconds.length ? Math.round(seconds.reduce((s,v) => s + v, 0) / seconds.length) : null;
+  return {
+    [`average${suffix}Seconds`]: avg,
+    [`median${suffix}Seconds`]: percentile(seconds, 50),
+    [`p90${suffix}Seconds`]: percentile(seconds, 90),
+    [`max${suffix}Seconds`]: seconds.length ? seconds[seconds.length - 1] : null
+  };
 }
 
 function basicSummaryFromEmails(emails) {
@@ -166,9 +399,15 @@ function basicSummaryFromEmails(emails) {
 }
 
 module.exports = {
-  STAFF_DOMAIN,
   classifyDirection,
+  reclassifyEmails,
   upsertEmailsAndThreads,
+  mergeThreads,
+  removeThreads,
+  removeEmail,
+  groupEmailsByThread,
+  refreshThreadStats,
+  upgradeLegacyRecords,
   computeResponseMetrics,
   basicSummaryFromEmails
 };
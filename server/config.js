@@ -0,0 +1,19 @@
+/**
+ * Server-level configuration read from the environment.
+ * (STORAGE/DB_PATH live in storage/index.js, STAFF_DOMAIN in directory.js, Graph settings in providers/graph.js,
+ * webhook signing options in webhooks.js.)
+ */
+module.exports = {
+  PORT: process.env.PORT || 3000,
+  APP_BASE_URL: (process.env.APP_BASE_URL || "").replace(/\/+$/, ""), // no trailing slash
+  SEARCH_PROVIDER: (process.env.SEARCH_PROVIDER || "zapier").toLowerCase(), // default provider for POST /api/search
+  ZAPIER_SEARCH_HOOK_URL: process.env.ZAPIER_SEARCH_HOOK_URL || "",
+  ZAPIER_SUMMARY_HOOK_URL: process.env.ZAPIER_SUMMARY_HOOK_URL || "",
+  // HMAC secrets for callbacks into the app; _PREVIOUS stays valid while a rotation rolls out
+  INCOMING_WEBHOOK_SECRET: process.env.INCOMING_WEBHOOK_SECRET || "",
+  INCOMING_WEBHOOK_SECRET_PREVIOUS: process.env.INCOMING_WEBHOOK_SECRET_PREVIOUS || "",
+  // HMAC secrets for the app's calls to the search/summary hooks (default: the incoming ones)
+  OUTBOUND_WEBHOOK_SECRET: process.env.OUTBOUND_WEBHOOK_SECRET || process.env.INCOMING_WEBHOOK_SECRET || "",
+  OUTBOUND_WEBHOOK_SECRET_PREVIOUS:
+    process.env.OUTBOUND_WEBHOOK_SECRET_PREVIOUS || (process.env.OUTBOUND_WEBHOOK_SECRET ? "" : process.env.INCOMING_WEBHOOK_SECRET_PREVIOUS || "")
+};
@@ -0,0 +1,145 @@
+/**
+ * Manual thread corrections for when automatic grouping got it wrong: merge threads, split a thread
+ * at a message, move one message to another thread.
+ *
+ * Each correction is remembered on the query as `threadOverrides` (messageId -> thread key), so a
+ * message that is deleted and harvested again goes back to the thread it was put in. The threads
+ * involved are flagged `manual`; upsertEmailsAndThreads never merges a manual thread on its own.
+ *
+ * The functions run inside store.write() and throw with `status` (400/404) on bad input. Each
+ * returns { threadIds, removedThreadIds, hadSummary } so the caller can refresh summaries afterwards.
+ */
+const { nanoid } = require("nanoid");
+const { normalizeSubject } = require("./util");
+const { mergeThreads, refreshThreadStats, removeThreads } = require("./compute");
+const { replyTree } = require("./threading");
+const { refreshThreadSla } = require("./sla");
+const { refreshSummaries } = require("./summaries");
+
+function correctionError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function threadOrFail(store, id) {
+  const thread = store.threads.get(id);
+  if (!thread) throw correctionError(`Thread ${id} not found`, 404);
+  return thread;
+}
+
+const byTime = (a, b) => (a.sentAt || "").localeCompare(b.sentAt || "");
+const hasSummary = (store, threadIds) => store.summaries.list({ threadId: threadIds }).length > 0;
+
+// Remembers where these emails belong, for when they are ingested again
+function pin(store, queryId, emails, key) {
+  const query = store.queries.get(queryId);
+  if (!query) return;
+  const overrides = { ...query.threadOverrides };
+  for (const e of emails) if (e.messageId) overrides[e.messageId] = key;
+  store.queries.put({ ...query, threadOverrides: overrides });
+}
+
+// Stats, SLA state and the manual flag of threads whose membership changed
+function settle(store, threads) {
+  for (const thread of threads) {
+    thread.manual = true;
+    store.threads.put(refreshThreadStats(thread, store.emails.list({ threadId: thread.id })));
+  }
+  refreshThreadSla(store, threads.map((t) => t.id));
+}
+
+// Moves every email of `sourceIds` into thread `targetId` (all in the same query).
+function mergeInto(store, targetId, sourceIds) {
+  const target = threadOrFail(store, targetId);
+  const ids = [...new Set(sourceIds.map(String))].filter((id) => id !== target.id);
+  if (!ids.length) throw correctionError("Name at least one other thread to merge");
+  for (const id of ids) {
+    if (threadOrFail(store, id).queryId !== target.queryId) throw correctionError("Threads of different searches cannot be merged");
+  }
+  const hadSummary = hasSummary(store, [target.id, ...ids]);
+
+  target.manual = true;
+  mergeThreads(store, target, ids);
+  pin(store, target.queryId, store.emails.list({ threadId: target.id }), target.key);
+  settle(store, [target]);
+  return { threadIds: [target.id], removedThreadIds: ids, hadSummary };
+}
+
+/**
+ * Splits `emailId` off its thread into a new one, with every later message of the thread
+ * (or with `branch`, only the replies below it in the reply tree).
+ */
+function splitThread(store, threadId, emailId, { branch = false } = {}) {
+  const thread = threadOrFail(store, threadId);
+  const emails = store.emails.list({ threadId: thread.id }).sort(byTime);
+  const at = emails.findIndex((e) => e.id === emailId);
+  if (at < 0) throw correctionError("That email is not in this thread");
+
+  let moving;
+  if (branch) {
+    const { parentOf } = replyTree(emails);
+    const below = new Set([emailId]);
+    for (let grew = true; grew; ) {
+      grew = false;
+      for (const e of emails) {
+        if (!below.has(e.id) && below.has(parentOf.get(e.id))) {
+          below.add(e.id);
+          grew = true;
+        }
+      }
+    }
+    moving = emails.filter((e) => below.has(e.id));
+  } else {
+    moving = emails.slice(at);
+  }
+  if (moving.length === emails.length) throw correctionError("Splitting here would leave the thread empty; pick a later message");
+  const hadSummary = hasSummary(store, [thread.id]);
+
+  const id = "t_" + nanoid(10);
+  const created = {
+    id,
+    queryId: thread.queryId,
+    key: `manual:${id}`,
+    conversationId: moving[0].conversationId || null,
+    subject: normalizeSubject(moving[0].subject || "(no subject)"),
+    createdAt: new Date().toISOString()
+  };
+  for (const e of moving) store.emails.put({ ...e, threadId: id });
+  pin(store, thread.queryId, moving, created.key);
+  pin(store, thread.queryId, emails.filter((e) => !moving.includes(e)), thread.key);
+  settle(store, [thread, created]);
+  return { threadIds: [thread.id, id], removedThreadIds: [], hadSummary };
+}
+
+// Moves one email to thread `targetId` of the same query; a thread left empty is removed.
+function moveEmail(store, emailId, targetId) {
+  const email = store.emails.get(emailId);
+  if (!email) throw correctionError("Email not found", 404);
+  const target = threadOrFail(store, targetId);
+  if (email.threadId === target.id) throw correctionError("The email is already in that thread");
+  if (target.queryId !== email.queryId) throw correctionError("Emails can only move between threads of the same search");
+  const source = email.threadId ? store.threads.get(email.threadId) : null;
+  const hadSummary = hasSummary(store, [target.id, ...(source ? [source.id] : [])]);
+
+  store.emails.put({ ...email, threadId: target.id });
+  pin(store, target.queryId, [email], target.key);
+  const sourceEmpty = source && !store.emails.list({ threadId: source.id }).length;
+  if (sourceEmpty) removeThreads(store, [source.id]);
+  const changed = source && !sourceEmpty ? [target, source] : [target];
+  settle(store, changed);
+  return { threadIds: changed.map((t) => t.id), removedThreadIds: sourceEmpty ? [source.id] : [], hadSummary };
+}
+
+/**
+ * Runs one of the corrections above in a write, then regenerates the summaries it made stale.
+ * Resolves { threads, removedThreadIds, summaries: { regenerated, failed } }.
+ */
+async function applyCorrection(store, correct) {
+  const result = await store.write(() => correct(store));
+  const summaries = await refreshSummaries(store, result.threadIds, { always: result.hadSummary });
+  const threads = result.threadIds.map((id) => store.threads.get(id)).filter(Boolean);
+  return { threads, removedThreadIds: result.removedThreadIds, summaries };
+}
+
+module.exports = { mergeInto, splitThread, moveEmail, applyCorrection };
@@ -0,0 +1,189 @@
+/**
+ * Who is who: staff addresses and domains, shared mailboxes, ignored senders and client organizations.
+ *
+ * directory.json (path from DIRECTORY_PATH) looks like:
+ * {
+ *   "staff": {
+ *     "domains": ["futuregate.info", "futuregate.qa"],
+ *     "addresses": ["ann.contractor@gmail.com", { "address": "bob@partner.com", "name": "Bob (contractor)" }],
+ *     "sharedMailboxes": [{ "address": "info@futuregate.info", "name": "Info desk" }]
+ *   },
+ *   "ignored": ["noreply@*", "no-reply@*", "mailer-daemon@*", "*@notifications.example.com"],
+ *   "clients": [
+ *     { "id": "siemens", "name": "Siemens AG", "domains": ["siemens.com", "siemens.de"], "addresses": ["hans.private@gmail.com"] }
+ *   ]
+ * }
+ *
+ * - A sender is "ignored" when it matches an `ignored` pattern ("*" matches anything), else "staff" for
+ *   a staff address, shared mailbox or staff domain (subdomains included), else "client". Ignored
+ *   messages count neither as client messages nor as replies.
+ * - Without staff domains in the file, STAFF_DOMAIN (comma list, default futuregate.info) is used.
+ * - A client's organization is found by exact address, then by domain (parent domains included).
+ *   Clients outside every organization are grouped by their domain.
+ *
+ * The file is re-read when it changes (the last good copy is kept on a broken edit). Directions are
+ * stored on emails, so a change applies to stored mail after PUT /api/directory or a restart
+ * (compute.js reclassifyEmails).
+ */
+const fs = require("fs");
+const path = require("path");
+const { safeEmail, domainOf } = require("./util");
+
+const DIRECTORY_PATH = process.env.DIRECTORY_PATH || path.join(process.cwd(), "directory.json");
+const STAFF_DOMAINS = String(process.env.STAFF_DOMAIN || "futuregate.info")
+  .split(",")
+  .map((d) => d.trim().toLowerCase())
+  .filter(Boolean);
+
+let cache = null; // { mtimeMs, directory }
+
+const cleanDomain = (d) => String(d || "").trim().toLowerCase().replace(/^@/, "");
+
+// "a@b.com" or { address, name } -> { address, name }
+function person(entry, field) {
+  const raw = typeof entry === "string" ? { address: entry } : entry || {};
+  const address = safeEmail(raw.address);
+  if (!address.includes("@")) throw new Error(`${field}: "${raw.address}" is not an email address`);
+  return { address, name: raw.name ? String(raw.name) : null };
+}
+
+function globToRegExp(pattern) {
+  const escaped = String(pattern).trim().toLowerCase().replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+  return new RegExp(`^${escaped}$`);
+}
+
+// Validates a raw directory object; throws with a readable message on the first problem.
+function compileDirectory(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("The directory must be a JSON object");
+  const staff = raw.staff || {};
+  const list = (v, field) => {
+    if (v === undefined || v === null) return [];
+    if (!Array.isArray(v)) throw new Error(`${field} must be an array`);
+    return v;
+  };
+
+  const staffDomains = list(staff.domains, "staff.domains").map(cleanDomain).filter(Boolean);
+  const people = new Map(); // address -> { name, shared }
+  for (const p of list(staff.addresses, "staff.addresses")) {
+    const { address, name } = person(p, "staff.addresses");
+    people.set(address, { name, shared: false });
+  }
+  for (const p of list(staff.sharedMailboxes, "staff.sharedMailboxes")) {
+    const { address, name } = person(p, "staff.sharedMailboxes");
+    people.set(address, { name, shared: true });
+  }
+
+  const ignored = list(raw.ignored, "ignored").map((p) => {
+    if (!String(p).trim()) throw new Error("ignored: empty pattern");
+    return { pattern: String(p).trim().toLowerCase(), re: globToRegExp(p) };
+  });
+
+  const ids = new Set();
+  const clients = list(raw.clients, "clients").map((c, i) => {
+    const name = String(c?.name || "").trim();
+    if (!name) throw new Error(`clients[${i}] needs a name`);
+    const id = String(c.id || name).trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+    if (ids.has(id)) throw new Error(`clients[${i}]: id "${id}" is used twice`);
+    ids.add(id);
+    return {
+      id,
+      name,
+      domains: list(c.domains, `clients[${i}].domains`).map(cleanDomain).filter(Boolean),
+      addresses: list(c.addresses, `clients[${i}].addresses`).map((a) => person(a, `clients[${i}].addresses`).address)
+    };
+  });
+
+  return {
+    raw,
+    staffDomains: staffDomains.length ? staffDomains : STAFF_DOMAINS,
+    people,
+    ignored,
+    clients
+  };
+}
+
+// Load (and cache) directory.json; re-read when it changes, keeping the last good copy on a broken edit.
+function loadDirectory() {
+  let mtimeMs;
+  try {
+    mtimeMs = fs.statSync(DIRECTORY_PATH).mtimeMs;
+  } catch {
+    mtimeMs = -1;
+  }
+  if (cache && cache.mtimeMs === mtimeMs) return cache.directory;
+
+  try {
+    const raw = mtimeMs === -1 ? {} : JSON.parse(fs.readFileSync(DIRECTORY_PATH, "utf-8"));
+    const directory = compileDirectory(raw);
+    cache = { mtimeMs, directory };
+    return directory;
+  } catch (e) {
+    if (!cache) throw new Error(`Failed to load ${DIRECTORY_PATH}: ${e.message}`);
+    console.error(`Ignoring invalid ${DIRECTORY_PATH}: ${e.message}`);
+    cache.mtimeMs = mtimeMs;
+    return cache.directory;
+  }
+}
+
+// Validates and writes a new directory (atomically); returns the compiled copy.
+function saveDirectory(raw) {
+  const directory = compileDirectory(raw);
+  const tmp = `${DIRECTORY_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(raw, null, 2) + "\n");
+  fs.renameSync(tmp, DIRECTORY_PATH);
+  cache = { mtimeMs: fs.statSync(DIRECTORY_PATH).mtimeMs, directory };
+  return directory;
+}
+
+// The domain and its parents: a.b.c.com -> a.b.c.com, b.c.com, c.com
+function domainChain(domain) {
+  const out = [];
+  for (let d = domain; d && d.includes("."); d = d.slice(d.indexOf(".") + 1)) out.push(d);
+  return out;
+}
+
+// "staff" | "client" | "ignored"
+function classify(address, directory = loadDirectory()) {
+  const email = safeEmail(address);
+  if (directory.ignored.some((p) => p.re.test(email))) return "ignored";
+  if (directory.people.has(email)) return "staff";
+  const chain = domainChain(domainOf(email));
+  return chain.some((d) => directory.staffDomains.includes(d)) ? "staff" : "client";
+}
+
+// Client organization { id, name } of an address, or null
+function orgOf(address, directory = loadDirectory()) {
+  const email = safeEmail(address);
+  const byAddress = directory.clients.find((c) => c.addresses.includes(email));
+  if (byAddress) return { id: byAddress.id, name: byAddress.name };
+  for (const d of domainChain(domainOf(email))) {
+    const byDomain = directory.clients.find((c) => c.domains.includes(d));
+    if (byDomain) return { id: byDomain.id, name: byDomain.name };
+  }
+  return null;
+}
+
+/**
+ * What the UI shows for an address: { address, kind, name, org, shared }.
+ * `name` is the staff name from the directory (null for clients), `org` the client organization.
+ */
+function describe(address, directory = loadDirectory()) {
+  const email = safeEmail(address);
+  const kind = classify(email, directory);
+  const staff = directory.people.get(email);
+  return {
+    address: email,
+    kind,
+    name: staff?.name || null,
+    org: kind === "client" ? orgOf(email, directory) : null,
+    shared: Boolean(staff?.shared)
+  };
+}
+
+// Grouping key for a client address in metrics: its organization, else its domain
+function clientGroup(address, directory = loadDirectory()) {
+  const org = orgOf(address, directory);
+  return org ? { key: `org:${org.id}`, label: org.name, org } : { key: domainOf(safeEmail(address)), label: domainOf(safeEmail(address)), org: null };
+}
+
+module.exports = { DIRECTORY_PATH, loadDirectory, saveDirectory, compileDirectory, classify, orgOf, describe, clientGroup };
@@ -0,0 +1,162 @@
+/**
+ * Spreadsheet exports: thread rows and message rows with their response metrics, written to the
+ * response as CSV, JSON (one array) or NDJSON while they are built.
+ *
+ * Scope (the analytics filters, analytics.js scopedThreads): queryIds, threadIds, client domain,
+ * client organization and an after/before window. A thread is in the window when its activity
+ * overlaps it, a message when its sentAt falls in it. Durations are seconds, wall-clock and business
+ * time (calendar.js); a client message still waiting for a reply has its age in pending*Seconds.
+ */
+const { once } = require("events");
+const { computeResponseMetrics } = require("./compute");
+const { evaluateThreadSla } = require("./sla");
+const { scopedThreads } = require("./analytics");
+const { describe } = require("./directory");
+
+const FORMATS = {
+  csv: { type: "text/csv; charset=utf-8", ext: "csv" },
+  json: { type: "application/json; charset=utf-8", ext: "json" },
+  ndjson: { type: "application/x-ndjson", ext: "ndjson" }
+};
+
+const THREAD_COLUMNS = [
+  "threadId", "queryId", "subject", "participants", "organizations", "firstAt", "lastAt", "messageCount",
+  "clientMessages", "staffMessages", "answered", "unanswered", "firstResponseSeconds", "firstResponseBusinessSeconds",
+  "averageResponseSeconds", "medianResponseSeconds", "p90ResponseSeconds", "maxResponseSeconds",
+  "averageResponseBusinessSeconds", "medianResponseBusinessSeconds", "p90ResponseBusinessSeconds",
+  "oldestUnansweredSeconds", "oldestUnansweredBusinessSeconds", "slaPolicy", "slaStatus"
+];
+
+const MESSAGE_COLUMNS = [
+  "emailId", "threadId", "queryId", "subject", "direction", "from", "fromName", "organization", "to", "cc", "sentAt",
+  "respondedBy", "respondedAt", "responseSeconds", "responseBusinessSeconds", "pendingSeconds", "pendingBusinessSeconds",
+  "attachments"
+];
+
+// A CSV field; text that a spreadsheet would run as a formula (=, +, -, @) is prefixed with '
+function csvCell(value) {
+  let s = value === null || value === undefined ? "" : typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function inWindow(iso, { after, before }) {
+  const d = new Date(iso);
+  if (after && !(d >= after)) return false;
+  if (before && !(d < before)) return false;
+  return true;
+}
+
+// Threads in scope, oldest activity first, with their emails and metrics at `now`
+function* scopedWithMetrics(store, filters, now) {
+  const scoped = scopedThreads(store, filters);
+  scoped.sort((a, b) => String(a.thread.firstAt).localeCompare(String(b.thread.firstAt)));
+  for (const { thread, emails } of scoped) {
+    yield { thread, emails, metrics: computeResponseMetrics(emails, { now }) };
+  }
+}
+
+// One row per thread whose activity overlaps the window
+function* threadRows(store, filters, { now = new Date() } = {}) {
+  for (const { thread, emails, metrics } of scopedWithMetrics(store, filters, now)) {
+    if (filters.after && !(new Date(thread.lastAt) >= filters.after)) continue;
+    if (filters.before && !(new Date(thread.firstAt) < filters.before)) continue;
+    const first = metrics.perClient[0];
+    const sla = evaluateThreadSla(emails, { now, metrics });
+    const orgs = new Set(emails.filter((e) => e.direction === "client").map((e) => describe(e.from).org?.name).filter(Boolean));
+    yield {
+      threadId: thread.id,
+      queryId: thread.queryId,
+      subject: thread.subject || "",
+      participants: (thread.participants || []).join("; "),
+      organizations: [...orgs].join("; "),
+      firstAt: thread.firstAt,
+      lastAt: thread.lastAt,
+      messageCount: emails.length,
+      clientMessages: metrics.clientMessages,
+      staffMessages: emails.filter((e) => e.direction === "staff").length,
+      answered: metrics.respondedCount,
+      unanswered: metrics.unansweredCount,
+      firstResponseSeconds: first ? first.responseSeconds : null,
+      firstResponseBusinessSeconds: first ? first.responseBusinessSeconds : null,
+      averageResponseSeconds: metrics.averageSeconds,
+      medianResponseSeconds: metrics.medianSeconds,
+      p90ResponseSeconds: metrics.p90Seconds,
+      maxResponseSeconds: metrics.maxSeconds,
+      averageResponseBusinessSeconds: metrics.averageBusinessSeconds,
+      medianResponseBusinessSeconds: metrics.medianBusinessSeconds,
+      p90ResponseBusinessSeconds: metrics.p90BusinessSeconds,
+      oldestUnansweredSeconds: metrics.oldestUnansweredSeconds,
+      oldestUnansweredBusinessSeconds: metrics.oldestUnansweredBusinessSeconds,
+      slaPolicy: sla?.policy ?? null,
+      slaStatus: sla?.status ?? null
+    };
+  }
+}
+
+// One row per message sent in the window; client messages carry the staff reply that answered them
+function* messageRows(store, filters, { now = new Date() } = {}) {
+  for (const { emails, metrics } of scopedWithMetrics(store, filters, now)) {
+    const perClient = new Map(metrics.perClient.map((m) => [m.clientMessageId, m]));
+    const sorted = [...emails].sort((a, b) => new Date(a.sentAt) - new Date(b.sentAt));
+    for (const e of sorted) {
+      if (!inWindow(e.sentAt, filters)) continue;
+      const who = describe(e.from);
+      const m = perClient.get(e.id);
+      yield {
+        emailId: e.id,
+        threadId: e.threadId,
+        queryId: e.queryId,
+        subject: e.subject || "",
+        direction: e.direction,
+        from: e.from,
+        fromName: who.name,
+        organization: who.org?.name ?? null,
+        to: (e.to || []).join("; "),
+        cc: (e.cc || []).join("; "),
+        sentAt: e.sentAt,
+        respondedBy: m?.staffReplyFrom ?? null,
+        respondedAt: m?.repliedAt ?? null,
+        responseSeconds: m?.responseSeconds ?? null,
+        responseBusinessSeconds: m?.responseBusinessSeconds ?? null,
+        pendingSeconds: m?.pendingSeconds ?? null,
+        pendingBusinessSeconds: m?.pendingBusinessSeconds ?? null,
+        attachments: (e.attachments || []).filter((a) => !a.inline).length
+      };
+    }
+  }
+}
+
+/**
+ * Writes `rows` (any iterable of objects) to `res` as a download named `<name>-<date>.<ext>`,
+ * waiting for the socket to drain as it goes. Stops early when the client goes away.
+ * `onEnd(count)` runs just before the response ends (e.g. to note the row count for the audit log).
+ */
+async function streamExport(res, { format, name, columns, rows, onEnd }) {
+  const { type, ext } = FORMATS[format];
+  res.setHeader("Content-Type", type);
+  res.setHeader("Content-Disposition", `attachment; filename="${name}-${new Date().toISOString().slice(0, 10)}.${ext}"`);
+  res.setHeader("Cache-Control", "no-store");
+
+  let closed = false;
+  res.on("close", () => (closed = true));
+  const write = async (chunk) => {
+    if (!res.write(chunk) && !closed) await Promise.race([once(res, "drain"), once(res, "close")]);
+  };
+
+  let count = 0;
+  if (format === "csv") await write(columns.join(",") + "\n");
+  if (format === "json") await write("[");
+  for (const row of rows) {
+    if (closed) break;
+    if (format === "csv") await write(columns.map((c) => csvCell(row[c])).join(",") + "\n");
+    else if (format === "json") await write((count ? ",\n" : "\n") + JSON.stringify(row));
+    else await write(JSON.stringify(row) + "\n");
+    count++;
+  }
+  if (format === "json") await write("\n]\n");
+  onEnd?.(count);
+  res.end();
+}
+
+module.exports = { FORMATS, THREAD_COLUMNS, MESSAGE_COLUMNS, csvCell, threadRows, messageRows, streamExport };
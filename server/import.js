@@ -0,0 +1,59 @@
+/**
+ * Import .eml files and mbox archives from the command line.
+ *
+ *   node server/import.js <file|directory>...
+ *
+ * Directories are scanned (recursively) for *.eml and *.mbox files. Messages land under the
+ * synthetic "import" query with the same dedup and threading as Zapier results.
+ * Uses the configured storage (STORAGE, DB_PATH, SQLITE_PATH). With db.json, stop the server first
+ * (or upload through POST /api/import instead): only one process may write the file.
+ */
+const fs = require("fs");
+const path = require("path");
+const { getStore } = require("./storage");
+const { importFile, IMPORT_QUERY_ID } = require("./importer");
+
+function collectFiles(target, out = []) {
+  const stat = fs.statSync(target);
+  if (stat.isDirectory()) {
+    for (const entry of fs.readdirSync(target).sort()) {
+      const full = path.join(target, entry);
+      if (fs.statSync(full).isDirectory() || /\.(eml|mbox)$/i.test(entry)) collectFiles(full, out);
+    }
+  } else {
+    out.push(target);
+  }
+  return out;
+}
+
+async function main(args) {
+  if (!args.length) throw new Error("usage: node server/import.js <file|directory>...");
+  const paths = args.flatMap((a) => collectFiles(a));
+  const store = getStore();
+  const totals = { imported: 0, duplicates: 0, errors: 0 };
+  try {
+    for (const [i, file] of paths.entries()) {
+      const r = await importFile(store, { name: file, data: fs.readFileSync(file) }, {
+        onProgress: ({ done, total }) => {
+          if (total > 200) process.stdout.write(`  ${path.basename(file)}: ${done}/${total}\r`);
+        }
+      });
+      console.log(`[${i + 1}/${paths.length}] ${r.file} (${r.format}): ${r.messages} messages, ${r.imported} imported, ${r.duplicates} duplicates, ${r.errors.length} errors`);
+      for (const err of r.errors) console.log(`    ${err.index === null ? "file" : `message #${err.index + 1}`}: ${err.error}`);
+      totals.imported += r.imported;
+      totals.duplicates += r.duplicates;
+      totals.errors += r.errors.length;
+    }
+    console.log(`Done: ${totals.imported} imported, ${totals.duplicates} duplicates, ${totals.errors} errors (query "${IMPORT_QUERY_ID}")`);
+    if (totals.errors) process.exitCode = 2;
+  } finally {
+    store.close();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((e) => {
+    console.error(`Import failed: ${e.message}`);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,151 @@
+/**
+ * Live updates for the UI: Server-Sent Events fed by the store's change events (storage/index.js).
+ *
+ * GET /api/events keeps one text/event-stream open per signed-in tab. Committed changes are gathered
+ * for LIVE_BATCH_MS, then sent as
+ *   event: queries    data: { ids, removed }            searches created, started, finished, deleted
+ *   event: threads    data: { ids, removed, queryIds }  threads with new messages, fresh stats or SLA,
+ *                                                       corrections, deletions
+ *   event: summaries  data: { threadIds }               a summary was stored
+ * Events only name what changed; the UI reads the records through the usual API, so every user sees
+ * exactly what those routes show them. More than LIVE_MAX_IDS ids at once (a big import) becomes
+ * `event: reset` (reload everything). Users, sessions and alerts are never announced.
+ *
+ * Every event has an id; a reconnecting EventSource sends Last-Event-ID and gets the events it missed
+ * from the last LIVE_REPLAY ones, or `reset` when they are gone (or the server restarted).
+ * A comment line every LIVE_HEARTBEAT_MS keeps proxies from closing idle streams; a stream whose
+ * session expired or was revoked gets `event: signedout` and is closed.
+ */
+const crypto = require("crypto");
+const { sessionFor } = require("./auth");
+
+const LIVE_BATCH_MS = Number(process.env.LIVE_BATCH_MS || 250);
+const LIVE_HEARTBEAT_MS = Number(process.env.LIVE_HEARTBEAT_MS || 25000);
+const LIVE_REPLAY = Number(process.env.LIVE_REPLAY || 200);
+const LIVE_MAX_IDS = Number(process.env.LIVE_MAX_IDS || 500);
+const RETRY_MS = 5000; // how long a browser waits before reconnecting
+
+const BOOT = crypto.randomBytes(4).toString("hex"); // event ids of an earlier process are never replayed
+const streams = new Set(); // { req, res }
+const recent = []; // [{ seq, chunk }], the last LIVE_REPLAY events
+const attached = new WeakSet();
+let seq = 0;
+let pending = null;
+let flushTimer = null;
+let heartbeat = null;
+
+const emptyBatch = () => ({ queries: new Set(), queriesRemoved: new Set(), threads: new Set(), threadsRemoved: new Set(), queryIds: new Set(), summaries: new Set() });
+
+function collect(changes) {
+  const b = pending || (pending = emptyBatch());
+  for (const c of changes) {
+    if (c.collection === "queries") {
+      if (c.op === "put") b.queries.add(c.record.id);
+      else for (const id of c.ids) b.queriesRemoved.add(id);
+    } else if (c.collection === "threads") {
+      if (c.op === "put") {
+        b.threads.add(c.record.id);
+        if (c.record.queryId) b.queryIds.add(c.record.queryId);
+      } else for (const id of c.ids) b.threadsRemoved.add(id);
+    } else if (c.collection === "emails" && c.op === "put" && c.record.threadId) {
+      b.threads.add(c.record.threadId);
+      if (c.record.queryId) b.queryIds.add(c.record.queryId);
+    } else if (c.collection === "summaries" && c.op === "put" && c.record.threadId) {
+      b.summaries.add(c.record.threadId);
+    }
+  }
+  if (!flushTimer) flushTimer = setTimeout(flush, LIVE_BATCH_MS);
+}
+
+function send(event, data) {
+  seq++;
+  const chunk = `id: ${BOOT}-${seq}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  recent.push({ seq, chunk });
+  if (recent.length > LIVE_REPLAY) recent.shift();
+  for (const s of streams) s.res.write(chunk);
+}
+
+function flush() {
+  flushTimer = null;
+  const b = pending;
+  pending = null;
+  if (!b) return;
+  for (const id of b.threadsRemoved) b.threads.delete(id);
+  for (const id of b.queriesRemoved) b.queries.delete(id);
+  if (b.threads.size + b.threadsRemoved.size + b.queries.size + b.queriesRemoved.size > LIVE_MAX_IDS) {
+    send("reset", { reason: "many changes" });
+    return;
+  }
+  if (b.queries.size || b.queriesRemoved.size) send("queries", { ids: [...b.queries], removed: [...b.queriesRemoved] });
+  if (b.threads.size || b.threadsRemoved.size) {
+    send("threads", { ids: [...b.threads], removed: [...b.threadsRemoved], queryIds: [...b.queryIds] });
+  }
+  if (b.summaries.size) send("summaries", { threadIds: [...b.summaries] });
+}
+
+// Pings every stream and closes those whose session is no longer valid
+function beat(store) {
+  for (const s of streams) {
+    if (!sessionFor(store, s.req)) {
+      s.res.write(`event: signedout\ndata: {}\n\n`);
+      s.res.end();
+      continue;
+    }
+    s.res.write(": ping\n\n");
+  }
+}
+
+// Missed events after `lastEventId`, or null when they can no longer be replayed
+function missedSince(lastEventId) {
+  const [boot, n] = String(lastEventId).split("-");
+  const last = Number(n);
+  if (boot !== BOOT || !Number.isInteger(last) || last > seq) return null;
+  if (last === seq) return [];
+  if (!recent.length || recent[0].seq > last + 1) return null;
+  return recent.filter((e) => e.seq > last).map((e) => e.chunk);
+}
+
+/**
+ * Serves GET /api/events: holds the response open as an event stream until the browser goes away.
+ * The first call starts listening to `store`.
+ */
+function openStream(store, req, res) {
+  if (!attached.has(store)) {
+    attached.add(store);
+    store.events.on("change", collect);
+  }
+  if (!heartbeat && LIVE_HEARTBEAT_MS > 0) {
+    heartbeat = setInterval(() => beat(store), LIVE_HEARTBEAT_MS);
+    heartbeat.unref();
+  }
+
+  req.socket.setTimeout(0);
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no" // nginx and friends: don't buffer the stream
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const lastEventId = req.get("Last-Event-ID");
+  if (lastEventId) {
+    const missed = missedSince(lastEventId);
+    if (missed) for (const chunk of missed) res.write(chunk);
+    else res.write(`id: ${BOOT}-${seq}\nevent: reset\ndata: ${JSON.stringify({ reason: "missed events" })}\n\n`);
+  } else {
+    res.write(`id: ${BOOT}-${seq}\nevent: hello\ndata: {}\n\n`);
+  }
+
+  const stream = { req, res };
+  streams.add(stream);
+  res.on("close", () => streams.delete(stream));
+}
+
+// Ends every open stream (on shutdown, so the HTTP server can close)
+function closeStreams() {
+  for (const s of streams) s.res.end();
+  streams.clear();
+}
+
+module.exports = { openStream, closeStreams };
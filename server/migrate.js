@@ -0,0 +1,69 @@
+/**
+ * Copy an existing db.json into another storage backend.
+ *
+ *   node server/migrate.js [--from ./db.json] [--to ./data.sqlite] [--force]
+ *
+ * The source is opened through the JSON adapter, so journal entries not yet compacted
+ * are included and legacy records are upgraded (see compute.js upgradeLegacyRecords).
+ * Stop the server first: the source's lock file is taken while copying.
+ * The target must be empty unless --force is given, in which case records with the same id are overwritten.
+ * Then start the server with STORAGE=sqlite (and SQLITE_PATH if you used --to).
+ */
+const fs = require("fs");
+const { DB_PATH, SQLITE_PATH, COLLECTIONS, openStore } = require("./storage");
+
+function parseArgs(argv) {
+  const args = { from: DB_PATH, to: SQLITE_PATH, force: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--from") args.from = argv[++i];
+    else if (a === "--to") args.to = argv[++i];
+    else if (a === "--force") args.force = true;
+    else throw new Error(`Unknown argument "${a}"`);
+  }
+  return args;
+}
+
+function migrate({ from, to, force }) {
+  if (!fs.existsSync(from)) throw new Error(`${from} does not exist`);
+  const source = openStore("json", from);
+  const raw = {};
+  try {
+    for (const key of COLLECTIONS) raw[key] = source[key].list();
+  } finally {
+    source.close();
+  }
+
+  const target = openStore("sqlite", to);
+  try {
+    const existing = COLLECTIONS.reduce((n, key) => n + target[key].list().length, 0);
+    if (existing && !force) {
+      throw new Error(`${to} already holds ${existing} records; use --force to merge into it`);
+    }
+
+    const counts = {};
+    target.transaction(() => {
+      for (const key of COLLECTIONS) {
+        for (const rec of raw[key]) target[key].put(rec);
+        counts[key] = raw[key].length;
+      }
+    });
+    return { counts };
+  } finally {
+    target.close();
+  }
+}
+
+if (require.main === module) {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const { counts } = migrate(args);
+    console.log(`Migrated ${args.from} -> ${args.to}`);
+    for (const [key, n] of Object.entries(counts)) console.log(`  ${key}: ${n}`);
+  } catch (e) {
+    console.error(`Migration failed: ${e.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { migrate };
@@ -0,0 +1,373 @@
+/**
+ * Minimal RFC 5322 / MIME reader for .eml files and mbox archives.
+ * Handles folded headers, RFC 2047 encoded words, RFC 2231 parameters, nested multiparts,
+ * base64 / quoted-printable bodies and charsets (via TextDecoder).
+ *
+ * Messages are handled as "binary" strings (one char per byte, i.e. latin1) until a body part or
+ * header is decoded with its charset, so 8-bit content survives the parsing untouched.
+ */
+const { stableHash } = require("./util");
+
+const MAX_DEPTH = 20;
+
+// ---------- text decoding ----------
+function decodeBytes(bytes, charset) {
+  const label = String(charset || "").trim().toLowerCase();
+  if (label) {
+    try {
+      return new TextDecoder(label).decode(bytes);
+    } catch {
+      // unknown charset label: fall through to the guess below
+    }
+  }
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    return new TextDecoder("windows-1252").decode(bytes);
+  }
+}
+
+const binaryToBytes = (str) => Buffer.from(str, "latin1");
+
+function decodeQuotedPrintable(str, { header = false } = {}) {
+  let s = header ? str.replace(/_/g, " ") : str.replace(/=\r?\n/g, "");
+  const bytes = [];
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (c === "=" && /^[0-9A-Fa-f]{2}$/.test(s.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(s.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(s.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// RFC 2047: =?charset?B|Q?text?= ; whitespace between adjacent encoded words is dropped
+function decodeEncodedWords(value) {
+  const raw = String(value || "");
+  const joined = raw.replace(/(=\?[^?\s]+\?[bBqQ]\?[^?\s]*\?=)\s+(?==\?[^?\s]+\?[bBqQ]\?[^?\s]*\?=)/g, "$1");
+  const hasWords = /=\?[^?\s]+\?[bBqQ]\?[^?\s]*\?=/.test(joined);
+  // undecoded 8-bit headers are usually UTF-8
+  const plain = (s) => decodeBytes(binaryToBytes(s));
+  if (!hasWords) return plain(joined);
+
+  let out = "";
+  let last = 0;
+  const re = /=\?([^?\s]+)\?([bBqQ])\?([^?\s]*)\?=/g;
+  let m;
+  while ((m = re.exec(joined))) {
+    out += plain(joined.slice(last, m.index));
+    const charset = m[1].split("*")[0];
+    const bytes = m[2].toUpperCase() === "B" ? Buffer.from(m[3], "base64") : decodeQuotedPrintable(m[3], { header: true });
+    out += decodeBytes(bytes, charset);
+    last = re.lastIndex;
+  }
+  return out + plain(joined.slice(last));
+}
+
+// ---------- headers ----------
+function splitHeadersAndBody(raw) {
+  const m = /\r?\n\r?\n/.exec(raw);
+  if (!m) return { headerText: raw, body: "" };
+  return { headerText: raw.slice(0, m.index), body: raw.slice(m.index + m[0].length) };
+}
+
+// Map of lowercased header name -> list of raw (undecoded, unfolded) values
+function parseHeaders(headerText) {
+  const headers = new Map();
+  const unfolded = headerText.replace(/\r?\n[ \t]+/g, " ");
+  for (const line of unfolded.split(/\r?\n/)) {
+    const idx = line.indexOf(":");
+    if (idx <= 0) continue;
+    const name = line.slice(0, idx).trim().toLowerCase();
+    const value = line.slice(idx + 1).trim();
+    if (!headers.has(name)) headers.set(name, []);
+    headers.get(name).push(value);
+  }
+  return headers;
+}
+
+const header = (headers, name) => (headers.get(name) || [])[0] || "";
+
+// Splits on `sep` outside quotes, angle brackets and comments.
+function splitOutside(value, sep) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  let angle = 0;
+  let comment = 0;
+  for (let i = 0; i < value.length; i++) {
+    const c = value[i];
+    if (c === "\\" && quoted) {
+      cur += c + (value[i + 1] || "");
+      i++;
+      continue;
+    }
+    if (c === '"' && !comment) quoted = !quoted;
+    else if (!quoted && c === "<") angle++;
+    else if (!quoted && c === ">") angle = Math.max(0, angle - 1);
+    else if (!quoted && c === "(") comment++;
+    else if (!quoted && c === ")") comment = Math.max(0, comment - 1);
+    if (c === sep && !quoted && !angle && !comment) {
+      out.push(cur);
+      cur = "";
+    } else {
+      cur += c;
+    }
+  }
+  out.push(cur);
+  return out;
+}
+
+/**
+ * Content-Type / Content-Disposition value -> { value, params }.
+ * Supports quoted values and RFC 2231 extended (name*=charset''%xx) and continued (name*0=) parameters.
+ */
+function parseStructuredHeader(raw) {
+  const [first, ...rest] = splitOutside(String(raw || ""), ";");
+  const params = {};
+  const extended = {};
+  for (const part of rest) {
+    const idx = part.indexOf("=");
+    if (idx < 0) continue;
+    let key = part.slice(0, idx).trim().toLowerCase();
+    let val = part.slice(idx + 1).trim();
+    if (val.startsWith('"') && val.endsWith('"') && val.length >= 2) val = val.slice(1, -1).replace(/\\(.)/g, "$1");
+
+    const m = /^([^*]+)(?:\*(\d+))?(\*)?$/.exec(key);
+    if (!m || (m[2] === undefined && !m[3])) {
+      params[key] = decodeEncodedWords(val);
+      continue;
+    }
+    key = m[1];
+    if (!extended[key]) extended[key] = [];
+    extended[key].push({ index: Number(m[2] || 0), encoded: Boolean(m[3]), val });
+  }
+
+  for (const [key, pieces] of Object.entries(extended)) {
+    pieces.sort((a, b) => a.index - b.index);
+    let charset = "";
+    const bytes = [];
+    for (const p of pieces) {
+      let v = p.val;
+      if (p.encoded) {
+        if (p.index === 0) {
+          const parts = v.split("'");
+          if (parts.length >= 3) {
+            charset = parts[0];
+            v = parts.slice(2).join("'");
+          }
+        }
+        bytes.push(Buffer.from(v.replace(/%([0-9A-Fa-f]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16))), "latin1"));
+      } else {
+        bytes.push(Buffer.from(v, "latin1"));
+      }
+    }
+    params[key] = decodeBytes(Buffer.concat(bytes), charset);
+  }
+
+  return { value: first.trim().toLowerCase(), params };
+}
+
+// "Ann <ann@x.com>, "Doe, Bob" <bob@y.com>, carl@z.com" -> ["ann@x.com", "bob@y.com", "carl@z.com"]
+function parseAddressList(raw) {
+  const out = [];
+  for (const piece of splitOutside(decodeEncodedWords(raw || ""), ",")) {
+    // group syntax "Team: a@x.com, b@y.com;" arrives split; strip the display part
+    let item = piece.replace(/\([^)]*\)/g, "").trim();
+    if (!item) continue;
+    const angle = /<([^>]*)>/.exec(item);
+    let addr = angle ? angle[1] : item.replace(/^[^:<"]*:/, "").replace(/;$/, "");
+    addr = addr.trim().replace(/^"|"$/g, "");
+    if (addr.includes("@")) out.push(addr.toLowerCase());
+  }
+  return out;
+}
+
+function parseMessageIdList(raw) {
+  return (String(raw || "").match(/<[^>]+>/g) || []).map((id) => id.slice(1, -1).trim());
+}
+
+function parseDate(raw) {
+  const cleaned = String(raw || "").replace(/\([^)]*\)/g, "").trim();
+  const d = new Date(cleaned);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// ---------- bodies ----------
+function decodeTransfer(body, encoding) {
+  const enc = String(encoding || "").trim().toLowerCase();
+  if (enc === "base64") return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ""), "base64");
+  if (enc === "quoted-printable") return decodeQuotedPrintable(body);
+  return binaryToBytes(body);
+}
+
+function splitMultipart(body, boundary) {
+  const delimiter = "--" + boundary;
+  const lines = body.split(/\r?\n/);
+  const parts = [];
+  let current = null;
+  for (const line of lines) {
+    const trimmed = line.trimEnd();
+    if (trimmed === delimiter + "--") {
+      if (current) parts.push(current.join("\n"));
+      current = null;
+      break;
+    }
+    if (trimmed === delimiter) {
+      if (current) parts.push(current.join("\n"));
+      current = [];
+      continue;
+    }
+    if (current) current.push(line);
+  }
+  if (current) parts.push(current.join("\n")); // missing closing delimiter
+  return parts;
+}
+
+// Parses one MIME entity (a message or a body part) into a tree.
+function parseEntity(raw, depth = 0) {
+  const { headerText, body } = splitHeadersAndBody(raw);
+  const headers = parseHeaders(headerText);
+  const type = parseStructuredHeader(header(headers, "content-type") || "text/plain");
+  const disposition = parseStructuredHeader(header(headers, "content-disposition"));
+  const entity = {
+    headers,
+    contentType: type.value || "text/plain",
+    params: type.params,
+    disposition: disposition.value,
+    filename: disposition.params.filename || type.params.name || "",
+    contentId: header(headers, "content-id").replace(/^<|>$/g, "")
+  };
+
+  if (entity.contentType.startsWith("multipart/") && type.params.boundary && depth < MAX_DEPTH) {
+    entity.parts = splitMultipart(body, type.params.boundary).map((p) => parseEntity(p, depth + 1));
+  } else {
+    entity.content = decodeTransfer(body, header(headers, "content-transfer-encoding"));
+  }
+  return entity;
+}
+
+function htmlToText(html) {
+  return String(html || "")
+    .replace(/<(style|script|head)[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|li|tr|h[1-6])>/gi, "\n")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;/gi, " ")
+    .replace(/&lt;/gi, "<")
+    .replace(/&gt;/gi, ">")
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;|&apos;/gi, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&amp;/gi, "&")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n\s*\n\s*/g, "\n\n")
+    .trim();
+}
+
+// First text/plain and text/html body, every attachment, and images with a Content-ID (as data: URIs)
+// from a parsed entity tree.
+function collectBodies(entity, out = { text: null, html: null, attachments: [], inlineImages: {} }) {
+  if (entity.parts) {
+    for (const part of entity.parts) collectBodies(part, out);
+    return out;
+  }
+  const isAttachment =
+    entity.disposition === "attachment" ||
+    (entity.filename && !entity.contentType.startsWith("text/")) ||
+    !(entity.contentType === "text/plain" || entity.contentType === "text/html");
+  if (isAttachment) {
+    out.attachments.push({
+      filename: entity.filename || null,
+      contentType: entity.contentType,
+      size: entity.content.length,
+      contentId: entity.contentId || null,
+      inline: entity.disposition === "inline" || (!entity.disposition && Boolean(entity.contentId)),
+      contentBase64: entity.content.toString("base64")
+    });
+    if (entity.contentId && entity.contentType.startsWith("image/")) {
+      out.inlineImages[entity.contentId] = `data:${entity.contentType};base64,${entity.content.toString("base64")}`;
+    }
+    return out;
+  }
+  const text = decodeBytes(entity.content, entity.params.charset);
+  if (entity.contentType === "text/plain" && out.text === null) out.text = text;
+  else if (entity.contentType === "text/html" && out.html === null) out.html = text;
+  return out;
+}
+
+/**
+ * Parses one RFC 5322 message (Buffer or binary string) into the shape upsertEmailsAndThreads expects.
+ * Throws when the message has no usable date.
+ */
+function parseMessage(input) {
+  const raw = Buffer.isBuffer(input) ? input.toString("latin1") : String(input);
+  const root = parseEntity(raw);
+  const h = root.headers;
+
+  const sentAt = parseDate(header(h, "date"));
+  if (!sentAt) throw new Error("missing or unreadable Date header");
+
+  const bodies = collectBodies(root);
+  const bodyText = bodies.text ?? (bodies.html ? htmlToText(bodies.html) : "");
+  const subject = decodeEncodedWords(header(h, "subject"));
+  const from = parseAddressList(header(h, "from"))[0] || parseAddressList(header(h, "sender"))[0] || "";
+
+  // without a Message-ID, derive a stable one so importing the same file twice still dedups
+  const messageId = parseMessageIdList(header(h, "message-id"))[0] || `${stableHash(raw).slice(0, 32)}@import.local`;
+
+  return {
+    messageId,
+    subject,
+    from,
+    to: (h.get("to") || []).flatMap(parseAddressList),
+    cc: (h.get("cc") || []).flatMap(parseAddressList),
+    sentAt: sentAt.toISOString(),
+    bodyText,
+    bodyHtml: bodies.html || "",
+    inReplyTo: parseMessageIdList(header(h, "in-reply-to"))[0] || null,
+    references: parseMessageIdList((h.get("references") || []).join(" ")),
+    attachments: bodies.attachments,
+    inlineImages: bodies.inlineImages
+  };
+}
+
+/**
+ * Splits an mbox archive (Buffer or binary string) into raw messages.
+ * A message starts at a "From " line at the start of the file or after an empty line;
+ * ">From " quoting inside bodies (mboxrd) is undone.
+ */
+function splitMbox(input) {
+  const raw = Buffer.isBuffer(input) ? input.toString("latin1") : String(input);
+  const lines = raw.split(/\r?\n/);
+  const messages = [];
+  let current = null;
+  let prevBlank = true;
+  for (const line of lines) {
+    if (line.startsWith("From ") && prevBlank) {
+      if (current) messages.push(current.join("\n"));
+      current = [];
+    } else if (current) {
+      current.push(/^>+From /.test(line) ? line.slice(1) : line);
+    }
+    prevBlank = line.trim() === "";
+  }
+  if (current) messages.push(current.join("\n"));
+  return messages.filter((m) => m.trim());
+}
+
+const looksLikeMbox = (name, data) =>
+  /\.mbox$/i.test(name || "") || data.subarray(0, 5).toString("latin1") === "From ";
+
+module.exports = {
+  parseMessage,
+  splitMbox,
+  looksLikeMbox,
+  decodeEncodedWords,
+  parseAddressList,
+  parseStructuredHeader,
+  htmlToText
+};
@@ -0,0 +1,139 @@
+/**
+ * Local stand-in for Microsoft Graph, for trying the Graph search provider without a tenant.
+ *
+ *   node server/mock-graph.js            (listens on MOCK_GRAPH_PORT, default 3999)
+ *
+ * Then start the app with:
+ *   SEARCH_PROVIDER=graph GRAPH_BASE_URL=http://localhost:3999/v1.0 GRAPH_TOKEN_URL=http://localhost:3999/token \
+ *   GRAPH_CLIENT_ID=mock GRAPH_CLIENT_SECRET=mock GRAPH_MAILBOX=support@futuregate.info npm start
+ *
+ * Serves the client-credentials token endpoint and GET /v1.0/users/{mailbox}/messages with $search
+ * (keyword plus received>= / received<= bounds), $top and @odata.nextLink paging, plus
+ * GET .../messages/{id}/attachments (every third conversation opens with a PDF).
+ *   MOCK_GRAPH_FIXTURES  JSON file with an array of Graph message objects (default: generated)
+ *   MOCK_GRAPH_COUNT     number of generated messages (default 120)
+ *   MOCK_GRAPH_THROTTLE  "1" answers every first request for a page with 429 + Retry-After: 1
+ */
+const express = require("express");
+const fs = require("fs");
+
+const PORT = Number(process.env.MOCK_GRAPH_PORT || 3999);
+const TOKEN = "mock-graph-token";
+
+function generateMessages(count) {
+  const clients = ["bob@siemens.com", "carla@acme.com", "dev@plant.acme.com"];
+  const topics = ["Price list", "Delivery delay", "Invoice question", "Pump maintenance"];
+  const out = [];
+  const start = Date.UTC(2025, 9, 1, 8, 0, 0);
+  for (let i = 0; i < count; i++) {
+    const conv = Math.floor(i / 2);
+    const client = clients[conv % clients.length];
+    const topic = topics[conv % topics.length];
+    const fromStaff = i % 2 === 1;
+    const at = new Date(start + conv * 6 * 3600 * 1000 + (fromStaff ? 95 * 60 * 1000 : 0)).toISOString();
+    const staff = { emailAddress: { name: "Support", address: "support@futuregate.info" } };
+    const cust = { emailAddress: { name: client.split("@")[0], address: client } };
+    out.push({
+      id: `AAMk${String(i).padStart(6, "0")}`,
+      internetMessageId: `<mock-${i}@${fromStaff ? "futuregate.info" : client.split("@")[1]}>`,
+      conversationId: `conv-${conv}`,
+      subject: `${fromStaff ? "RE: " : ""}${topic} #${conv}`,
+      from: fromStaff ? staff : cust,
+      sender: fromStaff ? staff : cust,
+      toRecipients: [fromStaff ? cust : staff],
+      ccRecipients: [],
+      sentDateTime: at,
+      receivedDateTime: at,
+      bodyPreview: `${topic} message ${i}`,
+      body: { contentType: "html", content: `<p>${topic} message ${i}</p>` },
+      hasAttachments: !fromStaff && conv % 3 === 0,
+      attachments: !fromStaff && conv % 3 === 0 ? [{ id: `att-${i}`, name: `${topic.replace(/\W+/g, "-")}-${conv}.pdf`, contentType: "application/pdf", size: 48213, isInline: false }] : [],
+      internetMessageHeaders: fromStaff
+        ? [
+            { name: "In-Reply-To", value: `<mock-${i - 1}@${client.split("@")[1]}>` },
+            { name: "References", value: `<mock-${i - 1}@${client.split("@")[1]}>` }
+          ]
+        : []
+    });
+  }
+  return out;
+}
+
+const messages = process.env.MOCK_GRAPH_FIXTURES
+  ? JSON.parse(fs.readFileSync(process.env.MOCK_GRAPH_FIXTURES, "utf-8"))
+  : generateMessages(Number(process.env.MOCK_GRAPH_COUNT || 120));
+
+// Parses the subset of KQL the provider sends: "word word AND received>=YYYY-MM-DD AND received<=YYYY-MM-DD"
+function parseSearch(raw) {
+  const expr = String(raw || "").replace(/^"|"$/g, "");
+  const words = [];
+  let after = null;
+  let before = null;
+  for (const part of expr.split(/\s+AND\s+/)) {
+    const m = /^received(>=|<=)(\d{4}-\d{2}-\d{2})$/.exec(part.trim());
+    if (m && m[1] === ">=") after = new Date(m[2] + "T00:00:00Z");
+    else if (m) before = new Date(new Date(m[2] + "T00:00:00Z").getTime() + 86400000);
+    else words.push(...part.toLowerCase().split(/\s+/).filter(Boolean));
+  }
+  return { words, after, before };
+}
+
+function matches(m, { words, after, before }) {
+  const received = new Date(m.receivedDateTime);
+  if (after && received < after) return false;
+  if (before && received >= before) return false;
+  const hay = [m.subject, m.bodyPreview, m.body?.content, m.from?.emailAddress?.address].join(" ").toLowerCase();
+  return words.every((w) => hay.includes(w));
+}
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.post(["/token", "/:tenant/oauth2/v2.0/token"], (req, res) => {
+  if (req.body.grant_type !== "client_credentials" || !req.body.client_id || !req.body.client_secret) {
+    return res.status(400).json({ error: "invalid_request", error_description: "client credentials required" });
+  }
+  res.json({ token_type: "Bearer", expires_in: 3600, access_token: TOKEN });
+});
+
+const throttled = new Set();
+
+app.get("/v1.0/users/:mailbox/messages", (req, res) => {
+  if (req.header("Authorization") !== `Bearer ${TOKEN}`) {
+    return res.status(401).json({ error: { code: "InvalidAuthenticationToken", message: "Access token is empty or invalid." } });
+  }
+  const skip = Number(req.query.$skiptoken || 0);
+  if (process.env.MOCK_GRAPH_THROTTLE === "1" && !throttled.has(req.originalUrl)) {
+    throttled.add(req.originalUrl);
+    res.set("Retry-After", "1");
+    return res.status(429).json({ error: { code: "TooManyRequests", message: "Throttled (mock)" } });
+  }
+
+  const top = Math.min(1000, Number(req.query.$top || 10));
+  const found = messages
+    .filter((m) => matches(m, parseSearch(req.query.$search)))
+    .sort((a, b) => b.receivedDateTime.localeCompare(a.receivedDateTime));
+  const page = found.slice(skip, skip + top).map(({ attachments, ...m }) => m);
+
+  const body = { "@odata.context": `${req.protocol}://${req.get("host")}/v1.0/$metadata#users('${req.params.mailbox}')/messages`, value: page };
+  if (skip + top < found.length) {
+    const params = new URLSearchParams({ ...req.query, $skiptoken: String(skip + top) });
+    body["@odata.nextLink"] = `${req.protocol}://${req.get("host")}/v1.0/users/${encodeURIComponent(req.params.mailbox)}/messages?${params}`;
+  }
+  res.json(body);
+});
+
+app.get("/v1.0/users/:mailbox/messages/:id/attachments", (req, res) => {
+  if (req.header("Authorization") !== `Bearer ${TOKEN}`) {
+    return res.status(401).json({ error: { code: "InvalidAuthenticationToken", message: "Access token is empty or invalid." } });
+  }
+  const message = messages.find((m) => m.id === req.params.id);
+  if (!message) return res.status(404).json({ error: { code: "ErrorItemNotFound", message: "The specified object was not found in the store." } });
+  res.json({ value: message.attachments || [] });
+});
+
+app.use((req, res) => res.status(404).json({ error: { code: "ResourceNotFound", message: `No mock for ${req.method} ${req.path}` } }));
+
+app.listen(PORT, () => {
+  console.log(`Mock Microsoft Graph on http://localhost:${PORT} (${messages.length} messages)`);
+});
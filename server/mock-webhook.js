@@ -0,0 +1,56 @@
+/**
+ * Local alert receiver, for trying the alert webhooks (server/alerts.js) without Slack or Teams.
+ *
+ *   node server/mock-webhook.js          (listens on MOCK_WEBHOOK_PORT, default 3997)
+ *
+ * Point a webhook of alerts.json at it, e.g.
+ *   { "name": "local", "url": "http://localhost:3997/alerts", "format": "json" }
+ * and POST /api/alerts/test (or wait for the evaluator). Every request is printed with its format
+ * guessed from the body; GET / lists what arrived.
+ *   MOCK_WEBHOOK_SECRET  checks X-Webhook-Signature with this secret (the app's OUTBOUND_WEBHOOK_SECRET)
+ *   MOCK_WEBHOOK_FAIL    answers the first N requests with 500 (to watch the app retry)
+ */
+const express = require("express");
+const crypto = require("crypto");
+
+const PORT = Number(process.env.MOCK_WEBHOOK_PORT || 3997);
+const SECRET = process.env.MOCK_WEBHOOK_SECRET || "";
+let failuresLeft = Number(process.env.MOCK_WEBHOOK_FAIL || 0);
+
+const received = [];
+
+function checkSignature(req) {
+  if (!SECRET) return "not checked";
+  const id = req.get("X-Webhook-Id");
+  const timestamp = req.get("X-Webhook-Timestamp");
+  const signatures = String(req.get("X-Webhook-Signature") || "").split(" ");
+  if (!id || !timestamp) return "missing";
+  const expected = `sha256=${crypto.createHmac("sha256", SECRET).update(`${id}.${timestamp}.`).update(req.rawBody).digest("hex")}`;
+  return signatures.includes(expected) ? "valid" : "INVALID";
+}
+
+function describe(body) {
+  if (body?.type === "email.alert") return { format: "json", title: body.alert.title };
+  if (body?.["@type"] === "MessageCard") return { format: "teams", title: body.title };
+  if (typeof body?.text === "string") return { format: "slack", title: body.text.split("\n")[0] };
+  return { format: "unknown", title: "" };
+}
+
+const app = express();
+app.use(express.json({ limit: "1mb", verify: (req, res, buf) => (req.rawBody = buf) }));
+
+app.post("*", (req, res) => {
+  const { format, title } = describe(req.body);
+  const entry = { at: new Date().toISOString(), path: req.path, format, title, signature: checkSignature(req), body: req.body };
+  received.push(entry);
+  console.log(`${entry.at} ${req.path} [${format}] signature ${entry.signature}: ${title}`);
+  if (failuresLeft > 0) {
+    failuresLeft--;
+    return res.status(500).send("mock failure");
+  }
+  res.json({ ok: true });
+});
+
+app.get("/", (req, res) => res.json({ ok: true, received }));
+
+app.listen(PORT, () => console.log(`Mock alert receiver on http://localhost:${PORT} (POST anything)`));
@@ -0,0 +1,110 @@
+const { parseIsoDate } = require("./util");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Cursors are opaque to clients: base64url JSON of [sort, order, value, id] of the last item served.
+function encodeCursor(sort, order, value, id) {
+  return Buffer.from(JSON.stringify([sort, order, value ?? null, id])).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf-8"));
+    if (!Array.isArray(parsed) || parsed.length !== 4) return null;
+    const [sort, order, value, id] = parsed;
+    return { sort, order, value, id };
+  } catch {
+    return null;
+  }
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a) < String(b) ? -1 : 1;
+}
+
+/**
+ * Validates ?sort, ?order, ?limit and ?cursor against the sortable fields of a resource.
+ * Returns { error } on bad input so routes can answer 400.
+ */
+function listParams(query, fields, defaultSort, defaultOrder = "desc") {
+  const sort = String(query.sort || defaultSort);
+  if (!fields[sort]) return { error: `Unknown sort "${sort}". Use one of: ${Object.keys(fields).join(", ")}` };
+
+  const order = String(query.order || defaultOrder).toLowerCase();
+  if (order !== "asc" && order !== "desc") return { error: 'order must be "asc" or "desc"' };
+
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  if (query.cursor && (!cursor || cursor.sort !== sort || cursor.order !== order)) {
+    return { error: "Invalid cursor for this sort/order" };
+  }
+
+  const limit = Math.min(MAX_LIMIT, Math.max(1, Math.floor(Number(query.limit)) || DEFAULT_LIMIT));
+  return { fields, sort, order, cursor, limit };
+}
+
+/**
+ * Sorts and slices a list. Ties are broken by id so a cursor keeps its place
+ * even when new items arrive between page requests.
+ */
+function paginate(items, { fields, sort, order, cursor, limit }) {
+  const get = fields[sort];
+  const dir = order === "asc" ? 1 : -1;
+  const cmp = (a, b) => dir * (compareValues(a.value, b.value) || compareValues(a.id, b.id));
+
+  const keyed = items.map((item) => ({ item, value: get(item), id: item.id })).sort(cmp);
+
+  let start = 0;
+  if (cursor) {
+    start = keyed.findIndex((k) => cmp(k, cursor) > 0);
+    if (start < 0) start = keyed.length;
+  }
+
+  const page = keyed.slice(start, start + limit);
+  const last = page[page.length - 1];
+  const hasMore = start + limit < keyed.length;
+
+  return {
+    items: page.map((k) => k.item),
+    nextCursor: hasMore && last ? encodeCursor(sort, order, last.value, last.id) : null,
+    total: keyed.length
+  };
+}
+
+/**
+ * Parses ?after / ?before into a half-open window. A date-only `before`
+ * (YYYY-MM-DD) includes that whole day.
+ */
+function dateWindow(query) {
+  let after = null;
+  let before = null;
+  if (query.after) {
+    after = parseIsoDate(query.after);
+    if (!after) return { error: "after must be a date" };
+  }
+  if (query.before) {
+    before = parseIsoDate(query.before);
+    if (!before) return { error: "before must be a date" };
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(query.before))) before = new Date(before.getTime() + 86400000);
+  }
+  return { after, before };
+}
+
+function csvParam(val) {
+  if (!val) return [];
+  return String(val).split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  listParams,
+  paginate,
+  dateWindow,
+  csvParam
+};
@@ -0,0 +1,223 @@
+/**
+ * Microsoft Graph search provider (direct mode): runs the search against one mailbox with
+ * GET /users/{mailbox}/messages?$search=..., follows @odata.nextLink until maxResults, and maps
+ * Graph messages into the email shape upsertEmailsAndThreads expects. Messages with attachments get
+ * their attachment metadata from /messages/{id}/attachments (one extra call each; GRAPH_ATTACHMENTS=0
+ * skips it).
+ *
+ * Auth is the OAuth client-credentials flow (application permission Mail.Read), or a fixed
+ * GRAPH_ACCESS_TOKEN. GRAPH_BASE_URL / GRAPH_TOKEN_URL can point at a local mock (server/mock-graph.js).
+ */
+const { fetchFn } = require("../util");
+const { htmlToText } = require("../mime");
+
+const GRAPH_TENANT_ID = process.env.GRAPH_TENANT_ID || "";
+const GRAPH_CLIENT_ID = process.env.GRAPH_CLIENT_ID || "";
+const GRAPH_CLIENT_SECRET = process.env.GRAPH_CLIENT_SECRET || "";
+const GRAPH_ACCESS_TOKEN = process.env.GRAPH_ACCESS_TOKEN || "";
+const GRAPH_MAILBOX = process.env.GRAPH_MAILBOX || ""; // user id or UPN of the mailbox to search
+const GRAPH_BASE_URL = (process.env.GRAPH_BASE_URL || "https://graph.microsoft.com/v1.0").replace(/\/+$/, "");
+const GRAPH_TOKEN_URL =
+  process.env.GRAPH_TOKEN_URL || `https://login.microsoftonline.com/${GRAPH_TENANT_ID}/oauth2/v2.0/token`;
+const GRAPH_PAGE_SIZE = Math.min(1000, Number(process.env.GRAPH_PAGE_SIZE || 50));
+const GRAPH_ATTACHMENTS = process.env.GRAPH_ATTACHMENTS !== "0";
+
+const MAX_THROTTLE_RETRIES = 3;
+const MAX_RETRY_AFTER_MS = 30000;
+
+const SELECT = [
+  "id",
+  "internetMessageId",
+  "conversationId",
+  "subject",
+  "from",
+  "sender",
+  "toRecipients",
+  "ccRecipients",
+  "sentDateTime",
+  "receivedDateTime",
+  "bodyPreview",
+  "body",
+  "hasAttachments",
+  "internetMessageHeaders"
+].join(",");
+
+function missingConfig() {
+  const missing = [];
+  if (!GRAPH_MAILBOX) missing.push("GRAPH_MAILBOX");
+  if (!GRAPH_ACCESS_TOKEN) {
+    if (!GRAPH_TENANT_ID && !process.env.GRAPH_TOKEN_URL) missing.push("GRAPH_TENANT_ID");
+    if (!GRAPH_CLIENT_ID) missing.push("GRAPH_CLIENT_ID");
+    if (!GRAPH_CLIENT_SECRET) missing.push("GRAPH_CLIENT_SECRET");
+  }
+  return missing;
+}
+
+class GraphError extends Error {
+  constructor(message, status, detail) {
+    super(message);
+    this.name = "GraphError";
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+// -------- auth --------
+let cachedToken = null; // { token, expiresAt }
+
+async function accessToken() {
+  if (GRAPH_ACCESS_TOKEN) return GRAPH_ACCESS_TOKEN;
+  if (cachedToken && cachedToken.expiresAt > Date.now()) return cachedToken.token;
+
+  const body = new URLSearchParams({
+    grant_type: "client_credentials",
+    client_id: GRAPH_CLIENT_ID,
+    client_secret: GRAPH_CLIENT_SECRET,
+    scope: "https://graph.microsoft.com/.default"
+  });
+  const r = await fetchFn(GRAPH_TOKEN_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: body.toString()
+  });
+  const text = await r.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    // reported below
+  }
+  if (!r.ok || !json?.access_token) {
+    throw new GraphError(`Graph token request failed: ${r.status} ${json?.error_description || text.slice(0, 200)}`, r.status, text.slice(0, 300));
+  }
+  // renew a minute early
+  cachedToken = { token: json.access_token, expiresAt: Date.now() + (Number(json.expires_in || 3600) - 60) * 1000 };
+  return cachedToken.token;
+}
+
+// Resolves after ms, or rejects as soon as `signal` aborts.
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+// GET a Graph URL as JSON; waits out 429/503 throttling (Retry-After) a few times.
+async function graphGet(url, signal) {
+  for (let attempt = 0; ; attempt++) {
+    const token = await accessToken();
+    const r = await fetchFn(url, { headers: { Authorization: `Bearer ${token}`, Accept: "application/json" }, signal });
+    if ((r.status === 429 || r.status === 503) && attempt < MAX_THROTTLE_RETRIES) {
+      const retryAfter = Number(r.headers.get("retry-after"));
+      await sleep(Math.min(MAX_RETRY_AFTER_MS, (Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter : 2 ** attempt) * 1000), signal);
+      continue;
+    }
+    if (r.status === 401 && attempt === 0 && cachedToken) {
+      cachedToken = null; // token revoked or expired early; fetch a new one once
+      continue;
+    }
+    const text = await r.text();
+    if (!r.ok) {
+      let message = text.slice(0, 200);
+      try {
+        message = JSON.parse(text).error?.message || message;
+      } catch {
+        // not JSON
+      }
+      throw new GraphError(`Graph request failed: ${r.status} ${message}`, r.status, text.slice(0, 300));
+    }
+    return JSON.parse(text);
+  }
+}
+
+// -------- search --------
+// KQL for $search: the keyword plus optional received-date bounds (YYYY-MM-DD).
+function searchExpression({ keyword, dateFrom, dateTo }) {
+  const parts = [String(keyword || "").replace(/["\\]/g, " ").trim()];
+  if (dateFrom) parts.push(`received>=${dateFrom}`);
+  if (dateTo) parts.push(`received<=${dateTo}`);
+  return `"${parts.filter(Boolean).join(" AND ")}"`;
+}
+
+function firstPageUrl(query) {
+  const params = new URLSearchParams({
+    $search: searchExpression(query),
+    $select: SELECT,
+    $top: String(Math.min(GRAPH_PAGE_SIZE, query.maxResults || GRAPH_PAGE_SIZE))
+  });
+  return `${GRAPH_BASE_URL}/users/${encodeURIComponent(GRAPH_MAILBOX)}/messages?${params}`;
+}
+
+const address = (recipient) => recipient?.emailAddress?.address || "";
+const headerValue = (m, name) => (m.internetMessageHeaders || []).find((h) => String(h.name).toLowerCase() === name)?.value || "";
+
+// Graph message -> incoming email shape (see upsertEmailsAndThreads)
+function mapMessage(m) {
+  const html = m.body?.contentType === "html" ? m.body.content || "" : "";
+  const text = m.body?.contentType === "text" ? m.body.content || "" : htmlToText(html);
+  return {
+    messageId: String(m.internetMessageId || m.id || "").replace(/^<|>$/g, ""),
+    graphId: m.id,
+    conversationId: m.conversationId || null,
+    // Graph leaves internetMessageHeaders out for some items (e.g. sent mail); undefined = unknown
+    inReplyTo: m.internetMessageHeaders ? headerValue(m, "in-reply-to") || null : undefined,
+    references: m.internetMessageHeaders ? headerValue(m, "references") : undefined,
+    subject: m.subject || "",
+    from: address(m.from) || address(m.sender),
+    to: (m.toRecipients || []).map(address).filter(Boolean),
+    cc: (m.ccRecipients || []).map(address).filter(Boolean),
+    sentAt: m.sentDateTime || m.receivedDateTime,
+    snippet: m.bodyPreview || "",
+    bodyHtml: html,
+    bodyText: text,
+    hasAttachments: Boolean(m.hasAttachments)
+  };
+}
+
+// Attachment metadata of one message (content is left on the server)
+async function fetchAttachments(graphId, signal) {
+  const params = new URLSearchParams({ $select: "id,name,contentType,size,isInline" });
+  const url = `${GRAPH_BASE_URL}/users/${encodeURIComponent(GRAPH_MAILBOX)}/messages/${encodeURIComponent(graphId)}/attachments?${params}`;
+  const page = await graphGet(url, signal);
+  return (page.value || []).map((a) => ({ filename: a.name, contentType: a.contentType, size: a.size, inline: Boolean(a.isInline) }));
+}
+
+/**
+ * Runs the query and resolves with { emails, pages }. Stops at query.maxResults.
+ * `onPage({ page, received })` is called after every page; `signal` (AbortSignal) stops paging.
+ */
+async function search(query, { onPage, signal } = {}) {
+  const limit = Math.max(1, Number(query.maxResults) || 50);
+  const emails = [];
+  let url = firstPageUrl(query);
+  let pages = 0;
+  while (url && emails.length < limit) {
+    const page = await graphGet(url, signal);
+    pages++;
+    for (const m of page.value || []) {
+      if (emails.length >= limit) break;
+      const email = mapMessage(m);
+      if (GRAPH_ATTACHMENTS && email.hasAttachments) email.attachments = await fetchAttachments(m.id, signal);
+      emails.push(email);
+    }
+    if (onPage) onPage({ page: pages, received: emails.length });
+    url = page["@odata.nextLink"] || null;
+  }
+  return { emails, pages };
+}
+
+module.exports = {
+  name: "graph",
+  label: "Microsoft Graph (direct)",
+  mode: "direct",
+  missingConfig,
+  search,
+  mapMessage,
+  searchExpression,
+  GraphError
+};
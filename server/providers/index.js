@@ -0,0 +1,29 @@
+/**
+ * Search providers. Each one exports:
+ *   name, label
+ *   mode             "callback": start(query) hands the search off; results arrive later on a webhook
+ *                    "direct":   search(query, { onPage, signal }) resolves with { emails, pages }
+ * Failures are thrown as errors with an HTTP-like `status` when there is one; searches.js retries
+ * network errors, 408, 429 and 5xx and gives up on everything else.
+ *   missingConfig()  names of required settings that are not set ([] = ready to use)
+ * Emails from any provider use the incoming shape of upsertEmailsAndThreads.
+ */
+const { SEARCH_PROVIDER } = require("../config");
+
+const PROVIDERS = {
+  zapier: require("./zapier"),
+  graph: require("./graph")
+};
+
+function getProvider(name = SEARCH_PROVIDER) {
+  return PROVIDERS[String(name || "").toLowerCase()] || null;
+}
+
+function listProviders() {
+  return Object.values(PROVIDERS).map((p) => {
+    const missing = p.missingConfig();
+    return { name: p.name, label: p.label, mode: p.mode, configured: !missing.length, missing, default: p.name === SEARCH_PROVIDER };
+  });
+}
+
+module.exports = { getProvider, listProviders };
@@ -0,0 +1,51 @@
+/**
+ * Zapier search provider: posts the query to the Zapier catch hook (form-encoded, HMAC-signed); the Zap
+ * runs the Outlook search and posts the emails back to /api/zapier/results (callback mode).
+ */
+const { fetchFn } = require("../util");
+const { APP_BASE_URL, ZAPIER_SEARCH_HOOK_URL } = require("../config");
+const { signedHeaders } = require("../webhooks");
+
+function missingConfig() {
+  const missing = [];
+  if (!ZAPIER_SEARCH_HOOK_URL) missing.push("ZAPIER_SEARCH_HOOK_URL");
+  if (!APP_BASE_URL) missing.push("APP_BASE_URL");
+  return missing;
+}
+
+/**
+ * Hands the query to Zapier. Resolves when the hook accepted it; throws (with `status` and `detail`)
+ * when it did not. `signal` (AbortSignal) cancels the request.
+ */
+async function start(query, { signal } = {}) {
+  const params = new URLSearchParams();
+  params.set("queryId", query.id);
+  params.set("keyword", query.keyword);
+  params.set("dateFrom", query.dateFrom || "");
+  params.set("dateTo", query.dateTo || "");
+  params.set("maxResults", String(query.maxResults || 50));
+  params.set("callbackUrl", `${APP_BASE_URL}/api/zapier/results`);
+
+  const body = params.toString();
+  const r = await fetchFn(ZAPIER_SEARCH_HOOK_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded", ...signedHeaders(body) },
+    body,
+    signal
+  });
+  const text = await r.text().catch(() => "");
+  if (!r.ok) {
+    const err = new Error(`Zapier hook failed: ${r.status} ${text.slice(0, 200)}`);
+    err.status = r.status;
+    err.detail = text.slice(0, 200);
+    throw err;
+  }
+}
+
+module.exports = {
+  name: "zapier",
+  label: "Outlook via Zapier",
+  mode: "callback",
+  missingConfig,
+  start
+};
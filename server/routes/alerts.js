@@ -0,0 +1,147 @@
+const express = require("express");
+const { getStore } = require("../storage");
+const { ALERTS_PATH, loadAlerts, runAlerts, previewAlerts, sendTestAlert } = require("../alerts");
+const { requireRole } = require("../auth");
+const { auditNote } = require("../audit");
+const { listParams, paginate, dateWindow, csvParam } = require("../paginate");
+
+const router = express.Router();
+
+const idList = (val) => String(val || "").split(",").map((s) => s.trim()).filter(Boolean);
+
+const SORT_FIELDS = {
+  lastFiredAt: (a) => a.lastFiredAt || "",
+  firedAt: (a) => a.firedAt || "",
+  sentAt: (a) => a.sentAt || ""
+};
+
+// Webhook URLs often carry their credentials (Slack, Teams): only the origin is shown
+const redact = (url) => `${new URL(url).origin}/…`;
+
+// GET /api/alerts/config: rules and webhooks in effect (from alerts.json)
+router.get("/alerts/config", (req, res) => {
+  const { lookbackDays, rules, webhooks } = loadAlerts();
+  res.json({ ok: true, path: ALERTS_PATH, lookbackDays, rules, webhooks: webhooks.map((w) => ({ ...w, url: redact(w.url) })) });
+});
+
+/**
+ * GET /api/alerts
+ * Alerts fired so far, latest first.
+ * Filters: rule (rule ids), type, status (recorded|pending|delivered|failed), threadId, queryId
+ *          (comma lists), after/before (lastFiredAt)
+ * Paging:  sort=lastFiredAt|firedAt|sentAt, order, limit, cursor
+ */
+router.get("/alerts", (req, res) => {
+  const params = listParams(req.query, SORT_FIELDS, "lastFiredAt");
+  if (params.error) return res.status(400).json({ ok: false, error: params.error });
+  const win = dateWindow(req.query);
+  if (win.error) return res.status(400).json({ ok: false, error: win.error });
+
+  const rules = csvParam(req.query.rule);
+  const types = csvParam(req.query.type);
+  const statuses = csvParam(req.query.status);
+  const threadIds = idList(req.query.threadId);
+  const queryIds = idList(req.query.queryId);
+
+  const items = getStore()
+    .alerts.list(threadIds.length ? { threadId: threadIds } : {})
+    .filter((a) => {
+      if (rules.length && !rules.includes(a.ruleId)) return false;
+      if (types.length && !types.includes(a.type)) return false;
+      if (statuses.length && !statuses.includes(a.status)) return false;
+      if (queryIds.length && !queryIds.includes(a.queryId)) return false;
+      if (win.after && !(new Date(a.lastFiredAt) >= win.after)) return false;
+      if (win.before && !(new Date(a.lastFiredAt) < win.before)) return false;
+      return true;
+    });
+  const page = paginate(items, params);
+  res.json({ ok: true, alerts: page.items, nextCursor: page.nextCursor, total: page.total });
+});
+
+// GET /api/alerts/preview: what an evaluation would fire right now (nothing is recorded or sent)
+router.get("/alerts/preview", (req, res) => {
+  res.json({ ok: true, events: previewAlerts(getStore()) });
+});
+
+// POST /api/alerts/evaluate (admin): run an evaluation pass now -> { fired, delivered, failed }
+router.post("/alerts/evaluate", requireRole("admin"), async (req, res, next) => {
+  try {
+    const result = await runAlerts(getStore());
+    auditNote(res, { detail: result });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /api/alerts/test (admin)
+ * Body: { webhooks?: ["name", ...] } (default: every webhook). Posts a sample alert to each and
+ * answers with what every receiver said.
+ */
+router.post("/alerts/test", requireRole("admin"), async (req, res, next) => {
+  const names = Array.isArray(req.body?.webhooks) ? req.body.webhooks.map(String) : [];
+  const known = loadAlerts().webhooks.map((w) => w.name);
+  const unknown = names.filter((n) => !known.includes(n));
+  if (unknown.length) return res.status(400).json({ ok: false, error: `Unknown webhook: ${unknown.join(", ")}` });
+  if (!known.length) return res.status(400).json({ ok: false, error: `No webhooks configured in ${ALERTS_PATH}` });
+  try {
+    const results = await sendTestAlert(names);
+    auditNote(res, { detail: { webhooks: results.map((r) => `${r.webhook}: ${r.ok ? "ok" : r.error}`) } });
+    res.json({ ok: results.every((r) => r.ok), results });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * PUT /api/threads/:id/snooze
+ * Body: { hours } or { until: ISO date }. No alerts fire for the thread until then.
+ */
+router.put("/threads/:id/snooze", async (req, res, next) => {
+  const body = req.body || {};
+  let until;
+  if (body.until !== undefined) {
+    until = new Date(body.until);
+    if (Number.isNaN(until.getTime())) return res.status(400).json({ ok: false, error: "until must be a date" });
+  } else {
+    const hours = Number(body.hours);
+    if (!(hours > 0)) return res.status(400).json({ ok: false, error: "hours must be a positive number" });
+    until = new Date(Date.now() + hours * 3600000);
+  }
+  if (until <= new Date()) return res.status(400).json({ ok: false, error: "until must be in the future" });
+
+  try {
+    const thread = await getStore().write((store) => {
+      const t = store.threads.get(req.params.id);
+      if (!t) return null;
+      t.alertsSnoozedUntil = until.toISOString();
+      store.threads.put(t);
+      return t;
+    });
+    if (!thread) return res.status(404).json({ ok: false, error: "Thread not found" });
+    auditNote(res, { detail: { until: thread.alertsSnoozedUntil } });
+    res.json({ ok: true, threadId: thread.id, alertsSnoozedUntil: thread.alertsSnoozedUntil });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// DELETE /api/threads/:id/snooze: alerts fire for the thread again
+router.delete("/threads/:id/snooze", async (req, res, next) => {
+  try {
+    const thread = await getStore().write((store) => {
+      const t = store.threads.get(req.params.id);
+      if (!t) return null;
+      delete t.alertsSnoozedUntil;
+      store.threads.put(t);
+      return t;
+    });
+    if (!thread) return res.status(404).json({ ok: false, error: "Thread not found" });
+    res.json({ ok: true, threadId: thread.id, alertsSnoozedUntil: null });
+  } catch (e) {
+    next(e);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require("express");
+const { getStore } = require("../storage");
+const analytics = require("../analytics");
+const { dateWindow } = require("../paginate");
+
+const router = express.Router();
+
+/**
+ * Shared filters for /api/analytics/*:
+ *   after / before  window on the client message date (volume: on every message date)
+ *   queryId         one id or a comma list
+ *   domain          client domain (subdomains included)
+ *   org             client organization id from the directory (server/directory.js)
+ */
+function analyticsFilters(req, res) {
+  const win = dateWindow(req.query);
+  if (win.error) {
+    res.status(400).json({ ok: false, error: win.error });
+    return null;
+  }
+  const queryIds = String(req.query.queryId || "").split(",").map((s) => s.trim()).filter(Boolean);
+  const domain = String(req.query.domain || "").trim().toLowerCase();
+  const org = String(req.query.org || "").trim().toLowerCase();
+  return { ...win, queryIds, domain, org };
+}
+
+router.get("/analytics/response-times", (req, res) => {
+  const filters = analyticsFilters(req, res);
+  if (!filters) return;
+  res.json({ ok: true, ...analytics.responseTimes(getStore(), filters) });
+});
+
+router.get("/analytics/trends", (req, res) => {
+  const filters = analyticsFilters(req, res);
+  if (!filters) return;
+  res.json({ ok: true, weeks: analytics.trends(getStore(), filters) });
+});
+
+router.get("/analytics/domains", (req, res) => {
+  const filters = analyticsFilters(req, res);
+  if (!filters) return;
+  res.json({ ok: true, domains: analytics.byDomain(getStore(), filters) });
+});
+
+router.get("/analytics/responders", (req, res) => {
+  const filters = analyticsFilters(req, res);
+  if (!filters) return;
+  res.json({ ok: true, responders: analytics.byResponder(getStore(), filters) });
+});
+
+router.get("/analytics/volume", (req, res) => {
+  const filters = analyticsFilters(req, res);
+  if (!filters) return;
+  const interval = String(req.query.interval || "week");
+  if (interval !== "day" && interval !== "week") {
+    return res.status(400).json({ ok: false, error: 'interval must be "day" or "week"' });
+  }
+  res.json({ ok: true, interval, periods: analytics.volume(getStore(), filters, interval) });
+});
+
+module.exports = router;
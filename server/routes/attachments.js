@@ -0,0 +1,83 @@
+const express = require("express");
+const { getStore } = require("../storage");
+const { typeMatcher, listAttachments, findAttachment, attachmentContent } = require("../attachments");
+const { auditNote } = require("../audit");
+const { listParams, paginate, dateWindow, csvParam } = require("../paginate");
+
+const router = express.Router();
+
+const idList = (val) => String(val || "").split(",").map((s) => s.trim()).filter(Boolean);
+
+const SORT_FIELDS = {
+  sentAt: (a) => a.sentAt || "",
+  filename: (a) => String(a.filename || "").toLowerCase(),
+  size: (a) => a.size ?? -1
+};
+
+/**
+ * GET /api/attachments
+ * Filters: type (comma list: "application/pdf", "image/*", "pdf", "dwg", "spreadsheet", ...),
+ *          threadId, queryId (comma lists), from (sender address or domain, substring), direction
+ *          (client|staff), q (filename), inline (true: include inline images; default false),
+ *          after/before (sentAt)
+ * Paging:  sort=sentAt|filename|size, order, limit, cursor
+ * Example: every PDF received from siemens.com in May: ?type=pdf&from=siemens.com&after=2025-05-01&before=2025-05-31
+ */
+router.get("/attachments", (req, res) => {
+  const params = listParams(req.query, SORT_FIELDS, "sentAt");
+  if (params.error) return res.status(400).json({ ok: false, error: params.error });
+  const win = dateWindow(req.query);
+  if (win.error) return res.status(400).json({ ok: false, error: win.error });
+
+  const filter = { after: win.after, before: win.before };
+  const threadIds = idList(req.query.threadId);
+  const queryIds = idList(req.query.queryId);
+  if (threadIds.length) filter.threadId = threadIds;
+  if (queryIds.length) filter.queryId = queryIds;
+
+  const typeMatches = typeMatcher(csvParam(req.query.type));
+  const from = String(req.query.from || "").trim().toLowerCase();
+  const direction = String(req.query.direction || "").trim().toLowerCase();
+  const needle = String(req.query.q || "").trim().toLowerCase();
+  const withInline = ["1", "true", "yes"].includes(String(req.query.inline || "").toLowerCase());
+
+  const items = listAttachments(getStore(), filter, (a, email) => {
+    if (a.inline && !withInline) return false;
+    if (!typeMatches(a)) return false;
+    if (from && !String(email.from || "").includes(from)) return false;
+    if (direction && email.direction !== direction) return false;
+    if (needle && !String(a.filename || "").toLowerCase().includes(needle)) return false;
+    return true;
+  });
+  const page = paginate(items, params);
+  res.json({ ok: true, attachments: page.items, nextCursor: page.nextCursor, total: page.total });
+});
+
+const SAFE_INLINE_TYPES = /^(application\/pdf|image\/(png|jpe?g|gif|webp|bmp)|text\/plain)$/;
+
+/**
+ * GET /api/attachments/:id/content
+ * The file when its content was stored (small files, inline images); a redirect when the source
+ * sent a download URL; 404 when only its metadata is known. Always served as a download.
+ */
+router.get("/attachments/:id/content", (req, res) => {
+  const store = getStore();
+  const found = findAttachment(store, req.params.id);
+  if (!found) return res.status(404).json({ ok: false, error: "Attachment not found" });
+  const { email, attachment } = found;
+  auditNote(res, { targets: { emailIds: [email.id], threadIds: [email.threadId] }, detail: { filename: attachment.filename } });
+
+  const content = attachmentContent(email, attachment);
+  if (!content) {
+    if (attachment.url) return res.redirect(attachment.url);
+    return res.status(404).json({ ok: false, error: "Only the metadata of this attachment was received" });
+  }
+  const name = attachment.filename || "attachment";
+  const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  res.setHeader("Content-Type", SAFE_INLINE_TYPES.test(attachment.contentType) ? attachment.contentType : "application/octet-stream");
+  res.setHeader("Content-Disposition", `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(name)}`);
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.send(content);
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require("express");
+const { getAuditLog } = require("../audit");
+const { requireRole } = require("../auth");
+const { csvCell } = require("../exports");
+const { listParams, paginate, dateWindow, csvParam } = require("../paginate");
+
+const router = express.Router();
+
+router.use("/audit", requireRole("admin"));
+
+const SORT_FIELDS = {
+  seq: (e) => e.seq,
+  action: (e) => e.action
+};
+
+/**
+ * Filters shared by the list and the export:
+ *   actor (user id or username), action (comma list; "search.*" matches a prefix), target (any id in
+ *   targets), ip, status (comma list of codes, "denied" for 401/403, "aborted" for responses the
+ *   client broke off), after/before (timestamp)
+ */
+function auditFilter(query) {
+  const win = dateWindow(query);
+  if (win.error) return { error: win.error };
+  const actor = String(query.actor || "").trim().toLowerCase();
+  const actions = csvParam(query.action);
+  const target = String(query.target || "").trim();
+  const ip = String(query.ip || "").trim();
+  const statuses = csvParam(query.status);
+
+  const matches = (e) => {
+    if (actor && e.actor?.id?.toLowerCase() !== actor && e.actor?.username !== actor && e.actor?.type !== actor) return false;
+    if (actions.length && !actions.some((a) => (a.endsWith("*") ? e.action.startsWith(a.slice(0, -1)) : e.action === a))) return false;
+    if (target && !Object.values(e.targets || {}).some((ids) => Array.isArray(ids) && ids.includes(target))) return false;
+    if (ip && e.ip !== ip) return false;
+    if (statuses.length) {
+      const denied = e.status === 401 || e.status === 403;
+      if (!statuses.some((s) => (s === "denied" ? denied : s === "aborted" ? e.detail?.aborted === true : String(e.status) === s))) return false;
+    }
+    const at = new Date(e.at);
+    if (win.after && !(at >= win.after)) return false;
+    if (win.before && !(at < win.before)) return false;
+    return true;
+  };
+  return { matches };
+}
+
+/**
+ * GET /api/audit (admin)
+ * Filters: see auditFilter. Paging: sort=seq|action, order (default newest first), limit, cursor
+ */
+router.get("/audit", (req, res) => {
+  const params = listParams(req.query, SORT_FIELDS, "seq");
+  if (params.error) return res.status(400).json({ ok: false, error: params.error });
+  const filter = auditFilter(req.query);
+  if (filter.error) return res.status(400).json({ ok: false, error: filter.error });
+
+  const entries = getAuditLog()
+    .read()
+    .filter(filter.matches)
+    .map((e) => ({ ...e, id: e.seq }));
+  const page = paginate(entries, params);
+  res.json({ ok: true, entries: page.items.map(({ id, ...e }) => e), nextCursor: page.nextCursor, total: page.total });
+});
+
+const CSV_COLUMNS = ["seq", "at", "actor", "role", "ip", "action", "method", "path", "status", "targets", "detail", "hash"];
+
+const csvRow = (e) =>
+  [e.seq, e.at, e.actor?.username || e.actor?.type || "", e.actor?.role || "", e.ip, e.action, e.method, e.path, e.status, e.targets, e.detail, e.hash]
+    .map(csvCell)
+    .join(",");
+
+/**
+ * GET /api/audit/export?format=csv|ndjson (admin)
+ * Every matching entry, oldest first, as a download. NDJSON lines are the stored entries, hashes
+ * included, so an export can be checked against the chain.
+ */
+router.get("/audit/export", (req, res) => {
+  const format = String(req.query.format || "ndjson").toLowerCase();
+  if (format !== "csv" && format !== "ndjson") return res.status(400).json({ ok: false, error: 'format must be "csv" or "ndjson"' });
+  const filter = auditFilter(req.query);
+  if (filter.error) return res.status(400).json({ ok: false, error: filter.error });
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader("Content-Type", format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson");
+  res.setHeader("Content-Disposition", `attachment; filename="audit-${stamp}.${format}"`);
+  if (format === "csv") res.write(CSV_COLUMNS.join(",") + "\n");
+  for (const e of getAuditLog().read()) {
+    if (!filter.matches(e)) continue;
+    res.write((format === "csv" ? csvRow(e) : JSON.stringify(e)) + "\n");
+  }
+  res.end();
+});
+
+// GET /api/audit/verify (admin): checks the hash chain of the whole log
+router.get("/audit/verify", (req, res) => {
+  res.json({ ok: true, ...getAuditLog().verify() });
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require("express");
+const { getStore } = require("../storage");
+const {
+  verifyPassword,
+  hashPassword,
+  passwordProblem,
+  normalizeUsername,
+  publicUser,
+  createSession,
+  setSessionCookie,
+  clearSessionCookie,
+  pruneSessions,
+  loginLockedFor,
+  recordLoginFailure,
+  clearLoginFailures
+} = require("../auth");
+const { auditNote } = require("../audit");
+
+const router = express.Router();
+
+// compared against when the username does not exist, so both cases take as long
+let dummyHash = null;
+
+// POST /api/auth/login { username, password } -> sets the session cookie
+router.post("/auth/login", async (req, res, next) => {
+  try {
+    const username = normalizeUsername(req.body.username);
+    const password = String(req.body.password || "");
+    if (!username || !password) return res.status(400).json({ ok: false, error: "Username and password are required." });
+    auditNote(res, { detail: { username } });
+
+    const wait = loginLockedFor(username);
+    if (wait) return res.status(429).json({ ok: false, error: `Too many failed logins; try again in ${wait}s.` });
+
+    const store = getStore();
+    const user = store.users.findByUsername(username);
+    if (!dummyHash) dummyHash = await hashPassword("not-a-real-password");
+    const valid = await verifyPassword(password, user?.passwordHash || dummyHash);
+    if (!user || !valid || user.disabled) {
+      recordLoginFailure(username);
+      return res.status(401).json({ ok: false, error: "Wrong username or password." });
+    }
+    clearLoginFailures(username);
+    auditNote(res, { actor: user });
+
+    const token = await store.write(() => {
+      pruneSessions(store);
+      store.users.put({ ...store.users.get(user.id), lastLoginAt: new Date().toISOString() });
+      return createSession(store, user, { userAgent: req.header("User-Agent"), ip: req.ip });
+    });
+    setSessionCookie(res, token);
+    res.json({ ok: true, user: publicUser(user) });
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.post("/auth/logout", async (req, res, next) => {
+  try {
+    if (req.session) await getStore().write((store) => store.sessions.remove([req.session.id]));
+    clearSessionCookie(res);
+    res.json({ ok: true });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// The signed-in user, or { user: null } (the UI shows the login screen)
+router.get("/auth/me", (req, res) => {
+  res.json({ ok: true, user: publicUser(req.user) });
+});
+
+/**
+ * PATCH /api/auth/me
+ * { name?, preferences?: { onlyMine? }, password?, currentPassword? }
+ * A password change needs the current password and signs out the user's other sessions.
+ */
+router.patch("/auth/me", async (req, res, next) => {
+  try {
+    const changes = {};
+    if (req.body.name !== undefined) changes.name = String(req.body.name).trim();
+    if (req.body.preferences && typeof req.body.preferences === "object") {
+      changes.preferences = { ...req.user.preferences };
+      if (req.body.preferences.onlyMine !== undefined) changes.preferences.onlyMine = Boolean(req.body.preferences.onlyMine);
+    }
+    if (req.body.password !== undefined) {
+      if (!(await verifyPassword(String(req.body.currentPassword || ""), req.user.passwordHash))) {
+        return res.status(403).json({ ok: false, error: "Current password is wrong." });
+      }
+      const problem = passwordProblem(req.body.password);
+      if (problem) return res.status(400).json({ ok: false, error: problem });
+      changes.passwordHash = await hashPassword(req.body.password);
+    }
+
+    const user = await getStore().write((store) => {
+      const updated = { ...store.users.get(req.user.id), ...changes, updatedAt: new Date().toISOString() };
+      store.users.put(updated);
+      if (changes.passwordHash) {
+        const others = store.sessions.list({ userId: updated.id }).filter((s) => s.id !== req.session.id);
+        store.sessions.remove(others.map((s) => s.id));
+      }
+      return updated;
+    });
+    res.json({ ok: true, user: publicUser(user) });
+  } catch (e) {
+    next(e);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require("express");
+const { getStore } = require("../storage");
+const { DIRECTORY_PATH, loadDirectory, saveDirectory, describe } = require("../directory");
+const { reclassifyEmails } = require("../compute");
+const { refreshThreadSla } = require("../sla");
+const { requireRole } = require("../auth");
+const { auditNote } = require("../audit");
+
+const router = express.Router();
+
+// GET /api/directory: the directory as stored, plus the staff domains in effect (STAFF_DOMAIN when the file sets none)
+router.get("/directory", (req, res) => {
+  const directory = loadDirectory();
+  res.json({ ok: true, directory: directory.raw, staffDomains: directory.staffDomains, path: DIRECTORY_PATH });
+});
+
+// GET /api/directory/lookup?address=a@b.com -> { address, kind, name, org, shared }
+router.get("/directory/lookup", (req, res) => {
+  const address = String(req.query.address || "").trim();
+  if (!address.includes("@")) return res.status(400).json({ ok: false, error: "address must be an email address" });
+  res.json({ ok: true, ...describe(address) });
+});
+
+/**
+ * PUT /api/directory (admin)
+ * Body: the whole directory (see server/directory.js). Saved to directory.json, then every stored
+ * email is classified again and the threads whose messages changed get fresh stats and SLA state.
+ */
+router.put("/directory", requireRole("admin"), async (req, res, next) => {
+  let directory;
+  try {
+    directory = saveDirectory(req.body);
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message });
+  }
+  try {
+    const result = await getStore().write((store) => {
+      const changed = reclassifyEmails(store);
+      refreshThreadSla(store, changed.threadIds);
+      return changed;
+    });
+    auditNote(res, {
+      detail: {
+        staffDomains: directory.staffDomains.length,
+        clients: directory.clients.length,
+        ignored: directory.ignored.length,
+        emailsReclassified: result.emailsChanged
+      }
+    });
+    res.json({ ok: true, directory: directory.raw, staffDomains: directory.staffDomains, emailsReclassified: result.emailsChanged, threadsUpdated: result.threadIds.length });
+  } catch (e) {
+    next(e);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+const express = require("express");
+const { getStore } = require("../storage");
+const { removeEmail } = require("../compute");
+const { moveEmail, applyCorrection } = require("../corrections");
+const { auditNote } = require("../audit");
+const { canManageQueryOf } = require("../auth");
+const { presentEmail } = require("../bodies");
+const { listParams, paginate, dateWindow } = require("../paginate");
+
+const router = express.Router();
+
+const SORT_FIELDS = {
+  sentAt: (m) => m.sentAt || "",
+  from: (m) => m.from || "",
+  subject: (m) => String(m.subject || "").toLowerCase()
+};
+
+/**
+ * GET /api/emails
+ * Filters: threadId, queryId, q (subject/snippet/addresses), participant,
+ *          direction (client|staff), after/before (sentAt)
+ * Paging:  sort=sentAt|from|subject, order, limit, cursor
+ */
+router.get("/emails", (req, res) => {
+  const params = listParams(req.query, SORT_FIELDS, "sentAt");
+  if (params.error) return res.status(400).json({ ok: false, error: params.error });
+  const win = dateWindow(req.query);
+  if (win.error) return res.status(400).json({ ok: false, error: win.error });
+
+  const threadId = req.query.threadId ? String(req.query.threadId) : "";
+  const queryId = req.query.queryId ? String(req.query.queryId) : "";
+  const needle = String(req.query.q || "").trim().toLowerCase();
+  const participant = String(req.query.participant || "").trim().toLowerCase();
+  const direction = String(req.query.direction || "").trim().toLowerCase();
+
+  const filter = { after: win.after, before: win.before };
+  if (threadId) filter.threadId = threadId;
+  if (queryId) filter.queryId = queryId;
+
+  const matches = getStore().emails.list(filter).filter((m) => {
+    if (direction && m.direction !== direction) return false;
+    const addresses = [m.from, ...(m.to || []), ...(m.cc || [])].filter(Boolean);
+    if (participant && !addresses.some((a) => a.includes(participant))) return false;
+    if (needle) {
+      const hay = [m.subject || "", m.snippet || "", ...addresses].join(" ").toLowerCase();
+      if (!hay.includes(needle)) return false;
+    }
+    return true;
+  });
+
+  const page = paginate(matches, params);
+  res.json({ ok: true, emails: page.items.map((e) => presentEmail(e, { full: false })), nextCursor: page.nextCursor, total: page.total });
+});
+
+/**
+ * GET /api/emails/:id
+ * The email with `body` { format, main, signature, quoted, remoteImages } (sanitized HTML) in place
+ * of the raw bodyHtml; see server/bodies.js.
+ */
+router.get("/emails/:id", (req, res) => {
+  const email = getStore().emails.get(req.params.id);
+  if (!email) return res.status(404).json({ ok: false, error: "Email not found" });
+  res.json({ ok: true, email: presentEmail(email) });
+});
+
+// Owner of the email's search or an admin only, for delete and move
+function manageable(req, res, next) {
+  const store = getStore();
+  const email = store.emails.get(req.params.id);
+  if (email && !canManageQueryOf(req.user, store, email)) {
+    return res.status(403).json({ ok: false, error: "Only the owner of this search or an admin can change its emails" });
+  }
+  next();
+}
+
+// Deletes one email; its thread is refreshed (or removed when it becomes empty).
+router.delete("/emails/:id", manageable, async (req, res, next) => {
+  try {
+    const email = await getStore().write((store) => removeEmail(store, req.params.id));
+    if (!email) return res.status(404).json({ ok: false, error: "Email not found" });
+    res.json({ ok: true, threadId: email.threadId });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /api/emails/:id/move { threadId }
+ * Moves one email into another thread of the same search; its old thread is removed if left empty.
+ */
+router.post("/emails/:id/move", manageable, async (req, res, next) => {
+  const threadId = String(req.body?.threadId || "");
+  if (!threadId) return res.status(400).json({ ok: false, error: "threadId is required" });
+  try {
+    const result = await applyCorrection(getStore(), (store) => moveEmail(store, req.params.id, threadId));
+    auditNote(res, {
+      targets: { threadIds: [...result.threads.map((t) => t.id), ...result.removedThreadIds] },
+      detail: { summariesRegenerated: result.summaries.regenerated.length }
+    });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+    next(e);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require("express");
+const { getStore } = require("../storage");
+const { openStream } = require("../live");
+
+const router = express.Router();
+
+/**
+ * GET /api/events
+ * Server-Sent Events stream of changes (queries, threads, summaries) for the signed-in user's UI;
+ * see server/live.js for the events. Reconnects resume from Last-Event-ID.
+ */
+router.get("/events", (req, res) => openStream(getStore(), req, res));
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const express = require("express");
+const { getStore } = require("../storage");
+const { FORMATS, THREAD_COLUMNS, MESSAGE_COLUMNS, threadRows, messageRows, streamExport } = require("../exports");
+const { auditNote } = require("../audit");
+const { dateWindow } = require("../paginate");
+
+const router = express.Router();
+
+const idList = (val) => String(val || "").split(",").map((s) => s.trim()).filter(Boolean);
+
+/**
+ * Shared parameters for /api/export/*:
+ *   format          csv (default) | json | ndjson
+ *   queryId         one id or a comma list; threadId likewise (the thread pane exports one thread)
+ *   after / before  window (threads: activity overlaps it; messages: sentAt in it)
+ *   domain / org    client domain (subdomains included) / client organization id (server/directory.js)
+ */
+function exportParams(req, res) {
+  const format = String(req.query.format || "csv").toLowerCase();
+  if (!FORMATS[format]) {
+    res.status(400).json({ ok: false, error: 'format must be "csv", "json" or "ndjson"' });
+    return null;
+  }
+  const win = dateWindow(req.query);
+  if (win.error) {
+    res.status(400).json({ ok: false, error: win.error });
+    return null;
+  }
+  const filters = {
+    ...win,
+    queryIds: idList(req.query.queryId),
+    threadIds: idList(req.query.threadId),
+    domain: String(req.query.domain || "").trim().toLowerCase(),
+    org: String(req.query.org || "").trim().toLowerCase()
+  };
+  auditNote(res, {
+    targets: {
+      ...(filters.queryIds.length ? { queryIds: filters.queryIds } : {}),
+      ...(filters.threadIds.length ? { threadIds: filters.threadIds } : {})
+    }
+  });
+  return { format, filters };
+}
+
+const noteRows = (res) => (rows) => auditNote(res, { detail: { rows } });
+
+// GET /api/export/threads: one row per thread with participants, window and response metrics
+router.get("/export/threads", async (req, res, next) => {
+  const params = exportParams(req, res);
+  if (!params) return;
+  try {
+    await streamExport(res, {
+      format: params.format,
+      name: "threads",
+      columns: THREAD_COLUMNS,
+      rows: threadRows(getStore(), params.filters),
+      onEnd: noteRows(res)
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// GET /api/export/messages: one row per message with direction, sender and who answered it how fast
+router.get("/export/messages", async (req, res, next) => {
+  const params = exportParams(req, res);
+  if (!params) return;
+  try {
+    await streamExport(res, {
+      format: params.format,
+      name: "messages",
+      columns: MESSAGE_COLUMNS,
+      rows: messageRows(getStore(), params.filters),
+      onEnd: noteRows(res)
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+module.exports = router;
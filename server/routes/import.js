@@ -0,0 +1,36 @@
+const express = require("express");
+const { getStore } = require("../storage");
+const { importFile, IMPORT_QUERY_ID } = require("../importer");
+const { auditNote } = require("../audit");
+
+const router = express.Router();
+
+const IMPORT_MAX_MB = Number(process.env.IMPORT_MAX_MB || 50);
+
+/**
+ * POST /api/import?filename=mail.mbox
+ * Body: the raw file (an .eml message or an mbox archive), one file per request,
+ * any content type except JSON/form (e.g. application/octet-stream, message/rfc822, application/mbox).
+ * Messages land under the synthetic "import" query; the response is the per-file report:
+ * { ok, queryId, report: { file, format, messages, imported, duplicates, errors: [{ index, error }] } }
+ */
+router.post(
+  "/import",
+  express.raw({ type: () => true, limit: `${IMPORT_MAX_MB}mb` }),
+  async (req, res, next) => {
+    const name = String(req.query.filename || req.header("X-Filename") || "upload.eml");
+    auditNote(res, { targets: { queryIds: [IMPORT_QUERY_ID] }, detail: { file: name, bytes: Buffer.isBuffer(req.body) ? req.body.length : 0 } });
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      return res.status(400).json({ ok: false, error: "Send the file as the raw request body (not JSON or a form)." });
+    }
+    try {
+      const report = await importFile(getStore(), { name, data: req.body });
+      auditNote(res, { detail: { format: report.format, messages: report.messages, imported: report.imported, duplicates: report.duplicates } });
+      res.json({ ok: true, queryId: IMPORT_QUERY_ID, report });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+module.exports = router;
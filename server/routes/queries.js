@@ -0,0 +1,189 @@
+const express = require("express");
+const { getStore } = require("../storage");
+const { removeThreads } = require("../compute");
+const { listParams, paginate, dateWindow, csvParam } = require("../paginate");
+const { startSearch, rerunSearch, cancelSearch, setSchedule } = require("../searches");
+const { listProviders } = require("../providers");
+const { canManageQuery } = require("../auth");
+const { auditNote } = require("../audit");
+
+const router = express.Router();
+
+const SORT_FIELDS = {
+  createdAt: (q) => q.createdAt || "",
+  updatedAt: (q) => q.updatedAt || "",
+  keyword: (q) => String(q.keyword || "").toLowerCase(),
+  receivedCount: (q) => q.receivedCount || 0
+};
+
+/**
+ * GET /api/queries
+ * Filters: status (comma list), q (keyword substring), after/before (createdAt),
+ *          owner=me|<userId> (default: "me" when the user's onlyMine preference is on, "all" shows everyone's),
+ *          scheduled=true (saved searches with a schedule only)
+ * Paging:  sort=createdAt|updatedAt|keyword|receivedCount, order, limit, cursor
+ */
+router.get("/queries", (req, res) => {
+  const params = listParams(req.query, SORT_FIELDS, "createdAt");
+  if (params.error) return res.status(400).json({ ok: false, error: params.error });
+  const win = dateWindow(req.query);
+  if (win.error) return res.status(400).json({ ok: false, error: win.error });
+
+  const statuses = csvParam(req.query.status);
+  const needle = String(req.query.q || "").trim().toLowerCase();
+  let owner = String(req.query.owner || (req.user.preferences?.onlyMine ? "me" : "all"));
+  if (owner === "me") owner = req.user.id;
+  const scheduledOnly = ["1", "true", "yes"].includes(String(req.query.scheduled || "").toLowerCase());
+
+  const matches = getStore().queries.list().filter((q) => {
+    if (owner !== "all" && q.ownerId !== owner) return false;
+    if (scheduledOnly && !q.schedule) return false;
+    if (statuses.length && !statuses.includes(String(q.status || "pending").toLowerCase())) return false;
+    if (needle && !String(q.keyword || "").toLowerCase().includes(needle)) return false;
+    const created = new Date(q.createdAt);
+    if (win.after && !(created >= win.after)) return false;
+    if (win.before && !(created < win.before)) return false;
+    return true;
+  });
+
+  const page = paginate(matches, params);
+  res.json({ ok: true, queries: page.items, nextCursor: page.nextCursor, total: page.total });
+});
+
+router.get("/queries/:id", (req, res) => {
+  const store = getStore();
+  const query = store.queries.get(req.params.id);
+  if (!query) return res.status(404).json({ ok: false, error: "Query not found" });
+  const threadCount = store.threads.list({ queryId: query.id }).length;
+  res.json({ ok: true, query, threadCount });
+});
+
+// Deletes the query and the threads/emails it harvested.
+router.delete("/queries/:id", async (req, res, next) => {
+  try {
+    const result = await getStore().write((store) => {
+      const query = store.queries.get(req.params.id);
+      if (!query) return null;
+      if (!canManageQuery(req.user, query)) return { forbidden: true };
+      store.queries.remove([query.id]);
+      const threadIds = store.threads.list({ queryId: query.id }).map((t) => t.id);
+      const emailsDeleted = removeThreads(store, threadIds);
+      return { threadsDeleted: threadIds.length, emailsDeleted };
+    });
+    if (!result) return res.status(404).json({ ok: false, error: "Query not found" });
+    if (result.forbidden) return res.status(403).json({ ok: false, error: "Only the owner or an admin can delete this search" });
+    auditNote(res, { detail: result });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// Search providers and whether they are configured (the UI offers the configured ones)
+router.get("/search/providers", (req, res) => {
+  res.json({ ok: true, providers: listProviders() });
+});
+
+// Maps a started/re-run query to the response; a run that failed outright is a 502 like before.
+function searchResponse(res, query) {
+  auditNote(res, { targets: { queryIds: [query.id] }, detail: { provider: query.provider, status: query.status } });
+  if (query.status === "error") {
+    const body = { ok: false, error: query.error, queryId: query.id };
+    if (query.errorDetail !== undefined) body.detail = query.errorDetail;
+    return res.status(502).json(body);
+  }
+  return res.json({ ok: true, queryId: query.id, provider: query.provider, status: query.status });
+}
+
+function searchFailure(res, e) {
+  if (e.queryId) auditNote(res, { targets: { queryIds: [e.queryId] } });
+  const body = { ok: false, error: e.status ? e.message : "Search failed" };
+  if (e.detail !== undefined) body.detail = e.detail;
+  if (e.queryId) body.queryId = e.queryId;
+  return res.status(e.status || 500).json(body);
+}
+
+// { cron, timezone?, enabled? } from a body: `schedule` may be the cron expression itself
+function scheduleInput(body) {
+  const raw = body.schedule;
+  if (raw === undefined || raw === null || raw === "") return null;
+  return typeof raw === "object" ? raw : { cron: String(raw), timezone: body.timezone };
+}
+
+/**
+ * Trigger search -> creates a query and hands it to the chosen provider (default SEARCH_PROVIDER).
+ * With `schedule` (cron expression, optional `timezone`) it becomes a saved search that runs again
+ * on that schedule, each time asking only for mail since its last complete run.
+ */
+router.post("/search", async (req, res) => {
+  const keyword = String(req.body.keyword || "").trim();
+  const dateFrom = req.body.dateFrom ? String(req.body.dateFrom) : "";
+  const dateTo = req.body.dateTo ? String(req.body.dateTo) : "";
+  const maxResults = Number(req.body.maxResults || 50);
+  const provider = req.body.provider ? String(req.body.provider) : undefined;
+  const schedule = scheduleInput(req.body);
+
+  auditNote(res, { detail: { keyword, dateFrom, dateTo, maxResults, provider, ...(schedule ? { schedule: schedule.cron } : {}) } });
+  if (!keyword) return res.status(400).json({ ok: false, error: "Keyword is required." });
+  if (schedule && dateTo) return res.status(400).json({ ok: false, error: "A scheduled search runs up to the present; leave dateTo empty." });
+
+  try {
+    return searchResponse(res, await startSearch(getStore(), { keyword, dateFrom, dateTo, maxResults, provider, owner: req.user, schedule }));
+  } catch (e) {
+    return searchFailure(res, e);
+  }
+});
+
+// Owner or admin only, for rerun and cancel
+function manageable(req, res, next) {
+  const query = getStore().queries.get(req.params.id);
+  if (query && !canManageQuery(req.user, query)) {
+    return res.status(403).json({ ok: false, error: "Only the owner or an admin can change this search" });
+  }
+  next();
+}
+
+// Runs a finished (complete, error, timed_out, cancelled) query again; 409 while it is still active.
+router.post("/queries/:id/rerun", manageable, async (req, res) => {
+  try {
+    return searchResponse(res, await rerunSearch(getStore(), req.params.id));
+  } catch (e) {
+    return searchFailure(res, e);
+  }
+});
+
+// Cancels a queued/running/retrying/pending query; results that arrive later are ignored.
+router.post("/queries/:id/cancel", manageable, async (req, res) => {
+  try {
+    const query = await cancelSearch(getStore(), req.params.id);
+    return res.json({ ok: true, query });
+  } catch (e) {
+    return searchFailure(res, e);
+  }
+});
+
+/**
+ * PUT /api/queries/:id/schedule — body { cron, timezone?, enabled? } (or { schedule: "0 7 * * 1-5" })
+ * DELETE /api/queries/:id/schedule — back to a one-off search
+ * The next run time is in the response (query.schedule.nextRunAt).
+ */
+router.put("/queries/:id/schedule", manageable, async (req, res) => {
+  const input = req.body.cron !== undefined ? req.body : scheduleInput(req.body);
+  auditNote(res, { detail: { cron: input?.cron, timezone: input?.timezone, enabled: input?.enabled } });
+  if (!input) return res.status(400).json({ ok: false, error: 'cron is required, e.g. "0 7 * * 1-5"' });
+  try {
+    return res.json({ ok: true, query: await setSchedule(getStore(), req.params.id, input) });
+  } catch (e) {
+    return searchFailure(res, e);
+  }
+});
+
+router.delete("/queries/:id/schedule", manageable, async (req, res) => {
+  try {
+    return res.json({ ok: true, query: await setSchedule(getStore(), req.params.id, null) });
+  } catch (e) {
+    return searchFailure(res, e);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require("express");
+const { getStore } = require("../storage");
+const { parseQuery, search } = require("../search");
+const { listParams, paginate } = require("../paginate");
+const { presentEmail } = require("../bodies");
+
+const router = express.Router();
+
+const SORT_FIELDS = {
+  score: (e) => e.score ?? 0,
+  sentAt: (e) => e.sentAt || ""
+};
+
+/**
+ * GET /api/local-search?q=...
+ * Full-text search over already-harvested emails, no Zapier/Outlook round trip.
+ * q uses the query language described in server/search.js (words, "phrases", -exclusions,
+ * from: to: domain: subject: after: before: direction:).
+ * Filters: queryId (comma list)
+ * Paging:  sort=score|sentAt (default score, or sentAt for filter-only queries), order, limit, cursor
+ */
+router.get("/local-search", (req, res) => {
+  const q = String(req.query.q || "").trim();
+  if (!q) return res.status(400).json({ ok: false, error: "q is required" });
+
+  const parsed = parseQuery(q);
+  if (parsed.error) return res.status(400).json({ ok: false, error: parsed.error });
+
+  const hasText = parsed.terms.length > 0 || parsed.phrases.length > 0;
+  const params = listParams(req.query, SORT_FIELDS, hasText ? "score" : "sentAt");
+  if (params.error) return res.status(400).json({ ok: false, error: params.error });
+
+  const queryIds = String(req.query.queryId || "").split(",").map((s) => s.trim()).filter(Boolean);
+  const matches = search(getStore(), parsed, { queryIds });
+
+  const page = paginate(matches, params);
+  res.json({ ok: true, emails: page.items.map((e) => presentEmail(e, { full: false })), nextCursor: page.nextCursor, total: page.total, parsed });
+});
+
+module.exports = router;
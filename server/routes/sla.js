@@ -0,0 +1,56 @@
+const express = require("express");
+const { getStore } = require("../storage");
+const { STATUS_RANK, loadSlaPolicies, evaluateThreads } = require("../sla");
+const { listParams, paginate, csvParam } = require("../paginate");
+
+const router = express.Router();
+
+const SORT_FIELDS = {
+  // breached before at-risk, then furthest past target first
+  severity: (t) => STATUS_RANK[t.sla.status] * 1e6 + Math.min(t.sla.ratio, 1e6 - 1),
+  dueAt: (t) => t.sla.dueAt || "",
+  lastAt: (t) => t.lastAt || ""
+};
+
+router.get("/sla/policies", (req, res) => {
+  const { policies } = loadSlaPolicies();
+  res.json({ ok: true, policies });
+});
+
+/**
+ * GET /api/sla/breaches
+ * Threads whose SLA is breached or at risk right now.
+ * Filters: status (comma list, default "breached,at-risk"), queryId, policy,
+ *          includeClosed=1 (also threads whose breach was on a message that has since been answered)
+ * Paging:  sort=severity|dueAt|lastAt, order, limit, cursor
+ */
+router.get("/sla/breaches", (req, res) => {
+  const params = listParams(req.query, SORT_FIELDS, "severity");
+  if (params.error) return res.status(400).json({ ok: false, error: params.error });
+
+  const statuses = req.query.status ? csvParam(req.query.status) : ["breached", "at-risk"];
+  const queryId = req.query.queryId ? String(req.query.queryId) : "";
+  const policy = req.query.policy ? String(req.query.policy) : "";
+  const includeClosed = req.query.includeClosed === "1" || req.query.includeClosed === "true";
+
+  const store = getStore();
+  const candidates = store.threads.list(queryId ? { queryId } : {});
+  const slaById = evaluateThreads(store, candidates);
+
+  const matches = [];
+  for (const thread of candidates) {
+    const sla = slaById.get(thread.id);
+    if (!sla || !statuses.includes(sla.status)) continue;
+    if (!includeClosed && !sla.open) continue;
+    if (policy && sla.policy !== policy) continue;
+    matches.push({ ...thread, sla });
+  }
+
+  const page = paginate(matches, params);
+  const counts = { breached: 0, "at-risk": 0 };
+  for (const t of matches) if (t.sla.status in counts) counts[t.sla.status]++;
+
+  res.json({ ok: true, threads: page.items, nextCursor: page.nextCursor, total: page.total, counts });
+});
+
+module.exports = router;
@@ -0,0 +1,230 @@
+const express = require("express");
+const { getStore } = require("../storage");
+const { removeThreads, computeResponseMetrics } = require("../compute");
+const { evaluateThreads, evaluateThreadSla } = require("../sla");
+const { currentSummary, summaryHistory, generateSummary, saveSummary } = require("../summaries");
+const { listParams, paginate, dateWindow, csvParam } = require("../paginate");
+const { auditNote } = require("../audit");
+const { replyTree } = require("../threading");
+const { presentEmail } = require("../bodies");
+const { describe } = require("../directory");
+const { mergeInto, splitThread, applyCorrection } = require("../corrections");
+const { canManageQueryOf } = require("../auth");
+
+const router = express.Router();
+
+const idList = (val) => String(val || "").split(",").map((s) => s.trim()).filter(Boolean);
+
+const SORT_FIELDS = {
+  lastAt: (t) => t.lastAt || "",
+  firstAt: (t) => t.firstAt || "",
+  subject: (t) => String(t.subject || "").toLowerCase(),
+  messageCount: (t) => t.messageCount || 0
+};
+
+function threadEmails(store, threadId) {
+  return store.emails
+    .list({ threadId })
+    .sort((a, b) => (a.sentAt || "").localeCompare(b.sentAt || ""));
+}
+
+/**
+ * GET /api/threads
+ * Filters: queryId, ids (comma list; the UI re-reads the threads a live update names),
+ *          q (subject/participants), participant, after/before (thread window
+ *          overlaps), direction (of the latest message; "client" = awaiting a staff reply),
+ *          sla (comma list of on-track|at-risk|breached, evaluated now),
+ *          run (with queryId: "latest" or a run number; threads whose newest messages came in
+ *          that run, each with `newMessages`: "what's new since the last run")
+ * Each returned thread carries a live `sla` evaluation (null when no policy applies).
+ * Paging:  sort=lastAt|firstAt|subject|messageCount, order, limit, cursor
+ */
+router.get("/threads", (req, res) => {
+  const params = listParams(req.query, SORT_FIELDS, "lastAt");
+  if (params.error) return res.status(400).json({ ok: false, error: params.error });
+  const win = dateWindow(req.query);
+  if (win.error) return res.status(400).json({ ok: false, error: win.error });
+
+  const queryId = req.query.queryId ? String(req.query.queryId) : "";
+  const needle = String(req.query.q || "").trim().toLowerCase();
+  const participant = String(req.query.participant || "").trim().toLowerCase();
+  const direction = String(req.query.direction || "").trim().toLowerCase();
+  const slaStatuses = csvParam(req.query.sla);
+  const ids = idList(req.query.ids);
+
+  const store = getStore();
+  let run = null;
+  if (req.query.run) {
+    const query = queryId ? store.queries.get(queryId) : null;
+    if (!query) return res.status(400).json({ ok: false, error: "run needs the queryId of an existing query" });
+    run = req.query.run === "latest" ? query.runs || 1 : Number(req.query.run);
+    if (!Number.isInteger(run) || run < 1) return res.status(400).json({ ok: false, error: 'run must be "latest" or a run number' });
+  }
+
+  const scope = {};
+  if (queryId) scope.queryId = queryId;
+  if (ids.length) scope.ids = ids;
+  let matches = store.threads.list(scope).filter((t) => {
+    if (run && t.lastRun !== run) return false;
+    const participants = t.participants || [];
+    if (needle) {
+      const hay = [t.subject || "", ...participants].join(" ").toLowerCase();
+      if (!hay.includes(needle)) return false;
+    }
+    if (participant && !participants.some((p) => p.includes(participant))) return false;
+    if (direction && t.lastDirection !== direction) return false;
+    if (win.after && !(new Date(t.lastAt) >= win.after)) return false;
+    if (win.before && !(new Date(t.firstAt) < win.before)) return false;
+    return true;
+  });
+
+  const now = new Date();
+  let slaById = null;
+  if (slaStatuses.length) {
+    slaById = evaluateThreads(store, matches, { now });
+    matches = matches.filter((t) => slaStatuses.includes(slaById.get(t.id)?.status));
+  }
+
+  const page = paginate(matches, params);
+  if (!slaById) slaById = evaluateThreads(store, page.items, { now });
+  // people: participants as the directory knows them (staff name, shared mailbox, client organization)
+  const threads = page.items.map((t) => ({ ...t, people: (t.participants || []).map((a) => describe(a)), sla: slaById.get(t.id) }));
+  if (run) {
+    const emails = store.emails.list({ threadId: threads.map((t) => t.id) });
+    for (const t of threads) t.newMessages = emails.filter((e) => e.threadId === t.id && e.run === run).length;
+  }
+
+  res.json({ ok: true, threads, nextCursor: page.nextCursor, total: page.total, ...(run ? { run } : {}) });
+});
+
+router.get("/threads/:id", (req, res) => {
+  const store = getStore();
+  const thread = store.threads.get(req.params.id);
+  if (!thread) return res.status(404).json({ ok: false, error: "Thread not found" });
+
+  const emails = threadEmails(store, thread.id);
+  const now = new Date();
+  const metrics = computeResponseMetrics(emails, { now });
+  const summary = currentSummary(store, thread, emails); // latest stored version (null if none), flagged stale when messages changed
+  thread.sla = evaluateThreadSla(emails, { now, metrics });
+  thread.people = (thread.participants || []).map((a) => describe(a));
+  // reply structure from In-Reply-To / References: parentId per email, tree = [{ id, children }]
+  const { tree, parentOf } = replyTree(emails);
+
+  // bodies sanitized and split into new content / signature / quoted text (server/bodies.js)
+  res.json({ ok: true, thread, emails: emails.map((e) => ({ ...presentEmail(e), parentId: parentOf.get(e.id) })), tree, metrics, summary });
+});
+
+// Owner of the thread's search or an admin only, for delete, merge and split
+function manageable(req, res, next) {
+  const store = getStore();
+  const thread = store.threads.get(req.params.id);
+  if (thread && !canManageQueryOf(req.user, store, thread)) {
+    return res.status(403).json({ ok: false, error: "Only the owner of this search or an admin can change its threads" });
+  }
+  next();
+}
+
+router.delete("/threads/:id", manageable, async (req, res, next) => {
+  try {
+    const emailsDeleted = await getStore().write((store) => {
+      if (!store.threads.get(req.params.id)) return null;
+      return removeThreads(store, [req.params.id]);
+    });
+    if (emailsDeleted === null) return res.status(404).json({ ok: false, error: "Thread not found" });
+    auditNote(res, { detail: { emailsDeleted } });
+    res.json({ ok: true, emailsDeleted });
+  } catch (e) {
+    next(e);
+  }
+});
+
+function correctionFailure(res, next, e) {
+  if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+  return next(e);
+}
+
+/**
+ * POST /api/threads/:id/merge { threadIds: [...] }
+ * Moves the messages of the other threads (same search, so the same owner) into this one and removes them.
+ * Corrections stick: see server/corrections.js.
+ */
+router.post("/threads/:id/merge", manageable, async (req, res, next) => {
+  const ids = [].concat(req.body?.threadIds || []);
+  auditNote(res, { targets: { threadIds: [req.params.id, ...ids.map(String)] } });
+  try {
+    const result = await applyCorrection(getStore(), (store) => mergeInto(store, req.params.id, ids));
+    auditNote(res, { detail: { merged: result.removedThreadIds, summariesRegenerated: result.summaries.regenerated.length } });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    correctionFailure(res, next, e);
+  }
+});
+
+/**
+ * POST /api/threads/:id/split { emailId, branch? }
+ * Moves that email and every later one into a new thread; with "branch": true only the email and
+ * the replies below it.
+ */
+router.post("/threads/:id/split", manageable, async (req, res, next) => {
+  const emailId = String(req.body?.emailId || "");
+  const branch = req.body?.branch === true || req.body?.branch === "true";
+  if (!emailId) return res.status(400).json({ ok: false, error: "emailId is required" });
+  try {
+    const result = await applyCorrection(getStore(), (store) => splitThread(store, req.params.id, emailId, { branch }));
+    auditNote(res, {
+      targets: { threadIds: result.threads.map((t) => t.id), emailIds: [emailId] },
+      detail: { branch, summariesRegenerated: result.summaries.regenerated.length }
+    });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    correctionFailure(res, next, e);
+  }
+});
+
+// Every stored summary version of a thread, newest first.
+router.get("/threads/:id/summaries", (req, res) => {
+  const store = getStore();
+  const thread = store.threads.get(req.params.id);
+  if (!thread) return res.status(404).json({ ok: false, error: "Thread not found" });
+  res.json({ ok: true, summaries: summaryHistory(store, thread.id) });
+});
+
+/**
+ * Summarize a thread (Zapier summary hook if configured, else the local summary) and store it as a new version.
+ * The latest version is reused while the thread's messages are unchanged; { "force": true } regenerates anyway.
+ */
+router.post("/threads/:id/summarize", async (req, res) => {
+  const store = getStore();
+  const thread = store.threads.get(req.params.id);
+  if (!thread) return res.status(404).json({ ok: false, error: "Thread not found" });
+
+  const emails = threadEmails(store, thread.id);
+  const force = req.body?.force === true || req.body?.force === "true";
+  const cached = currentSummary(store, thread, emails);
+  auditNote(res, { detail: { force } });
+  if (cached && !cached.stale && !force) {
+    auditNote(res, { detail: { cached: true, version: cached.version } });
+    return res.json({ ok: true, cached: true, summary: cached });
+  }
+
+  let generated;
+  try {
+    generated = await generateSummary(thread, emails);
+  } catch (e) {
+    if (e.status === 502) return res.status(502).json({ ok: false, error: e.message, detail: e.detail });
+    return res.status(500).json({ ok: false, error: "Failed to call Zapier summary hook", detail: String(e?.message || e) });
+  }
+
+  try {
+    // the thread may have been deleted while the provider was working
+    const saved = await store.write(() => (store.threads.get(thread.id) ? saveSummary(store, thread, emails, generated) : null));
+    if (!saved) return res.status(404).json({ ok: false, error: "Thread not found" });
+    auditNote(res, { detail: { cached: false, version: saved.version, provider: saved.provider } });
+    return res.json({ ok: true, cached: false, summary: { ...saved, stale: false, currentMessageCount: emails.length } });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: "Failed to store summary", detail: String(e?.message || e) });
+  }
+});
+
+module.exports = router;
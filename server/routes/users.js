@@ -0,0 +1,128 @@
+const express = require("express");
+const { getStore } = require("../storage");
+const { ROLES, SESSION_TTL_HOURS, buildUser, hashPassword, passwordProblem, publicUser, requireRole } = require("../auth");
+const { listProviders } = require("../providers");
+const { auditNote } = require("../audit");
+
+const router = express.Router();
+
+// everything here is for admins
+router.use(["/users", "/admin"], requireRole("admin"));
+
+router.get("/users", (req, res) => {
+  const users = getStore()
+    .users.list()
+    .sort((a, b) => a.username.localeCompare(b.username))
+    .map(publicUser);
+  res.json({ ok: true, users, roles: ROLES });
+});
+
+// POST /api/users { username, password, role, name }
+router.post("/users", async (req, res, next) => {
+  try {
+    const store = getStore();
+    auditNote(res, { detail: { username: req.body?.username, role: req.body?.role } });
+    const user = await buildUser(store, req.body || {});
+    await store.write(() => {
+      if (store.users.findByUsername(user.username)) throw Object.assign(new Error(`User "${user.username}" already exists.`), { status: 409 });
+      store.users.put(user);
+    });
+    auditNote(res, { targets: { userIds: [user.id] }, detail: { username: user.username, role: user.role } });
+    res.status(201).json({ ok: true, user: publicUser(user) });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+    next(e);
+  }
+});
+
+const activeAdmins = (store) => store.users.list().filter((u) => u.role === "admin" && !u.disabled);
+
+/**
+ * PATCH /api/users/:id { role?, name?, disabled?, password? }
+ * Disabling a user or resetting the password signs them out. The last active admin cannot be
+ * demoted or disabled.
+ */
+router.patch("/users/:id", async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const changes = {};
+    if (body.role !== undefined) {
+      if (!ROLES.includes(body.role)) return res.status(400).json({ ok: false, error: `Role must be one of ${ROLES.join(", ")}.` });
+      changes.role = body.role;
+    }
+    if (body.name !== undefined) changes.name = String(body.name).trim();
+    if (body.disabled !== undefined) changes.disabled = Boolean(body.disabled);
+    if (body.password !== undefined) {
+      const problem = passwordProblem(body.password);
+      if (problem) return res.status(400).json({ ok: false, error: problem });
+      changes.passwordHash = await hashPassword(body.password);
+    }
+
+    // field names only: never the password
+    auditNote(res, { detail: { changed: Object.keys(changes).map((k) => (k === "passwordHash" ? "password" : k)), role: changes.role, disabled: changes.disabled } });
+    const result = await getStore().write((store) => {
+      const user = store.users.get(req.params.id);
+      if (!user) return { status: 404, error: "User not found" };
+      const updated = { ...user, ...changes, updatedAt: new Date().toISOString() };
+      const stillAdmin = updated.role === "admin" && !updated.disabled;
+      if (user.role === "admin" && !stillAdmin && activeAdmins(store).length <= 1) {
+        return { status: 409, error: "At least one active admin is required." };
+      }
+      store.users.put(updated);
+      if (updated.disabled || changes.passwordHash) {
+        store.sessions.remove(store.sessions.list({ userId: user.id }).map((s) => s.id));
+      }
+      return { user: updated };
+    });
+    if (result.error) return res.status(result.status).json({ ok: false, error: result.error });
+    res.json({ ok: true, user: publicUser(result.user) });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// Deletes the account and its sessions; the user's searches stay (and keep their ownerId).
+router.delete("/users/:id", async (req, res, next) => {
+  try {
+    const result = await getStore().write((store) => {
+      const user = store.users.get(req.params.id);
+      if (!user) return { status: 404, error: "User not found" };
+      if (user.id === req.user.id) return { status: 409, error: "You cannot delete your own account." };
+      if (user.role === "admin" && !user.disabled && activeAdmins(store).length <= 1) {
+        return { status: 409, error: "At least one active admin is required." };
+      }
+      store.sessions.remove(store.sessions.list({ userId: user.id }).map((s) => s.id));
+      store.users.remove([user.id]);
+      return { username: user.username };
+    });
+    if (result.error) return res.status(result.status).json({ ok: false, error: result.error });
+    auditNote(res, { detail: { username: result.username } });
+    res.json({ ok: true });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// Effective server configuration (no secrets): what is set, for checking a deployment
+router.get("/admin/config", (req, res) => {
+  const store = getStore();
+  const set = (name) => Boolean(process.env[name]);
+  res.json({
+    ok: true,
+    config: {
+      storage: { kind: store.kind, location: store.location },
+      providers: listProviders(),
+      webhooks: {
+        incomingSecret: set("INCOMING_WEBHOOK_SECRET"),
+        incomingSecretPrevious: set("INCOMING_WEBHOOK_SECRET_PREVIOUS"),
+        outboundSecret: set("OUTBOUND_WEBHOOK_SECRET") || set("INCOMING_WEBHOOK_SECRET"),
+        allowPlainSecret: process.env.WEBHOOK_ALLOW_PLAIN_SECRET === "1",
+        allowUnsigned: process.env.WEBHOOK_ALLOW_UNSIGNED === "1"
+      },
+      summaryHook: set("ZAPIER_SUMMARY_HOOK_URL"),
+      sessions: { ttlHours: SESSION_TTL_HOURS, active: store.sessions.list().filter((s) => new Date(s.expiresAt) > new Date()).length }
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require("express");
+const { getStore } = require("../storage");
+const { ingestResults } = require("../searches");
+const { parseBatchMeta } = require("../batches");
+const { safeJsonParse } = require("../util");
+const { verifyWebhook } = require("../webhooks");
+const { auditNote } = require("../audit");
+
+const router = express.Router();
+
+/**
+ * Zapier posts results here.
+ * Supports:
+ * 1) Direct body: { queryId, emails: [...] }
+ * 2) Wrapper body: { payload: "{ \"queryId\":..., \"emails\":... }" }  <-- your current Zapier Step 4
+ * Large searches can arrive in several posts with batchIndex / batchCount / final / idempotencyKey,
+ * and a batch over the 2mb body limit can be split into chunkIndex / chunkCount posts (server/batches.js).
+ * Posts must be HMAC-signed (server/webhooks.js).
+ */
+router.post("/zapier/results", verifyWebhook(), async (req, res, next) => {
+  let body = req.body;
+
+  // If Zapier sends { payload: "{...json...}" }
+  if (body && typeof body === "object" && typeof body.payload === "string") {
+    const parsed = safeJsonParse(body.payload);
+    if (parsed) body = parsed;
+  }
+
+  // If body itself is a JSON string (rare)
+  if (typeof body === "string") {
+    const parsed = safeJsonParse(body);
+    if (parsed) body = parsed;
+  }
+
+  const queryId = body?.queryId;
+  const emails = body?.emails;
+
+  if (!queryId || !Array.isArray(emails)) {
+    return res.status(400).json({
+      ok: false,
+      error: "Invalid payload. Expected { queryId, emails: [] }",
+      receivedType: typeof body,
+      receivedKeys: body && typeof body === "object" ? Object.keys(body) : null
+    });
+  }
+
+  auditNote(res, { targets: { queryIds: [String(queryId)] }, detail: { emails: emails.length } });
+  const { meta, error } = parseBatchMeta(body, req.header("Idempotency-Key"), emails);
+  if (error) return res.status(400).json({ ok: false, error });
+
+  // Queued behind any other writer, so two result posts cannot drop each other's emails
+  let result;
+  try {
+    result = await getStore().write((store) => {
+      const ingested = ingestResults(store, queryId, emails, meta);
+      if (!ingested) return { ok: false, error: "Unknown queryId" };
+      if (ingested.ignored) return { ok: false, error: `Query was ${ingested.ignored}; results ignored` };
+      return { ok: true, ...ingested, received: ingested.duplicate ? 0 : emails.length };
+    });
+  } catch (e) {
+    return next(e);
+  }
+
+  if (result.ok) {
+    auditNote(res, {
+      targets: { emailIds: result.emailIdsCreated, threadIds: result.threadIdsTouched },
+      detail: { batch: meta.index, duplicate: result.duplicate, status: result.status, threadsMerged: result.threadIdsMerged }
+    });
+  }
+  return res.json(result);
+});
+
+module.exports = router;
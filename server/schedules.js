@@ -0,0 +1,134 @@
+/**
+ * Schedules of saved searches: five-field cron expressions evaluated in a time zone.
+ *
+ *   minute hour day-of-month month day-of-week
+ *   "0 7 * * 1-5"            07:00 Monday to Friday
+ *   "30 6,13 * * *"          06:30 and 13:30 every day
+ *   "0 8-16/2 * * sun-thu"   every two hours from 08:00 to 16:00, Sunday to Thursday
+ *
+ * Fields take *, numbers, ranges (a-b), lists (a,b) and steps (*\/n, a-b/n); months and weekdays
+ * also take names (jan, mon). Day of week 0 and 7 are Sunday. When both day fields are restricted,
+ * a day matching either runs (as in cron); a field starting with * (also *\/2) is not a restriction,
+ * so "0 7 *\/2 * 1" runs on odd days that are Mondays. @hourly, @daily, @weekly and @monthly are accepted.
+ * The time zone defaults to the working calendar's (calendar.js); searches.js runs what is due.
+ */
+const { calendarFor, localParts, offsetAt } = require("./calendar");
+
+const ALIASES = { "@hourly": "0 * * * *", "@daily": "0 0 * * *", "@weekly": "0 0 * * 0", "@monthly": "0 0 1 * *" };
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"], base: 1 },
+  { name: "day of week", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"], base: 0 }
+];
+const DAY_MS = 86400000;
+const MAX_DAYS = 5 * 366; // far enough for "29 Feb"
+
+const defaultTimezone = () => calendarFor().timezone;
+
+function parseValue(token, field) {
+  const named = field.names ? field.names.indexOf(token) : -1;
+  const value = named >= 0 ? named + field.base : /^\d+$/.test(token) ? Number(token) : NaN;
+  if (!(value >= field.min && value <= field.max)) throw new Error(`Invalid ${field.name} "${token}"`);
+  return value;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const m = /^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/.exec(part);
+    if (!m) throw new Error(`Invalid ${field.name} "${part}"`);
+    const step = m[2] ? Number(m[2]) : 1;
+    if (!step) throw new Error(`Invalid ${field.name} step "${part}"`);
+    let lo = field.min;
+    let hi = field.max;
+    if (m[1] !== "*") {
+      const [a, b] = m[1].split("-");
+      lo = parseValue(a, field);
+      hi = b !== undefined ? parseValue(b, field) : m[2] ? field.max : lo; // "5/15" means 5-max/15
+      if (hi < lo) throw new Error(`Invalid ${field.name} range "${part}"`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+// Parses a cron expression; throws with a readable message when it is not one.
+function parseCron(expr) {
+  const text = String(expr || "").trim().toLowerCase();
+  const fields = (ALIASES[text] || text).split(/\s+/);
+  if (fields.length !== 5) throw new Error("A schedule has five fields: minute hour day-of-month month day-of-week");
+  const [minutes, hours, days, months, weekdays] = fields.map((f, i) => parseField(f, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+  return {
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    days,
+    months,
+    weekdays,
+    // as in Vixie cron, a field starting with "*" (also "*/2") doesn't restrict the day
+    anyDay: fields[2].startsWith("*"),
+    anyWeekday: fields[4].startsWith("*")
+  };
+}
+
+// `day` is a local date encoded as UTC midnight
+function dayMatches(spec, day) {
+  if (!spec.months.has(day.getUTCMonth() + 1)) return false;
+  const dom = spec.days.has(day.getUTCDate());
+  const dow = spec.weekdays.has(day.getUTCDay());
+  if (spec.anyDay || spec.anyWeekday) return dom && dow;
+  return dom || dow;
+}
+
+/**
+ * The first time after `after` at which `cron` (an expression or parseCron's result) fires in
+ * `timezone`, or null when it never does (e.g. "0 0 31 2 *").
+ */
+function nextRunAt(cron, after = new Date(), timezone = defaultTimezone()) {
+  const spec = typeof cron === "string" ? parseCron(cron) : cron;
+  const afterMs = new Date(after).getTime();
+  const p = localParts(new Date(afterMs), timezone);
+  const firstDay = Date.UTC(p.year, p.month - 1, p.day);
+  const fromWall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) + 60000; // next whole minute
+  for (let day = firstDay; day < firstDay + MAX_DAYS * DAY_MS; day += DAY_MS) {
+    if (!dayMatches(spec, new Date(day))) continue;
+    for (const h of spec.hours) {
+      for (const m of spec.minutes) {
+        const wall = day + h * 3600000 + m * 60000;
+        if (wall < fromWall) continue;
+        const at = wall - offsetAt(wall - offsetAt(wall, timezone), timezone); // local wall time -> instant
+        if (at > afterMs) return new Date(at);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Validated schedule record from API input { cron, timezone?, enabled? }:
+ * { cron, timezone, enabled, nextRunAt }. Throws with a readable message.
+ */
+function cleanSchedule({ cron, timezone, enabled = true } = {}, now = new Date()) {
+  const expr = String(cron || "").trim();
+  if (!expr) throw new Error("cron is required, e.g. \"0 7 * * 1-5\"");
+  const spec = parseCron(expr);
+  const tz = String(timezone || defaultTimezone()).trim();
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+  } catch {
+    throw new Error(`Unknown time zone "${tz}"`);
+  }
+  const next = nextRunAt(spec, now, tz);
+  if (!next) throw new Error(`"${expr}" never runs`);
+  return { cron: expr, timezone: tz, enabled: enabled !== false, nextRunAt: enabled !== false ? next.toISOString() : null };
+}
+
+// "YYYY-MM-DD" of an instant in `timezone`
+function localDate(iso, timezone = defaultTimezone()) {
+  const p = localParts(new Date(iso), timezone);
+  return `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`;
+}
+
+module.exports = { parseCron, nextRunAt, cleanSchedule, localDate };
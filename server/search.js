@@ -0,0 +1,250 @@
+/**
+ * Local full-text search over stored emails.
+ *
+ * An in-memory inverted index over subject, snippet, bodyText and addresses, built on first use and
+ * kept current from store change events. Ranking is BM25 with per-field weights (a subject hit counts
+ * more than a body hit).
+ *
+ * Query language (terms are ANDed):
+ *   word              any indexed field contains the word
+ *   "exact phrase"    the words appear next to each other in one field
+ *   -word / -"phrase" excludes matches
+ *   from:ann          sender address contains "ann"
+ *   to:bob            a to/cc address contains "bob"
+ *   domain:acme.com   any address is in acme.com (or a subdomain)
+ *   subject:quote     subject contains the word (or quoted phrase)
+ *   after:2025-01-01  sent on/after; before:2025-02-01 sent before (a date-only before includes that day)
+ *   direction:client  client | staff | ignored
+ * Operator values can be quoted: subject:"price list".
+ */
+const { domainOf } = require("./util");
+const { dateWindow } = require("./paginate");
+
+const FIELD_WEIGHTS = { subject: 3, addresses: 2, snippet: 1, bodyText: 1 };
+const K1 = 1.2;
+const B = 0.75;
+const OPERATORS = ["from", "to", "domain", "subject", "after", "before", "direction"];
+
+function tokenize(text) {
+  return String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Field texts of an email as they are indexed.
+function fieldsOf(email) {
+  return {
+    subject: email.subject || "",
+    snippet: email.snippet || "",
+    bodyText: email.bodyText || "",
+    addresses: [email.from, ...(email.to || []), ...(email.cc || [])].filter(Boolean).join(" ")
+  };
+}
+
+/**
+ * Splits a query string into { terms, phrases, excluded, filters } or returns { error }.
+ * filters: { from: [], to: [], domain: [], subject: [[words]], after, before, direction }
+ */
+function parseQuery(input) {
+  const terms = [];
+  const phrases = [];
+  const excluded = [];
+  const filters = { from: [], to: [], domain: [], subject: [] };
+  const dates = {};
+
+  const re = /(-?)(?:([a-zA-Z]+):)?(?:"([^"]*)"?|(\S+))/g;
+  let m;
+  while ((m = re.exec(String(input || "")))) {
+    const [, neg, op, quoted, bare] = m;
+    const isPhrase = quoted !== undefined;
+    let value = isPhrase ? quoted : bare;
+    const name = op ? op.toLowerCase() : "";
+
+    if (name && OPERATORS.includes(name)) {
+      value = value.trim();
+      if (!value) return { error: `${name}: needs a value` };
+      if (name === "after" || name === "before") dates[name] = value;
+      else if (name === "direction") {
+        const dir = value.toLowerCase();
+        if (!["client", "staff", "ignored"].includes(dir)) return { error: 'direction: must be "client", "staff" or "ignored"' };
+        filters.direction = dir;
+      } else if (name === "subject") {
+        const words = tokenize(value);
+        if (words.length) filters.subject.push(words);
+      } else filters[name].push(value.toLowerCase());
+      continue;
+    }
+
+    // not an operator: "foo:bar" and times like 10:30 are plain text
+    if (name) value = `${op}:${value}`;
+    const words = tokenize(value);
+    if (!words.length) continue;
+    if (neg) excluded.push(words);
+    else if (isPhrase && words.length > 1) phrases.push(words);
+    else terms.push(...words);
+  }
+
+  const win = dateWindow(dates);
+  if (win.error) return { error: win.error };
+  if (win.after) filters.after = win.after;
+  if (win.before) filters.before = win.before;
+
+  return { terms, phrases, excluded, filters };
+}
+
+function containsPhrase(tokens, words) {
+  outer: for (let i = 0; i + words.length <= tokens.length; i++) {
+    for (let j = 0; j < words.length; j++) {
+      if (tokens[i + j] !== words[j]) continue outer;
+    }
+    return true;
+  }
+  return false;
+}
+
+function createIndex() {
+  const postings = new Map(); // term -> Map(emailId -> weighted term frequency)
+  const docs = new Map(); // emailId -> { terms: Set, length }
+  let totalLength = 0;
+
+  function remove(id) {
+    const doc = docs.get(id);
+    if (!doc) return;
+    for (const term of doc.terms) {
+      const list = postings.get(term);
+      list.delete(id);
+      if (!list.size) postings.delete(term);
+    }
+    totalLength -= doc.length;
+    docs.delete(id);
+  }
+
+  function add(email) {
+    remove(email.id);
+    const tf = new Map();
+    let length = 0;
+    for (const [field, text] of Object.entries(fieldsOf(email))) {
+      const weight = FIELD_WEIGHTS[field];
+      for (const token of tokenize(text)) {
+        tf.set(token, (tf.get(token) || 0) + weight);
+        length += weight;
+      }
+    }
+    for (const [term, freq] of tf) {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(email.id, freq);
+    }
+    docs.set(email.id, { terms: new Set(tf.keys()), length });
+    totalLength += length;
+  }
+
+  // BM25 score of every document containing all of `terms` (Map id -> score)
+  function score(terms) {
+    const unique = [...new Set(terms)];
+    const lists = unique.map((t) => postings.get(t));
+    if (lists.some((l) => !l)) return new Map();
+    lists.sort((a, b) => a.size - b.size);
+
+    const n = docs.size;
+    const avgLength = n ? totalLength / n : 1;
+    const out = new Map();
+    for (const id of lists[0].keys()) {
+      if (!lists.every((l) => l.has(id))) continue;
+      const length = docs.get(id).length;
+      let s = 0;
+      for (const list of lists) {
+        const freq = list.get(id);
+        const idf = Math.log(1 + (n - list.size + 0.5) / (list.size + 0.5));
+        s += (idf * freq * (K1 + 1)) / (freq + K1 * (1 - B + (B * length) / avgLength));
+      }
+      out.set(id, s);
+    }
+    return out;
+  }
+
+  return { add, remove, score, get size() { return docs.size; } };
+}
+
+// One index per store, built on first search and then maintained from change events.
+const indexes = new WeakMap();
+
+function indexFor(store) {
+  let index = indexes.get(store);
+  if (index) return index;
+
+  index = createIndex();
+  for (const e of store.emails.list()) index.add(e);
+  store.events.on("change", (changes) => {
+    for (const c of changes) {
+      if (c.collection !== "emails") continue;
+      if (c.op === "put") index.add(c.record);
+      else for (const id of c.ids) index.remove(id);
+    }
+  });
+  indexes.set(store, index);
+  return index;
+}
+
+function matchesFilters(email, filters) {
+  const addr = (a) => String(a || "").toLowerCase();
+  if (filters.direction && email.direction !== filters.direction) return false;
+  if (filters.after || filters.before) {
+    const d = new Date(email.sentAt);
+    if (filters.after && !(d >= filters.after)) return false;
+    if (filters.before && !(d < filters.before)) return false;
+  }
+  if (filters.from.length && !filters.from.every((f) => addr(email.from).includes(f))) return false;
+  const recipients = [...(email.to || []), ...(email.cc || [])].map(addr);
+  if (filters.to.length && !filters.to.every((f) => recipients.some((r) => r.includes(f)))) return false;
+  if (filters.domain.length) {
+    const domains = [email.from, ...(email.to || []), ...(email.cc || [])].filter(Boolean).map(domainOf);
+    const inDomain = (d) => domains.some((x) => x === d || x.endsWith("." + d));
+    if (!filters.domain.every(inDomain)) return false;
+  }
+  if (filters.subject.length) {
+    const tokens = tokenize(email.subject);
+    if (!filters.subject.every((words) => containsPhrase(tokens, words))) return false;
+  }
+  return true;
+}
+
+function fieldTokens(email) {
+  return Object.values(fieldsOf(email)).map(tokenize);
+}
+
+/**
+ * Runs a parsed query. Returns emails (copies) with a `score` (null when the query has no
+ * free-text terms, i.e. filters only). `queryIds` optionally limits the search to those queries.
+ */
+function search(store, parsed, { queryIds = [] } = {}) {
+  const { terms, phrases, excluded, filters } = parsed;
+  const index = indexFor(store);
+
+  const required = [...terms, ...phrases.flat()];
+  let candidates;
+  if (required.length) {
+    const scores = index.score(required);
+    candidates = [...scores.keys()].map((id) => {
+      const email = store.emails.get(id);
+      return email && { ...email, score: Math.round(scores.get(id) * 1000) / 1000 };
+    });
+  } else {
+    const filter = {};
+    if (queryIds.length) filter.queryId = queryIds;
+    if (filters.after) filter.after = filters.after;
+    if (filters.before) filter.before = filters.before;
+    candidates = store.emails.list(filter).map((e) => ({ ...e, score: null }));
+  }
+
+  return candidates.filter((e) => {
+    if (!e) return false;
+    if (queryIds.length && !queryIds.includes(e.queryId)) return false;
+    if (!matchesFilters(e, filters)) return false;
+    if (phrases.length || excluded.length) {
+      const tokens = fieldTokens(e);
+      if (!phrases.every((words) => tokens.some((t) => containsPhrase(t, words)))) return false;
+      if (excluded.some((words) => tokens.some((t) => containsPhrase(t, words)))) return false;
+    }
+    return true;
+  });
+}
+
+module.exports = { parseQuery, search, tokenize };
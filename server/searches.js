@@ -0,0 +1,475 @@
+/**
+ * Search runs: create a query record, hand it to its provider and store what comes back.
+ * Callback providers (Zapier) deliver through POST /api/zapier/results -> ingestResults;
+ * direct providers (Graph) are run in the background here.
+ *
+ * Lifecycle of a query (status):
+ *   queued -> running -> pending (callback provider accepted it, waiting for results) -> complete
+ *                     -> complete (direct provider finished)
+ *   pending -> partial (some result batches in, more expected) -> complete (every batch in)
+ *                                                              -> incomplete (last batch in but gaps,
+ *                                                                 or the timeout hit; see server/batches.js)
+ *   running -> retrying (transient failure: network, 408, 429, 5xx) -> running ... up to SEARCH_MAX_ATTEMPTS
+ *   running -> error (permanent failure, or out of attempts)
+ *   running | pending -> timed_out (no results within SEARCH_TIMEOUT_MS)
+ *   queued | running | retrying | pending | partial -> cancelled (POST /api/queries/:id/cancel)
+ * A finished query can be run again (POST /api/queries/:id/rerun): a new run on the same query,
+ * so results keep deduplicating into the same threads.
+ *
+ * Each query keeps `runs`, `attemptCount` (all runs), `runAttempts` / `maxAttempts` (current run),
+ * the latest `attempts` ({ n, run, startedAt, endedAt, durationMs, outcome, error }) and the current
+ * run's `startedAt` / `completedAt` / `durationMs`.
+ * Timers live in this process; a sweeper (startSearchJobs) applies timeouts and picks up retries
+ * and runs that a restart interrupted.
+ *
+ * Saved searches: a query with a `schedule` ({ cron, timezone, enabled, nextRunAt, lastRunAt,
+ * lastError }, see server/schedules.js) is run again by the sweeper when it is due. A scheduled run
+ * asks only for mail since the date its last complete run started (`lastSuccessfulRun`), and
+ * emails it creates carry its run number (`run`), as do the threads they land in (`lastRun`).
+ * A run that comes due while the previous one is still active is skipped.
+ */
+const { makeId } = require("./util");
+const { upsertEmailsAndThreads } = require("./compute");
+const { refreshThreadSla } = require("./sla");
+const { getProvider } = require("./providers");
+const { emptyBatchState, parseBatchMeta, recordBatch, missingBatches } = require("./batches");
+const { cleanSchedule, nextRunAt, localDate } = require("./schedules");
+
+const SEARCH_MAX_ATTEMPTS = Math.max(1, Number(process.env.SEARCH_MAX_ATTEMPTS || 3));
+const SEARCH_RETRY_BASE_MS = Number(process.env.SEARCH_RETRY_BASE_MS || 2000);
+const SEARCH_TIMEOUT_MS = Number(process.env.SEARCH_TIMEOUT_MS || 15 * 60 * 1000);
+const SEARCH_SWEEP_MS = Number(process.env.SEARCH_SWEEP_MS || 15000);
+const KEEP_ATTEMPTS = 20;
+
+const ACTIVE_STATUSES = ["queued", "running", "retrying", "pending", "partial"];
+const WAITING_STATUSES = ["running", "pending", "partial"]; // subject to SEARCH_TIMEOUT_MS
+
+// queryId -> { timer, controller } for work scheduled or in flight in this process
+const jobs = new Map();
+
+function searchError(message, status, extra = {}) {
+  const err = new Error(message);
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+}
+
+const isTransient = (e) => !e?.status || e.status === 408 || e.status === 429 || e.status >= 500;
+
+function backoffMs(attemptInRun) {
+  const base = SEARCH_RETRY_BASE_MS * 2 ** (attemptInRun - 1);
+  return Math.round(base * (0.8 + Math.random() * 0.4)); // +-20% jitter
+}
+
+// -------- record helpers (mutate a query copy; callers put() it) --------
+function openAttempt(q, now) {
+  q.attemptCount = (q.attemptCount || 0) + 1;
+  q.runAttempts = (q.runAttempts || 0) + 1;
+  q.attempts = [...(q.attempts || []), { n: q.attemptCount, run: q.runs || 1, startedAt: now.toISOString() }].slice(-KEEP_ATTEMPTS);
+}
+
+function closeAttempt(q, outcome, now, error) {
+  const last = q.attempts?.[q.attempts.length - 1];
+  if (!last || last.endedAt) return;
+  last.endedAt = now.toISOString();
+  last.durationMs = now - new Date(last.startedAt);
+  last.outcome = outcome;
+  if (error) last.error = error;
+}
+
+function finish(q, status, now, error) {
+  if (status === "complete") q.lastSuccessfulRun = { run: q.runs || 1, startedAt: q.startedAt || now.toISOString() };
+  q.status = status;
+  q.updatedAt = now.toISOString();
+  q.completedAt = now.toISOString();
+  q.durationMs = q.startedAt ? now - new Date(q.startedAt) : null;
+  q.deadlineAt = null;
+  q.nextAttemptAt = null;
+  if (error) q.error = error;
+  else delete q.error;
+}
+
+function clearJob(queryId, { abort = false } = {}) {
+  const job = jobs.get(queryId);
+  if (!job) return;
+  clearTimeout(job.timer);
+  if (abort) job.controller?.abort(new Error("cancelled"));
+  jobs.delete(queryId);
+}
+
+/**
+ * Stores one batch of results for a query. Run inside store.write()/transaction().
+ * `meta` is batch metadata from parseBatchMeta (default: the only batch). A batch seen before (same
+ * idempotency key in this run) is not stored or counted again. Results arriving after a timeout
+ * are still stored. Returns null for an unknown query, { ignored: status } for a cancelled one, else
+ * { duplicate, status, emailIdsCreated, threadIdsTouched, batches: { received, total, missing } }.
+ */
+function ingestResults(store, queryId, emails, meta = parseBatchMeta({}, "", emails).meta) {
+  const q = store.queries.get(queryId);
+  if (!q) return null;
+  if (q.status === "cancelled") return { ignored: q.status };
+
+  const recorded = recordBatch(q.batches, meta);
+  const summary = (state) => ({ received: state.done.length, total: state.total, missing: missingBatches(state) });
+  if (recorded.duplicate) {
+    return { duplicate: true, status: q.status, emailIdsCreated: [], threadIdsTouched: [], threadIdsMerged: [], batches: summary(recorded.state) };
+  }
+
+  const { emailIdsCreated, threadIdsTouched, threadIdsMerged } = upsertEmailsAndThreads(store, queryId, emails);
+  refreshThreadSla(store, threadIdsTouched);
+
+  const now = new Date();
+  q.batches = recorded.state;
+  q.receivedCount = (q.receivedCount || 0) + emails.length;
+  q.createdMessages = (q.createdMessages || 0) + emailIdsCreated.length;
+  q.runMessages = (q.runMessages || 0) + emailIdsCreated.length;
+  if (recorded.status === "partial") {
+    closeAttempt(q, "accepted", now);
+    q.status = "partial";
+    q.updatedAt = now.toISOString();
+    q.completedAt = null;
+    q.durationMs = null;
+    q.deadlineAt = new Date(now.getTime() + SEARCH_TIMEOUT_MS).toISOString(); // each batch restarts the wait
+    delete q.error;
+    delete q.missingBatches;
+  } else {
+    closeAttempt(q, recorded.status, now);
+    finish(q, recorded.status, now);
+    if (recorded.status === "incomplete") q.missingBatches = missingBatches(recorded.state);
+    else delete q.missingBatches;
+    clearJob(queryId);
+  }
+  store.queries.put(q);
+  return { duplicate: false, status: q.status, emailIdsCreated, threadIdsTouched, threadIdsMerged, batches: summary(recorded.state) };
+}
+
+// -------- attempts --------
+function scheduleAttempt(store, queryId, delayMs) {
+  clearJob(queryId);
+  const timer = setTimeout(() => {
+    jobs.delete(queryId);
+    runAttempt(store, queryId).catch((e) => console.error(`search ${queryId}:`, e));
+  }, Math.max(0, delayMs));
+  timer.unref();
+  jobs.set(queryId, { timer });
+}
+
+/**
+ * One attempt of the query's current run. Resolves when the provider accepted it (callback mode)
+ * or finished (direct mode), or when the failure was recorded.
+ */
+async function runAttempt(store, queryId) {
+  const controller = new AbortController();
+  jobs.set(queryId, { controller }); // claimed before the write, so the sweeper does not start it twice
+  const started = await store.write(() => {
+    const q = store.queries.get(queryId);
+    if (!q || !["queued", "retrying", "running"].includes(q.status)) return null;
+    const now = new Date();
+    openAttempt(q, now);
+    q.status = "running";
+    q.updatedAt = now.toISOString();
+    q.nextAttemptAt = null;
+    q.deadlineAt = new Date(now.getTime() + SEARCH_TIMEOUT_MS).toISOString();
+    store.queries.put(q);
+    return q;
+  });
+  if (!started) {
+    if (jobs.get(queryId)?.controller === controller) jobs.delete(queryId);
+    return;
+  }
+
+  const provider = getProvider(started.provider || "zapier");
+  try {
+    if (!provider) throw searchError(`Unknown search provider "${started.provider}".`, 400);
+    if (provider.mode === "direct") {
+      const { emails, pages } = await provider.search(started, { signal: controller.signal });
+      await store.write(() => {
+        if (store.queries.get(queryId)?.status !== "running") return; // cancelled or timed out meanwhile
+        ingestResults(store, queryId, emails);
+        const q = store.queries.get(queryId);
+        store.queries.put({ ...q, pages });
+      });
+    } else {
+      await provider.start(started, { signal: controller.signal });
+      await store.write(() => {
+        const q = store.queries.get(queryId);
+        if (q?.status !== "running") return;
+        const now = new Date();
+        closeAttempt(q, "accepted", now);
+        q.status = "pending";
+        q.updatedAt = now.toISOString();
+        q.deadlineAt = new Date(now.getTime() + SEARCH_TIMEOUT_MS).toISOString();
+        delete q.error;
+        store.queries.put(q);
+      });
+    }
+    if (jobs.get(queryId)?.controller === controller) jobs.delete(queryId);
+  } catch (e) {
+    if (jobs.get(queryId)?.controller === controller) jobs.delete(queryId);
+    const message = String(e?.message || e);
+    const retryIn = await store.write(() => {
+      const q = store.queries.get(queryId);
+      if (q?.status !== "running") return null; // cancelled or timed out: the abort is not a failure
+      const now = new Date();
+      closeAttempt(q, "error", now, message);
+      if (isTransient(e) && (q.runAttempts || 0) < SEARCH_MAX_ATTEMPTS) {
+        const delay = backoffMs(q.runAttempts);
+        q.status = "retrying";
+        q.error = message;
+        q.updatedAt = now.toISOString();
+        q.nextAttemptAt = new Date(now.getTime() + delay).toISOString();
+        store.queries.put(q);
+        return delay;
+      }
+      finish(q, "error", now, message);
+      if (e.detail !== undefined) q.errorDetail = e.detail;
+      store.queries.put(q);
+      return null;
+    });
+    if (retryIn !== null) scheduleAttempt(store, queryId, retryIn);
+  }
+}
+
+// Starts a new run on a query record (fields reset, attempts history kept). Run inside store.write().
+// `trigger` is "manual" or "schedule".
+function beginRun(q, now, trigger = "manual") {
+  q.runs = (q.runs || 0) + 1;
+  q.runTrigger = trigger;
+  q.runMessages = 0;
+  q.runAttempts = 0;
+  q.maxAttempts = SEARCH_MAX_ATTEMPTS;
+  q.receivedCount = 0;
+  q.batches = emptyBatchState();
+  q.status = "queued";
+  q.startedAt = now.toISOString();
+  q.updatedAt = now.toISOString();
+  q.completedAt = null;
+  q.durationMs = null;
+  q.deadlineAt = null;
+  q.nextAttemptAt = null;
+  delete q.error;
+  delete q.errorDetail;
+  delete q.missingBatches;
+  return q;
+}
+
+/**
+ * Runs the first attempt of a fresh run. Callback providers are awaited so the caller sees whether
+ * the hook accepted the query; direct providers keep running in the background.
+ */
+async function dispatch(store, query) {
+  const provider = getProvider(query.provider);
+  const first = runAttempt(store, query.id);
+  if (provider?.mode === "direct") {
+    first.catch((e) => console.error(`search ${query.id}:`, e));
+  } else {
+    await first;
+  }
+  return store.queries.get(query.id);
+}
+
+/**
+ * Creates a query owned by `owner` (a user) and starts it on `provider` (default SEARCH_PROVIDER).
+ * Resolves with the stored query after the first attempt: status "pending" (waiting for the callback),
+ * "running" (direct provider working), "retrying" (transient failure, retry scheduled) or "error".
+ * Throws errors with `status` 400/500 for an unknown or unconfigured provider.
+ */
+async function startSearch(store, { keyword, dateFrom = "", dateTo = "", maxResults = 50, provider: providerName, owner = null, schedule = null }) {
+  const provider = getProvider(providerName);
+  if (!provider) throw searchError(`Unknown search provider "${providerName}".`, 400);
+  const missing = provider.missingConfig();
+  if (missing.length) throw searchError(`${missing.join(", ")} ${missing.length > 1 ? "are" : "is"} not set.`, 500);
+
+  const now = new Date();
+  const query = beginRun(
+    {
+      id: makeId("q"),
+      keyword,
+      dateFrom,
+      dateTo,
+      maxResults,
+      provider: provider.name,
+      ownerId: owner?.id || null,
+      ownerName: owner ? owner.name || owner.username : null,
+      createdAt: now.toISOString(),
+      createdMessages: 0,
+      attemptCount: 0,
+      attempts: [],
+      ...(schedule ? { schedule: savedSchedule(schedule, dateFrom, now) } : {})
+    },
+    now
+  );
+  await store.write(() => store.queries.put(query));
+  return dispatch(store, query);
+}
+
+/**
+ * Starts a new run of an existing query. Throws `status` 404 (unknown), 409 (still active),
+ * 400 (no provider: e.g. the synthetic import query) or 500 (provider not configured).
+ */
+async function rerunSearch(store, queryId) {
+  const existing = store.queries.get(queryId);
+  if (!existing) throw searchError("Query not found", 404);
+  if (ACTIVE_STATUSES.includes(existing.status)) throw searchError(`Query is still ${existing.status}; cancel it first`, 409);
+  if (existing.source === "import") throw searchError("Imported files cannot be re-run", 400);
+  const provider = getProvider(existing.provider || "zapier");
+  if (!provider) throw searchError(`Unknown search provider "${existing.provider}".`, 400);
+  const missing = provider.missingConfig();
+  if (missing.length) throw searchError(`${missing.join(", ")} ${missing.length > 1 ? "are" : "is"} not set.`, 500);
+
+  const query = await store.write(() => {
+    const q = store.queries.get(queryId);
+    if (!q || ACTIVE_STATUSES.includes(q.status)) return null;
+    const started = beginRun({ ...q, provider: provider.name }, new Date());
+    store.queries.put(started);
+    return started;
+  });
+  if (!query) throw searchError("Query changed meanwhile; try again", 409);
+  return dispatch(store, query);
+}
+
+// Schedule record from API input (throws `status` 400); `dateFrom` is where runs start until one completes
+function savedSchedule(input, dateFrom, now) {
+  try {
+    return { ...cleanSchedule(input, now), dateFrom: dateFrom || "", lastRunAt: null, lastError: null };
+  } catch (e) {
+    throw searchError(e.message, 400);
+  }
+}
+
+/**
+ * Sets (`input` = { cron, timezone?, enabled? }) or removes (`input` = null) the schedule of a
+ * query. Resolves with the stored query. Throws `status` 404 / 400 (imports, invalid schedule).
+ */
+async function setSchedule(store, queryId, input) {
+  const existing = store.queries.get(queryId);
+  if (!existing) throw searchError("Query not found", 404);
+  if (existing.source === "import") throw searchError("Imported files cannot be scheduled", 400);
+  const schedule = input ? savedSchedule(input, existing.schedule?.dateFrom ?? existing.dateFrom, new Date()) : null;
+  return store.write(() => {
+    const q = store.queries.get(queryId);
+    if (!q) throw searchError("Query not found", 404);
+    if (schedule) q.schedule = { ...schedule, lastRunAt: q.schedule?.lastRunAt || null };
+    else delete q.schedule;
+    q.updatedAt = new Date().toISOString();
+    store.queries.put(q);
+    return q;
+  });
+}
+
+/**
+ * Starts the run a schedule asked for (from the sweeper) and moves the schedule to its next time.
+ * The run asks for mail since the local date its last complete run started. It is skipped, with
+ * schedule.lastError saying why, while the previous run is still active or the provider is unusable.
+ */
+function startScheduledRun(store, queryId, now) {
+  const started = store.transaction(() => {
+    const q = store.queries.get(queryId);
+    if (!q?.schedule?.enabled) return false;
+    const next = nextRunAt(q.schedule.cron, now, q.schedule.timezone);
+    const schedule = { ...q.schedule, nextRunAt: next ? next.toISOString() : null, lastRunAt: now.toISOString(), lastError: null };
+    const provider = getProvider(q.provider || "zapier");
+    const missing = provider ? provider.missingConfig() : [];
+    if (ACTIVE_STATUSES.includes(q.status)) schedule.lastError = `Skipped: the previous run was still ${q.status}`;
+    else if (!provider) schedule.lastError = `Unknown search provider "${q.provider}".`;
+    else if (missing.length) schedule.lastError = `${missing.join(", ")} ${missing.length > 1 ? "are" : "is"} not set.`;
+    if (schedule.lastError) {
+      store.queries.put({ ...q, schedule });
+      return false;
+    }
+    const since = q.lastSuccessfulRun ? localDate(q.lastSuccessfulRun.startedAt, schedule.timezone) : schedule.dateFrom;
+    store.queries.put(beginRun({ ...q, schedule, dateFrom: since || "", dateTo: "" }, now, "schedule"));
+    return true;
+  });
+  if (started) scheduleAttempt(store, queryId, 0);
+}
+
+/**
+ * Cancels an active query: pending retries are dropped and a running direct search is aborted.
+ * Results that still arrive for it are ignored. Throws `status` 404 / 409 (not active).
+ */
+async function cancelSearch(store, queryId) {
+  const query = await store.write(() => {
+    const q = store.queries.get(queryId);
+    if (!q) throw searchError("Query not found", 404);
+    if (!ACTIVE_STATUSES.includes(q.status)) throw searchError(`Query is already ${q.status}`, 409);
+    const now = new Date();
+    closeAttempt(q, "cancelled", now);
+    finish(q, "cancelled", now);
+    store.queries.put(q);
+    return q;
+  });
+  clearJob(queryId, { abort: true });
+  return query;
+}
+
+// Applies timeouts, restarts work that is due but has no timer in this process and starts scheduled runs.
+function sweep(store, now = new Date()) {
+  const due = [];
+  const timedOut = [];
+  const scheduled = [];
+  for (const q of store.queries.list()) {
+    if (q.schedule?.enabled && q.schedule.nextRunAt && new Date(q.schedule.nextRunAt) <= now) scheduled.push(q.id);
+    if (!ACTIVE_STATUSES.includes(q.status)) continue;
+    // queries from before the lifecycle existed have no deadline; count from their last update
+    const deadline = new Date(q.deadlineAt || new Date(new Date(q.updatedAt || q.createdAt).getTime() + SEARCH_TIMEOUT_MS));
+    if (WAITING_STATUSES.includes(q.status) && deadline <= now) timedOut.push(q.id);
+    else if (!jobs.has(q.id)) {
+      if (q.status === "queued" || q.status === "running") due.push(q.id); // interrupted by a restart
+      else if (q.status === "retrying" && new Date(q.nextAttemptAt || 0) <= now) due.push(q.id);
+      else if (q.status === "retrying") scheduleAttempt(store, q.id, new Date(q.nextAttemptAt) - now);
+    }
+  }
+
+  if (timedOut.length) {
+    store.transaction(() => {
+      for (const id of timedOut) {
+        const q = store.queries.get(id);
+        if (!q || !WAITING_STATUSES.includes(q.status)) continue;
+        const waited = `${Math.round(SEARCH_TIMEOUT_MS / 1000)}s`;
+        closeAttempt(q, "timed_out", now);
+        if (q.status === "partial") {
+          // some batches made it: keep them, flag the rest as missing
+          finish(q, "incomplete", now, `No further result batches within ${waited}`);
+          q.missingBatches = missingBatches(q.batches || emptyBatchState());
+        } else {
+          finish(q, "timed_out", now, `No results within ${waited}`);
+        }
+        store.queries.put(q);
+      }
+    });
+    for (const id of timedOut) clearJob(id, { abort: true });
+  }
+  for (const id of due) {
+    // a run interrupted mid-attempt counts that attempt as failed
+    store.transaction(() => {
+      const q = store.queries.get(id);
+      if (q?.status !== "running") return;
+      closeAttempt(q, "error", now, "interrupted by a restart");
+      store.queries.put(q);
+    });
+    scheduleAttempt(store, id, 0);
+  }
+  for (const id of scheduled) startScheduledRun(store, id, now);
+}
+
+// Starts the sweeper (call once at startup); also runs it right away.
+function startSearchJobs(store) {
+  const tick = () => store.exclusive(() => sweep(store)).catch((e) => console.error("search sweeper:", e));
+  tick();
+  const timer = setInterval(tick, SEARCH_SWEEP_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  SEARCH_MAX_ATTEMPTS,
+  SEARCH_TIMEOUT_MS,
+  ACTIVE_STATUSES,
+  startSearch,
+  rerunSearch,
+  cancelSearch,
+  setSchedule,
+  ingestResults,
+  startSearchJobs
+};
@@ -0,0 +1,194 @@
+/**
+ * Response-time SLA policies and per-thread evaluation.
+ *
+ * sla.json (path from SLA_PATH) looks like:
+ * {
+ *   "atRiskRatio": 0.75,
+ *   "policies": [
+ *     { "name": "Priority clients", "domains": ["siemens.com"], "addresses": ["ceo@client.com"],
+ *       "firstReplyHours": 4, "replyHours": 8 },
+ *     { "name": "Standard", "default": true, "replyHours": 16 }
+ *   ]
+ * }
+ *
+ * - firstReplyHours applies to the first client message of a thread, replyHours to every
+ *   (other) client message. Hours are working hours of the message's calendar (calendar.js)
+ *   unless the policy sets "clock": "wall".
+ * - A thread's policy is picked by its first client sender: exact address, then domain
+ *   (parent domains included), then the policy marked "default". No match = no SLA.
+ * - Status per client message: answered within target = on-track, answered late = breached;
+ *   unanswered = on-track, at-risk once atRiskRatio of the target has passed, breached after it.
+ *   The thread takes the worst status; `open` says whether it is on a still-unanswered message.
+ */
+const fs = require("fs");
+const path = require("path");
+const { safeEmail, domainOf } = require("./util");
+const { calendarFor, businessDeadline } = require("./calendar");
+const { classifyDirection, computeResponseMetrics, groupEmailsByThread } = require("./compute");
+
+const SLA_PATH = process.env.SLA_PATH || path.join(process.cwd(), "sla.json");
+
+const STATUS_RANK = { "on-track": 0, "at-risk": 1, "breached": 2 };
+
+let cache = null; // { mtimeMs, config }
+
+function compilePolicies(config) {
+  const defaultRatio = config.atRiskRatio ?? 0.75;
+  const policies = (config.policies || []).map((p, i) => {
+    const name = p.name || `policies[${i}]`;
+    const hours = (v, field) => {
+      if (v === undefined || v === null) return null;
+      if (!(Number(v) > 0)) throw new Error(`${field} must be a positive number in policy "${name}"`);
+      return Math.round(Number(v) * 3600);
+    };
+    const clock = p.clock || "business";
+    if (clock !== "business" && clock !== "wall") throw new Error(`clock must be "business" or "wall" in policy "${name}"`);
+    const ratio = p.atRiskRatio ?? defaultRatio;
+    if (!(ratio > 0 && ratio <= 1)) throw new Error(`atRiskRatio must be in (0, 1] in policy "${name}"`);
+    const policy = {
+      name,
+      default: Boolean(p.default),
+      addresses: (p.addresses || []).map(safeEmail),
+      domains: (p.domains || []).map((d) => String(d).toLowerCase()),
+      firstReplySeconds: hours(p.firstReplyHours, "firstReplyHours"),
+      replySeconds: hours(p.replyHours, "replyHours"),
+      clock,
+      atRiskRatio: ratio
+    };
+    if (!policy.firstReplySeconds && !policy.replySeconds) {
+      throw new Error(`Policy "${name}" needs firstReplyHours and/or replyHours`);
+    }
+    return policy;
+  });
+  return { policies };
+}
+
+// Load (and cache) sla.json; re-read when it changes, keeping the last good copy on a broken edit.
+function loadSlaPolicies() {
+  let mtimeMs;
+  try {
+    mtimeMs = fs.statSync(SLA_PATH).mtimeMs;
+  } catch {
+    mtimeMs = -1;
+  }
+  if (cache && cache.mtimeMs === mtimeMs) return cache.config;
+
+  try {
+    const raw = mtimeMs === -1 ? {} : JSON.parse(fs.readFileSync(SLA_PATH, "utf-8"));
+    const config = compilePolicies(raw);
+    cache = { mtimeMs, config };
+    return config;
+  } catch (e) {
+    if (!cache) throw new Error(`Failed to load ${SLA_PATH}: ${e.message}`);
+    console.error(`Ignoring invalid ${SLA_PATH}: ${e.message}`);
+    cache.mtimeMs = mtimeMs;
+    return cache.config;
+  }
+}
+
+function policyFor(address) {
+  const { policies } = loadSlaPolicies();
+  const email = safeEmail(address);
+  const byAddress = policies.find((p) => p.addresses.includes(email));
+  if (byAddress) return byAddress;
+
+  let domain = domainOf(email);
+  while (domain) {
+    const byDomain = policies.find((p) => p.domains.includes(domain));
+    if (byDomain) return byDomain;
+    const dot = domain.indexOf(".");
+    domain = dot >= 0 ? domain.slice(dot + 1) : "";
+  }
+  return policies.find((p) => p.default) || null;
+}
+
+/**
+ * Evaluate one thread's emails against its policy. Returns null when no policy applies
+ * or the thread has no client messages. Pass `metrics` if they were already computed at `now`.
+ */
+function evaluateThreadSla(emails, { now = new Date(), metrics = computeResponseMetrics(emails, { now }) } = {}) {
+  const first = metrics.perClient[0];
+  if (!first) return null;
+
+  const policy = policyFor(first.clientFrom);
+  if (!policy) return null;
+
+  const business = policy.clock === "business";
+  const emailById = new Map(emails.map((e) => [e.id, e]));
+  let worst = null;
+
+  metrics.perClient.forEach((m, i) => {
+    const target = (i === 0 && policy.firstReplySeconds) || policy.replySeconds;
+    if (!target) return;
+
+    const open = m.responseSeconds === null;
+    const elapsed = open
+      ? (business ? m.pendingBusinessSeconds : m.pendingSeconds)
+      : (business ? m.responseBusinessSeconds : m.responseSeconds);
+
+    let status = "on-track";
+    if (elapsed > target) status = "breached";
+    else if (open && elapsed >= target * policy.atRiskRatio) status = "at-risk";
+
+    let dueAt = null;
+    if (open) {
+      const msg = emailById.get(m.clientMessageId);
+      const addressedStaff = [...(msg?.to || []), ...(msg?.cc || [])].find((a) => classifyDirection(a) === "staff");
+      const due = business
+        ? businessDeadline(m.clientSentAt, target, calendarFor({ clientEmail: m.clientFrom, staffEmail: addressedStaff }))
+        : new Date(new Date(m.clientSentAt).getTime() + target * 1000);
+      dueAt = due ? due.toISOString() : null;
+    }
+
+    const item = {
+      status,
+      open,
+      clientMessageId: m.clientMessageId,
+      clientFrom: m.clientFrom,
+      clientSentAt: m.clientSentAt,
+      kind: i === 0 && policy.firstReplySeconds ? "first-reply" : "reply",
+      elapsedSeconds: elapsed,
+      targetSeconds: target,
+      ratio: Math.round((elapsed / target) * 100) / 100,
+      dueAt
+    };
+
+    if (
+      !worst ||
+      STATUS_RANK[item.status] > STATUS_RANK[worst.status] ||
+      (STATUS_RANK[item.status] === STATUS_RANK[worst.status] &&
+        (item.open && !worst.open || (item.open === worst.open && item.ratio > worst.ratio)))
+    ) {
+      worst = item;
+    }
+  });
+
+  if (!worst) return null;
+  return { policy: policy.name, clock: policy.clock, ...worst, evaluatedAt: now.toISOString() };
+}
+
+// Live evaluation for a set of threads: Map threadId -> sla (or null).
+function evaluateThreads(store, threads, { now = new Date() } = {}) {
+  const byThread = groupEmailsByThread(store.emails.list({ threadId: threads.map((t) => t.id) }));
+  return new Map(threads.map((t) => [t.id, evaluateThreadSla(byThread.get(t.id) || [], { now })]));
+}
+
+/**
+ * Store a fresh SLA snapshot on each of the given threads (thread.sla).
+ * Statuses move with time, so read paths re-evaluate; the snapshot records the state at ingestion.
+ */
+function refreshThreadSla(store, threadIds, { now = new Date() } = {}) {
+  const threads = store.threads.list({ ids: threadIds });
+  const results = evaluateThreads(store, threads, { now });
+  for (const thread of threads) store.threads.put({ ...thread, sla: results.get(thread.id) });
+}
+
+module.exports = {
+  SLA_PATH,
+  STATUS_RANK,
+  loadSlaPolicies,
+  policyFor,
+  evaluateThreadSla,
+  evaluateThreads,
+  refreshThreadSla
+};
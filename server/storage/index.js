@@ -0,0 +1,130 @@
+/**
+ * Storage entry point. One interface, two adapters:
+ *   STORAGE=json   (default) db.json at DB_PATH, see ./json.js
+ *   STORAGE=sqlite embedded SQLite at SQLITE_PATH (Node 22.5+), see ./sqlite.js
+ *
+ * A store exposes these repositories with the same synchronous methods:
+ *   queries   list() get(id) put(rec) remove(ids)
+ *   threads   list({ queryId, ids }) get(id) findByKey(queryId, key) put(rec) remove(ids)
+ *   emails    list({ threadId, queryId, after, before }) get(id) findByMessageId(messageId) put(rec) remove(ids)
+ *   summaries list({ threadId }) get(id) put(rec) remove(ids)
+ *   users     list() get(id) findByUsername(username) put(rec) remove(ids)
+ *   sessions  list({ userId }) get(id) put(rec) remove(ids)
+ *   alerts    list({ threadId }) get(id) put(rec) remove(ids)
+ * List filters take a single value or an array. Records returned are copies: change them and put() them back.
+ * store.transaction(fn) runs fn atomically (nested calls join the outer transaction).
+ *
+ * Writes from request handlers and background jobs go through the single-writer queue:
+ *   store.write(fn)     queued; runs fn(store) in a transaction, resolves with its result
+ *   store.exclusive(fn) queued; runs an async fn(store) with no other queued writer in between
+ *                       (use store.transaction inside it for the writes themselves)
+ *
+ * store.events emits "change" with the list of committed changes, once per transaction (or per
+ * single write outside one): [{ collection, op: "put", record } | { collection, op: "remove", ids }].
+ * Changes of a transaction that throws are never emitted.
+ */
+const path = require("path");
+const { EventEmitter } = require("events");
+const { createJsonStore } = require("./json");
+const { createSqliteStore, loadSqlite } = require("./sqlite");
+const { createWriteQueue } = require("./queue");
+const { upgradeLegacyRecords } = require("../compute");
+
+const STORAGE = (process.env.STORAGE || "json").toLowerCase();
+const DB_PATH = process.env.DB_PATH || path.join(process.cwd(), "db.json");
+const SQLITE_PATH = process.env.SQLITE_PATH || path.join(process.cwd(), "data.sqlite");
+const JOURNAL_COMPACT_EVERY = Number(process.env.JOURNAL_COMPACT_EVERY || 500);
+const JOURNAL_COMPACT_MS = Number(process.env.JOURNAL_COMPACT_MS || 60000);
+
+let store = null;
+
+function createAdapter(kind, location) {
+  if (kind === "json") {
+    return createJsonStore(location || DB_PATH, {
+      upgrade: upgradeLegacyRecords,
+      compactEvery: JOURNAL_COMPACT_EVERY,
+      compactIntervalMs: JOURNAL_COMPACT_MS
+    });
+  }
+  if (kind === "sqlite") {
+    loadSqlite(); // refuse an unsupported Node before touching SQLITE_PATH
+    return createSqliteStore(location || SQLITE_PATH);
+  }
+  throw new Error(`Unknown STORAGE "${kind}" (use "json" or "sqlite")`);
+}
+
+const COLLECTIONS = ["queries", "threads", "emails", "summaries", "users", "sessions", "alerts"];
+
+// Wraps put/remove/transaction so committed changes are announced on adapter.events.
+function addChangeEvents(adapter) {
+  const events = new EventEmitter();
+  events.setMaxListeners(50);
+  let depth = 0;
+  let buffered = [];
+
+  const record = (change) => {
+    buffered.push(change);
+    if (depth === 0) flush();
+  };
+  const flush = () => {
+    const changes = buffered;
+    buffered = [];
+    if (!changes.length) return;
+    try {
+      events.emit("change", changes);
+    } catch (e) {
+      // the data is already committed; a failing listener must not turn that into an error
+      console.error("storage change listener failed:", e);
+    }
+  };
+
+  for (const collection of COLLECTIONS) {
+    const repo = adapter[collection];
+    const put = repo.put;
+    const remove = repo.remove;
+    repo.put = (rec) => {
+      const result = put(rec);
+      record({ collection, op: "put", record: { ...rec } });
+      return result;
+    };
+    repo.remove = (ids) => {
+      const result = remove(ids);
+      record({ collection, op: "remove", ids: Array.isArray(ids) ? [...ids] : [ids] });
+      return result;
+    };
+  }
+
+  const transaction = adapter.transaction;
+  adapter.transaction = (fn) => {
+    depth++;
+    let result;
+    try {
+      result = transaction(fn);
+    } catch (e) {
+      depth--;
+      if (depth === 0) buffered = [];
+      throw e;
+    }
+    depth--;
+    if (depth === 0) flush();
+    return result;
+  };
+  adapter.events = events;
+}
+
+function openStore(kind = STORAGE, location) {
+  const adapter = createAdapter(kind, location);
+  addChangeEvents(adapter);
+  const queue = createWriteQueue();
+  adapter.exclusive = (fn) => queue.enqueue(() => fn(adapter));
+  adapter.write = (fn) => queue.enqueue(() => adapter.transaction(() => fn(adapter)));
+  return adapter;
+}
+
+// The process-wide store, opened on first use from STORAGE / DB_PATH / SQLITE_PATH.
+function getStore() {
+  if (!store) store = openStore();
+  return store;
+}
+
+module.exports = { STORAGE, DB_PATH, SQLITE_PATH, COLLECTIONS, openStore, getStore };
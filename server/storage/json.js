@@ -0,0 +1,464 @@
+/**
+ * JSON-file storage adapter (db.json).
+ *
+ * The snapshot (db.json) is loaded once and kept in memory with lookup indexes.
+ * Committed changes (a transaction, or a single repository call outside one) are
+ * appended as one line to db.json.journal and fsynced; on startup the journal is
+ * replayed on top of the snapshot. Compaction folds the journal back into a fresh
+ * snapshot every `compactEvery` entries, every `compactIntervalMs` and on close().
+ *
+ * Crash safety:
+ *   - the snapshot is only ever replaced by an fsynced tmp file + rename
+ *   - each journal line carries a sequence number; the snapshot records the last one
+ *     it contains, so entries already folded in are skipped on replay
+ *   - a torn last journal line (crash mid-append) is dropped; anything else that fails
+ *     to parse makes the store refuse to open, after copying the bad file aside
+ * A lock file (db.json.lock) keeps a second process from writing to the same file.
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const COLLECTIONS = ["queries", "threads", "emails", "summaries", "users", "sessions", "alerts"];
+
+class CorruptStoreError extends Error {
+  constructor(message, file, backup) {
+    super(message);
+    this.name = "CorruptStoreError";
+    this.file = file;
+    this.backup = backup;
+  }
+}
+
+function fsyncPath(p) {
+  let fd;
+  try {
+    fd = fs.openSync(p, "r");
+    fs.fsyncSync(fd);
+  } catch {
+    // directories cannot be fsynced on every platform; best effort
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+function atomicWrite(filePath, content) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const tmp = filePath + ".tmp";
+  const fd = fs.openSync(tmp, "w");
+  try {
+    fs.writeFileSync(fd, content, "utf-8");
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, filePath);
+  fsyncPath(dir);
+}
+
+// Copies a file that failed to parse next to itself so it survives any later repair attempt.
+// Named by content hash, so a restart loop does not pile up identical copies.
+function keepCorruptCopy(file) {
+  const hash = crypto.createHash("sha1").update(fs.readFileSync(file)).digest("hex").slice(0, 12);
+  const backup = `${file}.corrupt-${hash}`;
+  if (!fs.existsSync(backup)) fs.copyFileSync(file, backup);
+  return backup;
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch (e) {
+    return e.code === "EPERM";
+  }
+  // a killed process nobody has reaped yet still answers kill(0) on Linux
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, "utf-8");
+    return stat.slice(stat.lastIndexOf(")") + 2)[0] !== "Z";
+  } catch {
+    return true;
+  }
+}
+
+// Takes db.json.lock for this process; a lock left by a process that is gone is taken over.
+function acquireLock(lockPath) {
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: "wx" });
+      return;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+      const pid = Number(fs.readFileSync(lockPath, "utf-8").trim());
+      if (pid && pid !== process.pid && processAlive(pid)) {
+        throw new Error(`${lockPath} is held by process ${pid}; only one process may write this store`);
+      }
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+  throw new Error(`Could not take ${lockPath}`);
+}
+
+function asList(val) {
+  if (val === undefined || val === null) return null;
+  return Array.isArray(val) ? val : [val];
+}
+
+function inWindow(iso, after, before) {
+  if (!after && !before) return true;
+  const d = new Date(iso);
+  if (after && !(d >= after)) return false;
+  if (before && !(d < before)) return false;
+  return true;
+}
+
+/**
+ * @param {string} filePath
+ * @param {{
+ *   upgrade?: (db: object) => number,  // runs on the raw snapshot after loading
+ *   compactEvery?: number,             // journal entries before compaction (default 500)
+ *   compactIntervalMs?: number,        // also compact on this timer when the journal is not empty (default 60000, 0 = off)
+ *   lock?: boolean                     // take db.json.lock (default true)
+ * }} [opts]
+ */
+function createJsonStore(filePath, { upgrade, compactEvery = 500, compactIntervalMs = 60000, lock = true } = {}) {
+  const journalPath = filePath + ".journal";
+  const lockPath = filePath + ".lock";
+
+  let data = null;
+  let depth = 0;
+  let pending = []; // changes of the open transaction, in order
+  let seq = 0; // last journal sequence number applied
+  let journalEntries = 0; // entries in the journal file since the last compaction
+  let journalFd = null;
+  let timer = null;
+  let closed = false;
+
+  // secondary indexes
+  let emailByMessageId = new Map();
+  let emailIdsByThread = new Map();
+  let threadIdByKey = new Map();
+
+  const threadKey = (queryId, key) => `${queryId}\u0000${key}`;
+
+  function indexEmail(e) {
+    if (e.messageId) emailByMessageId.set(e.messageId, e.id);
+    if (e.threadId) {
+      if (!emailIdsByThread.has(e.threadId)) emailIdsByThread.set(e.threadId, new Set());
+      emailIdsByThread.get(e.threadId).add(e.id);
+    }
+  }
+
+  function unindexEmail(e) {
+    if (e.messageId && emailByMessageId.get(e.messageId) === e.id) emailByMessageId.delete(e.messageId);
+    emailIdsByThread.get(e.threadId)?.delete(e.id);
+  }
+
+  // -------- low-level mutations (shared by the repositories and journal replay) --------
+  function applyPut(collection, rec) {
+    const map = data[collection];
+    const prev = map.get(rec.id);
+    if (collection === "emails") {
+      if (prev) unindexEmail(prev);
+      indexEmail(rec);
+    } else if (collection === "threads") {
+      if (prev) threadIdByKey.delete(threadKey(prev.queryId, prev.key));
+      threadIdByKey.set(threadKey(rec.queryId, rec.key), rec.id);
+    }
+    map.set(rec.id, rec);
+  }
+
+  function applyRemove(collection, ids) {
+    const map = data[collection];
+    for (const id of ids) {
+      const prev = map.get(id);
+      if (!prev) continue;
+      if (collection === "emails") unindexEmail(prev);
+      else if (collection === "threads") threadIdByKey.delete(threadKey(prev.queryId, prev.key));
+      map.delete(id);
+    }
+  }
+
+  function applyChange(change) {
+    if (!COLLECTIONS.includes(change.c)) throw new Error(`unknown collection "${change.c}"`);
+    if (change.put) applyPut(change.c, change.put);
+    else if (change.remove) applyRemove(change.c, change.remove);
+  }
+
+  // -------- loading --------
+  function readSnapshot() {
+    if (!fs.existsSync(filePath)) {
+      return { raw: Object.fromEntries(COLLECTIONS.map((key) => [key, []])), fresh: true };
+    }
+    const text = fs.readFileSync(filePath, "utf-8");
+    let raw;
+    try {
+      raw = JSON.parse(text);
+      if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("not a JSON object");
+    } catch (e) {
+      const backup = keepCorruptCopy(filePath);
+      throw new CorruptStoreError(
+        `${filePath} is unreadable (${e.message}). Refusing to start so nothing is overwritten; ` +
+          `a copy was kept at ${backup}. Restore a good copy (or fix the file) and restart.`,
+        filePath,
+        backup
+      );
+    }
+    return { raw, fresh: false };
+  }
+
+  // Applies journal entries newer than the snapshot; returns how many entries the file holds.
+  function replayJournal() {
+    if (!fs.existsSync(journalPath)) return 0;
+    const text = fs.readFileSync(journalPath, "utf-8");
+    const lines = text.split("\n");
+    let offset = 0;
+    let entries = 0;
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const isLast = i === lines.length - 1 || (i === lines.length - 2 && lines[lines.length - 1] === "");
+      if (!line) {
+        offset += 1;
+        continue;
+      }
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        if (isLast) {
+          // torn append from a crash: the transaction never committed, drop it
+          fs.truncateSync(journalPath, offset);
+          console.warn(`Dropped an incomplete last entry from ${journalPath}`);
+          break;
+        }
+        const backup = keepCorruptCopy(journalPath);
+        throw new CorruptStoreError(
+          `${journalPath} has an unreadable entry at line ${i + 1} (${e.message}). Refusing to start; ` +
+            `a copy was kept at ${backup}.`,
+          journalPath,
+          backup
+        );
+      }
+      offset += Buffer.byteLength(line) + 1;
+      entries++;
+      if (entry.seq <= seq) continue;
+      for (const change of entry.changes || []) applyChange(change);
+      seq = entry.seq;
+    }
+    return entries;
+  }
+
+  function load() {
+    const { raw, fresh } = readSnapshot();
+    for (const key of COLLECTIONS) {
+      if (!Array.isArray(raw[key])) raw[key] = [];
+    }
+    const upgraded = upgrade ? upgrade(raw) : 0;
+
+    data = {};
+    for (const key of COLLECTIONS) data[key] = new Map(raw[key].map((r) => [r.id, r]));
+    seq = Number(raw.journalSeq) || 0;
+    emailByMessageId = new Map();
+    emailIdsByThread = new Map();
+    threadIdByKey = new Map();
+    for (const e of data.emails.values()) indexEmail(e);
+    for (const t of data.threads.values()) threadIdByKey.set(threadKey(t.queryId, t.key), t.id);
+
+    journalEntries = replayJournal();
+
+    if (fresh || upgraded || journalEntries) compact();
+    if (upgraded) console.log(`Upgraded ${upgraded} legacy db records`);
+  }
+
+  // -------- writing --------
+  function openJournal() {
+    if (journalFd === null) journalFd = fs.openSync(journalPath, "a");
+    return journalFd;
+  }
+
+  function appendJournal(changes) {
+    const entry = { seq: seq + 1, at: new Date().toISOString(), changes };
+    const fd = openJournal();
+    fs.writeSync(fd, JSON.stringify(entry) + "\n");
+    fs.fsyncSync(fd);
+    seq = entry.seq;
+    journalEntries++;
+  }
+
+  // Writes the in-memory state as the new snapshot and empties the journal.
+  function compact() {
+    const out = { journalSeq: seq };
+    for (const key of COLLECTIONS) out[key] = [...data[key].values()];
+    atomicWrite(filePath, JSON.stringify(out, null, 2));
+    // entries up to journalSeq are now in the snapshot, so a crash before the truncate is harmless
+    fs.writeFileSync(journalPath, "");
+    fsyncPath(journalPath);
+    journalEntries = 0;
+  }
+
+  function commit() {
+    if (!pending.length) return;
+    const changes = pending;
+    pending = [];
+    appendJournal(changes);
+    if (journalEntries >= compactEvery) compact();
+  }
+
+  function write(change) {
+    if (closed) throw new Error(`${filePath} store is closed`);
+    applyChange(change);
+    pending.push(change);
+    if (depth === 0) commit();
+  }
+
+  const copy = (r) => (r ? { ...r } : null);
+  const putter = (collection) => (rec) => write({ c: collection, put: { ...rec } });
+  const remover = (collection) => (ids) => write({ c: collection, remove: asList(ids) || [] });
+
+  const queries = {
+    list: () => [...data.queries.values()].map(copy),
+    get: (id) => copy(data.queries.get(id)),
+    put: putter("queries"),
+    remove: remover("queries")
+  };
+
+  const threads = {
+    list({ queryId, ids } = {}) {
+      const queryIds = asList(queryId);
+      let out;
+      if (ids) out = asList(ids).map((id) => data.threads.get(id)).filter(Boolean);
+      else out = [...data.threads.values()];
+      if (queryIds) out = out.filter((t) => queryIds.includes(t.queryId));
+      return out.map(copy);
+    },
+    get: (id) => copy(data.threads.get(id)),
+    findByKey: (queryId, key) => copy(data.threads.get(threadIdByKey.get(threadKey(queryId, key)))),
+    put: putter("threads"),
+    remove: remover("threads")
+  };
+
+  const emails = {
+    list({ threadId, queryId, after, before } = {}) {
+      const threadIds = asList(threadId);
+      const queryIds = asList(queryId);
+      let out;
+      if (threadIds) {
+        out = [];
+        for (const tid of threadIds) {
+          for (const id of emailIdsByThread.get(tid) || []) out.push(data.emails.get(id));
+        }
+      } else {
+        out = [...data.emails.values()];
+      }
+      return out
+        .filter((e) => e && (!queryIds || queryIds.includes(e.queryId)) && inWindow(e.sentAt, after, before))
+        .map(copy);
+    },
+    get: (id) => copy(data.emails.get(id)),
+    findByMessageId: (messageId) => copy(data.emails.get(emailByMessageId.get(messageId))),
+    put: putter("emails"),
+    remove: remover("emails")
+  };
+
+  const summaries = {
+    list({ threadId } = {}) {
+      const threadIds = asList(threadId);
+      return [...data.summaries.values()].filter((s) => !threadIds || threadIds.includes(s.threadId)).map(copy);
+    },
+    get: (id) => copy(data.summaries.get(id)),
+    put: putter("summaries"),
+    remove: remover("summaries")
+  };
+
+  const users = {
+    list: () => [...data.users.values()].map(copy),
+    get: (id) => copy(data.users.get(id)),
+    findByUsername: (username) => copy([...data.users.values()].find((u) => u.username === username)),
+    put: putter("users"),
+    remove: remover("users")
+  };
+
+  const sessions = {
+    list({ userId } = {}) {
+      const userIds = asList(userId);
+      return [...data.sessions.values()].filter((s) => !userIds || userIds.includes(s.userId)).map(copy);
+    },
+    get: (id) => copy(data.sessions.get(id)),
+    put: putter("sessions"),
+    remove: remover("sessions")
+  };
+
+  const alerts = {
+    list({ threadId } = {}) {
+      const threadIds = asList(threadId);
+      return [...data.alerts.values()].filter((a) => !threadIds || threadIds.includes(a.threadId)).map(copy);
+    },
+    get: (id) => copy(data.alerts.get(id)),
+    put: putter("alerts"),
+    remove: remover("alerts")
+  };
+
+  // Runs fn atomically: one journal entry on success; on error the store is reloaded, dropping partial changes.
+  function transaction(fn) {
+    depth++;
+    let result;
+    try {
+      result = fn();
+    } catch (e) {
+      depth--;
+      if (depth === 0) {
+        pending = [];
+        load();
+      }
+      throw e;
+    }
+    depth--;
+    if (depth === 0) commit();
+    return result;
+  }
+
+  function close() {
+    if (closed) return;
+    if (timer) clearInterval(timer);
+    if (journalEntries) compact();
+    if (journalFd !== null) fs.closeSync(journalFd);
+    journalFd = null;
+    closed = true;
+    if (lock) fs.rmSync(lockPath, { force: true });
+  }
+
+  if (lock) acquireLock(lockPath);
+  try {
+    load();
+  } catch (e) {
+    if (lock) fs.rmSync(lockPath, { force: true });
+    throw e;
+  }
+
+  if (compactIntervalMs > 0) {
+    timer = setInterval(() => {
+      if (journalEntries && depth === 0) compact();
+    }, compactIntervalMs);
+    timer.unref();
+  }
+
+  return {
+    kind: "json",
+    location: filePath,
+    queries,
+    threads,
+    emails,
+    summaries,
+    users,
+    sessions,
+    alerts,
+    transaction,
+    compact: () => {
+      if (depth === 0) compact();
+    },
+    close
+  };
+}
+
+module.exports = { createJsonStore, atomicWrite, CorruptStoreError };
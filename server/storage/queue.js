@@ -0,0 +1,28 @@
+/**
+ * Single-writer queue. Jobs run one at a time in arrival order, so an async
+ * read-modify-write (read, await something, write) cannot interleave with another.
+ */
+function createWriteQueue() {
+  let tail = Promise.resolve();
+  let waiting = 0;
+
+  // Runs job() after every earlier job has settled; resolves/rejects with its result.
+  function enqueue(job) {
+    waiting++;
+    const run = tail.then(() => job());
+    tail = run.then(
+      () => { waiting--; },
+      () => { waiting--; }
+    );
+    return run;
+  }
+
+  return {
+    enqueue,
+    get waiting() {
+      return waiting;
+    }
+  };
+}
+
+module.exports = { createWriteQueue };
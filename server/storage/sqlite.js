@@ -0,0 +1,251 @@
+/**
+ * Embedded SQLite storage adapter (node:sqlite, Node 22.5+).
+ * Each table keeps the full record as JSON in `data`; the columns next to it are
+ * copies of the fields we look up or range-scan by, so they can be indexed.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+
+CREATE TABLE IF NOT EXISTS queries (
+  id TEXT PRIMARY KEY,
+  created_at TEXT,
+  data TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS threads (
+  id TEXT PRIMARY KEY,
+  query_id TEXT,
+  key TEXT,
+  last_at TEXT,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS threads_query_key ON threads (query_id, key);
+CREATE INDEX IF NOT EXISTS threads_last_at ON threads (last_at);
+
+CREATE TABLE IF NOT EXISTS emails (
+  id TEXT PRIMARY KEY,
+  message_id TEXT,
+  thread_id TEXT,
+  query_id TEXT,
+  sent_at TEXT,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS emails_message_id ON emails (message_id);
+CREATE INDEX IF NOT EXISTS emails_thread_id ON emails (thread_id);
+CREATE INDEX IF NOT EXISTS emails_sent_at ON emails (sent_at);
+CREATE INDEX IF NOT EXISTS emails_query_id ON emails (query_id);
+
+CREATE TABLE IF NOT EXISTS summaries (
+  id TEXT PRIMARY KEY,
+  thread_id TEXT,
+  created_at TEXT,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS summaries_thread_id ON summaries (thread_id);
+
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  username TEXT,
+  data TEXT NOT NULL
+);
+CREATE UNIQUE INDEX IF NOT EXISTS users_username ON users (username);
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,
+  user_id TEXT,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS sessions_user_id ON sessions (user_id);
+
+CREATE TABLE IF NOT EXISTS alerts (
+  id TEXT PRIMARY KEY,
+  thread_id TEXT,
+  fired_at TEXT,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS alerts_thread_id ON alerts (thread_id);
+`;
+
+// node:sqlite's DatabaseSync; throws when this Node has none (before 22.5)
+function loadSqlite() {
+  try {
+    return require("node:sqlite").DatabaseSync;
+  } catch {
+    throw new Error(`STORAGE=sqlite needs Node 22.5+ (node:sqlite); this is Node ${process.versions.node}`);
+  }
+}
+
+function openDatabase(filePath) {
+  const DatabaseSync = loadSqlite();
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const db = new DatabaseSync(filePath);
+  db.exec("PRAGMA journal_mode = WAL; PRAGMA synchronous = NORMAL; PRAGMA busy_timeout = 5000;");
+  db.exec(SCHEMA);
+  db.prepare("INSERT OR IGNORE INTO meta (key, value) VALUES ('schemaVersion', ?)").run(String(SCHEMA_VERSION));
+  return db;
+}
+
+function asList(val) {
+  if (val === undefined || val === null) return null;
+  return Array.isArray(val) ? val : [val];
+}
+
+const parse = (row) => (row ? JSON.parse(row.data) : null);
+const iso = (d) => (d instanceof Date ? d.toISOString() : d);
+
+function createSqliteStore(filePath) {
+  const db = openDatabase(filePath);
+  const stmtCache = new Map();
+  const stmt = (sql) => {
+    let s = stmtCache.get(sql);
+    if (!s) {
+      s = db.prepare(sql);
+      stmtCache.set(sql, s);
+    }
+    return s;
+  };
+
+  // Builds "SELECT data FROM <table> WHERE ..." from optional clauses; list params are JSON arrays.
+  function select(table, clauses, order) {
+    const where = [];
+    const params = [];
+    for (const [sql, value] of clauses) {
+      if (value === undefined || value === null) continue;
+      where.push(sql);
+      params.push(value);
+    }
+    const sql = `SELECT data FROM ${table}${where.length ? " WHERE " + where.join(" AND ") : ""}${order ? " ORDER BY " + order : ""}`;
+    return stmt(sql).all(...params).map(parse);
+  }
+
+  const inList = (column) => `${column} IN (SELECT value FROM json_each(?))`;
+  const jsonList = (val) => {
+    const list = asList(val);
+    return list ? JSON.stringify(list) : null;
+  };
+
+  function removeIds(table, ids) {
+    const list = asList(ids);
+    if (!list || !list.length) return;
+    stmt(`DELETE FROM ${table} WHERE ${inList("id")}`).run(JSON.stringify(list));
+  }
+
+  const queries = {
+    list: () => select("queries", [], "rowid"),
+    get: (id) => parse(stmt("SELECT data FROM queries WHERE id = ?").get(id)),
+    put: (q) => {
+      stmt("INSERT OR REPLACE INTO queries (id, created_at, data) VALUES (?, ?, ?)")
+        .run(q.id, q.createdAt || null, JSON.stringify(q));
+    },
+    remove: (ids) => removeIds("queries", ids)
+  };
+
+  const threads = {
+    list: ({ queryId, ids } = {}) =>
+      select("threads", [[inList("id"), jsonList(ids)], [inList("query_id"), jsonList(queryId)]], "rowid"),
+    get: (id) => parse(stmt("SELECT data FROM threads WHERE id = ?").get(id)),
+    findByKey: (queryId, key) =>
+      parse(stmt("SELECT data FROM threads WHERE query_id = ? AND key = ? LIMIT 1").get(queryId, key)),
+    put: (t) => {
+      stmt("INSERT OR REPLACE INTO threads (id, query_id, key, last_at, data) VALUES (?, ?, ?, ?, ?)")
+        .run(t.id, t.queryId || null, t.key || null, t.lastAt || null, JSON.stringify(t));
+    },
+    remove: (ids) => removeIds("threads", ids)
+  };
+
+  const emails = {
+    list: ({ threadId, queryId, after, before } = {}) =>
+      select("emails", [
+        [inList("thread_id"), jsonList(threadId)],
+        [inList("query_id"), jsonList(queryId)],
+        ["sent_at >= ?", after ? iso(after) : null],
+        ["sent_at < ?", before ? iso(before) : null]
+      ], "rowid"),
+    get: (id) => parse(stmt("SELECT data FROM emails WHERE id = ?").get(id)),
+    findByMessageId: (messageId) =>
+      parse(stmt("SELECT data FROM emails WHERE message_id = ? LIMIT 1").get(messageId)),
+    put: (e) => {
+      stmt("INSERT OR REPLACE INTO emails (id, message_id, thread_id, query_id, sent_at, data) VALUES (?, ?, ?, ?, ?, ?)")
+        .run(e.id, e.messageId || null, e.threadId || null, e.queryId || null, e.sentAt || null, JSON.stringify(e));
+    },
+    remove: (ids) => removeIds("emails", ids)
+  };
+
+  const summaries = {
+    list: ({ threadId } = {}) => select("summaries", [[inList("thread_id"), jsonList(threadId)]], "rowid"),
+    get: (id) => parse(stmt("SELECT data FROM summaries WHERE id = ?").get(id)),
+    put: (s) => {
+      stmt("INSERT OR REPLACE INTO summaries (id, thread_id, created_at, data) VALUES (?, ?, ?, ?)")
+        .run(s.id, s.threadId || null, s.createdAt || null, JSON.stringify(s));
+    },
+    remove: (ids) => removeIds("summaries", ids)
+  };
+
+  const users = {
+    list: () => select("users", [], "rowid"),
+    get: (id) => parse(stmt("SELECT data FROM users WHERE id = ?").get(id)),
+    findByUsername: (username) => parse(stmt("SELECT data FROM users WHERE username = ?").get(username)),
+    put: (u) => {
+      stmt("INSERT OR REPLACE INTO users (id, username, data) VALUES (?, ?, ?)").run(u.id, u.username || null, JSON.stringify(u));
+    },
+    remove: (ids) => removeIds("users", ids)
+  };
+
+  const sessions = {
+    list: ({ userId } = {}) => select("sessions", [[inList("user_id"), jsonList(userId)]], "rowid"),
+    get: (id) => parse(stmt("SELECT data FROM sessions WHERE id = ?").get(id)),
+    put: (s) => {
+      stmt("INSERT OR REPLACE INTO sessions (id, user_id, data) VALUES (?, ?, ?)").run(s.id, s.userId || null, JSON.stringify(s));
+    },
+    remove: (ids) => removeIds("sessions", ids)
+  };
+
+  const alerts = {
+    list: ({ threadId } = {}) => select("alerts", [[inList("thread_id"), jsonList(threadId)]], "rowid"),
+    get: (id) => parse(stmt("SELECT data FROM alerts WHERE id = ?").get(id)),
+    put: (a) => {
+      stmt("INSERT OR REPLACE INTO alerts (id, thread_id, fired_at, data) VALUES (?, ?, ?, ?)")
+        .run(a.id, a.threadId || null, a.firedAt || null, JSON.stringify(a));
+    },
+    remove: (ids) => removeIds("alerts", ids)
+  };
+
+  let depth = 0;
+  function transaction(fn) {
+    if (depth > 0) return fn();
+    depth++;
+    db.exec("BEGIN IMMEDIATE");
+    try {
+      const result = fn();
+      db.exec("COMMIT");
+      return result;
+    } catch (e) {
+      db.exec("ROLLBACK");
+      throw e;
+    } finally {
+      depth--;
+    }
+  }
+
+  return {
+    kind: "sqlite",
+    location: filePath,
+    queries,
+    threads,
+    emails,
+    summaries,
+    users,
+    sessions,
+    alerts,
+    transaction,
+    close: () => db.close()
+  };
+}
+
+module.exports = { createSqliteStore, loadSqlite, SCHEMA_VERSION };
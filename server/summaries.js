@@ -0,0 +1,106 @@
+/**
+ * Persisted thread summaries.
+ * Every generated summary is stored as a new version (the older ones stay as history) together with
+ * the provider that wrote it and a hash of the message set it was generated from. When the thread's
+ * messages change the hash no longer matches and the latest summary is reported as stale.
+ */
+const { stableHash, fetchFn, safeJsonParse, makeId } = require("./util");
+const { basicSummaryFromEmails } = require("./compute");
+const { ZAPIER_SUMMARY_HOOK_URL } = require("./config");
+const { signedHeaders } = require("./webhooks");
+
+// Order-independent fingerprint of the messages in a thread.
+function messageSetHash(emails) {
+  const ids = emails.map((e) => e.messageId || e.id).sort();
+  return stableHash(ids.join("\n"));
+}
+
+// All versions of a thread's summary, newest first.
+function summaryHistory(store, threadId) {
+  return store.summaries.list({ threadId }).sort((a, b) => (b.version || 0) - (a.version || 0));
+}
+
+/**
+ * Latest summary of a thread with freshness info, or null when none was generated yet.
+ * `stale` is true when the thread's messages differ from the ones the summary was generated from.
+ */
+function currentSummary(store, thread, emails) {
+  const [latest] = summaryHistory(store, thread.id);
+  if (!latest) return null;
+  const stale = latest.messageSetHash !== messageSetHash(emails);
+  return { ...latest, stale, currentMessageCount: emails.length };
+}
+
+/**
+ * Produce summary text for a thread: the Zapier summary hook when configured, else the local summary.
+ * Resolves { provider, summary, actionItems }; throws with `status` 502 when the hook answers with an error.
+ */
+async function generateSummary(thread, emails) {
+  if (!ZAPIER_SUMMARY_HOOK_URL) return { provider: "local", ...basicSummaryFromEmails(emails) };
+
+  const body = JSON.stringify({ threadId: thread.id, subject: thread.subject, messages: emails });
+  const r = await fetchFn(ZAPIER_SUMMARY_HOOK_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...signedHeaders(body) },
+    body
+  });
+  const text = await r.text();
+  if (!r.ok) {
+    const err = new Error("Zapier summary hook failed");
+    err.status = 502;
+    err.detail = text.slice(0, 300);
+    throw err;
+  }
+  // Expect Zapier to return JSON { summary: "...", actionItems: [] } or plain text; handle both
+  const maybeJson = safeJsonParse(text);
+  return {
+    provider: "zapier",
+    summary: maybeJson?.summary || text,
+    actionItems: Array.isArray(maybeJson?.actionItems) ? maybeJson.actionItems : []
+  };
+}
+
+// Store a generated summary as the thread's next version. Run inside store.transaction()/write().
+function saveSummary(store, thread, emails, { provider, summary, actionItems }) {
+  const [latest] = summaryHistory(store, thread.id);
+  const record = {
+    id: makeId("s"),
+    threadId: thread.id,
+    version: (latest?.version || 0) + 1,
+    provider,
+    createdAt: new Date().toISOString(),
+    messageSetHash: messageSetHash(emails),
+    messageCount: emails.length,
+    lastMessageAt: emails.length ? emails[emails.length - 1].sentAt : null,
+    summary,
+    actionItems: actionItems || []
+  };
+  store.summaries.put(record);
+  return record;
+}
+
+/**
+ * Regenerates the summaries of threads whose messages changed under them (merge, split, move).
+ * A thread gets a new version when its latest one is stale, or, with `always`, when it has none
+ * yet (the part split off a summarized thread). Resolves { regenerated: [threadId], failed: [{ threadId, error }] }.
+ */
+async function refreshSummaries(store, threadIds, { always = false } = {}) {
+  const out = { regenerated: [], failed: [] };
+  for (const threadId of threadIds) {
+    const thread = store.threads.get(threadId);
+    if (!thread) continue;
+    const emails = store.emails.list({ threadId }).sort((a, b) => (a.sentAt || "").localeCompare(b.sentAt || ""));
+    const current = currentSummary(store, thread, emails);
+    if (current ? !current.stale : !always) continue;
+    try {
+      const generated = await generateSummary(thread, emails);
+      const saved = await store.write(() => (store.threads.get(threadId) ? saveSummary(store, thread, emails, generated) : null));
+      if (saved) out.regenerated.push(threadId);
+    } catch (e) {
+      out.failed.push({ threadId, error: String(e?.message || e) });
+    }
+  }
+  return out;
+}
+
+module.exports = { messageSetHash, summaryHistory, currentSummary, generateSummary, saveSummary, refreshSummaries };
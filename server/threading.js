@@ -0,0 +1,147 @@
+/**
+ * Reply threading from In-Reply-To / References headers, after JWZ (https://www.jwz.org/doc/threading.html).
+ *
+ * At ingestion an incoming message joins, in order of trust:
+ *   1. headers: the thread of a stored message it replies to, that replies to it, or that shares an
+ *      ancestor with it (a parent that has not arrived yet). A message that links two threads merges them.
+ *   2. the thread of a stored message with the same conversationId (Outlook / Graph)
+ *   3. the thread key from threadKeyFor() in compute.js. A message whose source sends reply headers
+ *      (the fields are present, even empty) but has none starts its own thread; subject + participants
+ *      only group messages from sources without header fields or conversationId
+ * Threads never span queries. The reply tree of one thread is rebuilt at read time by replyTree(), so a
+ * parent that arrives after its replies still ends up above them.
+ */
+
+// "<abc@host>" / " abc@host " -> "abc@host"
+function normalizeMessageId(id) {
+  return String(id || "").trim().replace(/^<+|>+$/g, "").trim();
+}
+
+// Message-id list from an array, a header value ("<a> <b>") or a space/comma separated string.
+function parseIdList(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.map(normalizeMessageId).filter(Boolean);
+  const s = String(value);
+  const bracketed = s.match(/<[^>]+>/g);
+  return (bracketed || s.split(/[\s,]+/)).map(normalizeMessageId).filter(Boolean);
+}
+
+/**
+ * Ancestors named by an email's headers, oldest first (References, then In-Reply-To if it is not
+ * already the last one). Works on incoming payloads and stored emails alike.
+ */
+function referencesOf(email) {
+  const own = normalizeMessageId(email.messageId);
+  const refs = parseIdList(email.references);
+  const inReplyTo = parseIdList(email.inReplyTo)[0];
+  if (inReplyTo && refs[refs.length - 1] !== inReplyTo) refs.push(inReplyTo);
+  const seen = new Set();
+  return refs.filter((id) => id !== own && !seen.has(id) && seen.add(id));
+}
+
+/**
+ * In-memory lookup of one query's stored emails for linking a batch of new ones:
+ * message id, referenced id and conversationId -> thread id. Built once per batch.
+ */
+function createThreadIndex(store, queryId) {
+  const byMessageId = new Map();
+  const byReference = new Map(); // referenced id -> Set of thread ids whose messages reference it
+  const byConversation = new Map();
+
+  function add(email) {
+    if (!email.threadId) return;
+    if (email.messageId) byMessageId.set(normalizeMessageId(email.messageId), email.threadId);
+    if (email.conversationId && !byConversation.has(email.conversationId)) byConversation.set(email.conversationId, email.threadId);
+    for (const ref of referencesOf(email)) {
+      if (!byReference.has(ref)) byReference.set(ref, new Set());
+      byReference.get(ref).add(email.threadId);
+    }
+  }
+
+  for (const email of store.emails.list({ queryId })) add(email);
+
+  return {
+    add,
+
+    // Threads the headers tie this message to (parents first): ancestors, replies, siblings under a missing parent
+    linkedThreads(messageId, refs) {
+      const out = new Set();
+      for (let i = refs.length - 1; i >= 0; i--) {
+        if (byMessageId.has(refs[i])) out.add(byMessageId.get(refs[i]));
+      }
+      for (const id of [messageId, ...refs]) {
+        for (const threadId of byReference.get(id) || []) out.add(threadId);
+      }
+      return [...out];
+    },
+
+    conversationThread: (conversationId) => (conversationId ? byConversation.get(conversationId) || null : null),
+
+    // After threads `fromIds` were merged into `toId`
+    moved(fromIds, toId) {
+      const from = new Set(fromIds);
+      for (const map of [byMessageId, byConversation]) {
+        for (const [k, v] of map) if (from.has(v)) map.set(k, toId);
+      }
+      for (const set of byReference.values()) {
+        if (fromIds.some((id) => set.delete(id))) set.add(toId);
+      }
+    }
+  };
+}
+
+/**
+ * Parent/child structure of one thread's emails. Missing messages (referenced but never harvested)
+ * are skipped over, so their replies hang off the nearest ancestor that is present, or become roots.
+ * Returns { tree: [{ id, children: [...] }] (roots and children by sentAt), parentOf: Map email id -> parent id | null }.
+ */
+function replyTree(emails) {
+  const containers = new Map(); // message id -> { email, parent }
+  const box = (id) => {
+    if (!containers.has(id)) containers.set(id, { email: null, parent: null });
+    return containers.get(id);
+  };
+  const isAncestor = (a, c) => {
+    for (let p = c; p; p = p.parent) if (p === a) return true;
+    return false;
+  };
+  const keyOf = (e) => normalizeMessageId(e.messageId) || `id:${e.id}`;
+
+  for (const e of emails) box(keyOf(e)).email = e;
+
+  // every References chain links its ids, without overriding a parent already known or making a loop
+  for (const e of emails) {
+    let prev = null;
+    for (const id of referencesOf(e)) {
+      const c = box(id);
+      if (prev && !c.parent && !isAncestor(c, prev)) c.parent = prev;
+      prev = c;
+    }
+  }
+  // a message's own last reference is authoritative for its parent
+  for (const e of emails) {
+    const self = containers.get(keyOf(e));
+    const refs = referencesOf(e);
+    const parent = refs.length ? containers.get(refs[refs.length - 1]) : null;
+    if (parent && !isAncestor(self, parent)) self.parent = parent;
+    else if (!refs.length) self.parent = null;
+  }
+
+  const parentOf = new Map();
+  const nodes = new Map(emails.map((e) => [e.id, { id: e.id, children: [] }]));
+  const roots = [];
+  const sentOf = new Map(emails.map((e) => [e.id, e.sentAt]));
+  const bySent = (a, b) => new Date(sentOf.get(a.id)) - new Date(sentOf.get(b.id));
+  for (const e of emails) {
+    let p = containers.get(keyOf(e)).parent;
+    while (p && !p.email) p = p.parent;
+    const parentId = p ? p.email.id : null;
+    parentOf.set(e.id, parentId);
+    (parentId ? nodes.get(parentId).children : roots).push(nodes.get(e.id));
+  }
+  for (const node of nodes.values()) node.children.sort(bySent);
+  roots.sort(bySent);
+  return { tree: roots, parentOf };
+}
+
+module.exports = { normalizeMessageId, parseIdList, referencesOf, createThreadIndex, replyTree };
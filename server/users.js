@@ -0,0 +1,85 @@
+/**
+ * Manage user accounts from the command line (e.g. to create the first admin).
+ *
+ *   node server/users.js list
+ *   node server/users.js add <username> [--role admin|analyst|viewer] [--name "Full Name"]
+ *   node server/users.js passwd <username>
+ *   node server/users.js role <username> <role>
+ *
+ * Passwords are read from USER_PASSWORD, or from the first line of stdin.
+ * Uses the configured storage (STORAGE, DB_PATH, SQLITE_PATH). With db.json, stop the server first:
+ * only one process may write the file.
+ */
+const readline = require("readline");
+const { getStore } = require("./storage");
+const { ROLES, buildUser, hashPassword, passwordProblem, normalizeUsername } = require("./auth");
+
+function parseArgs(argv) {
+  const args = { positional: [], role: "viewer", name: "" };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--role") args.role = argv[++i];
+    else if (argv[i] === "--name") args.name = argv[++i];
+    else args.positional.push(argv[i]);
+  }
+  return args;
+}
+
+async function readPassword() {
+  if (process.env.USER_PASSWORD) return process.env.USER_PASSWORD;
+  if (process.stdin.isTTY) process.stdout.write("Password: ");
+  const rl = readline.createInterface({ input: process.stdin });
+  for await (const line of rl) {
+    rl.close();
+    return line;
+  }
+  return "";
+}
+
+function findUser(store, username) {
+  const user = store.users.findByUsername(normalizeUsername(username));
+  if (!user) throw new Error(`No user "${username}"`);
+  return user;
+}
+
+async function main(argv) {
+  const { positional, role, name } = parseArgs(argv);
+  const [command, username, arg] = positional;
+  const store = getStore();
+  try {
+    if (command === "list") {
+      for (const u of store.users.list()) {
+        console.log(`${u.username.padEnd(24)} ${u.role.padEnd(8)} ${u.disabled ? "disabled" : ""}${u.name ? ` ${u.name}` : ""}`);
+      }
+    } else if (command === "add" && username) {
+      const user = await buildUser(store, { username, role, name, password: await readPassword() });
+      await store.write(() => store.users.put(user));
+      console.log(`Added ${user.role} "${user.username}"`);
+    } else if (command === "passwd" && username) {
+      const user = findUser(store, username);
+      const password = await readPassword();
+      const problem = passwordProblem(password);
+      if (problem) throw new Error(problem);
+      const passwordHash = await hashPassword(password);
+      await store.write(() => {
+        store.users.put({ ...user, passwordHash, updatedAt: new Date().toISOString() });
+        store.sessions.remove(store.sessions.list({ userId: user.id }).map((s) => s.id));
+      });
+      console.log(`Password changed for "${user.username}"; their sessions were ended`);
+    } else if (command === "role" && username && ROLES.includes(arg)) {
+      const user = findUser(store, username);
+      await store.write(() => store.users.put({ ...user, role: arg, updatedAt: new Date().toISOString() }));
+      console.log(`"${user.username}" is now ${arg}`);
+    } else {
+      throw new Error(`usage: node server/users.js list | add <username> [--role ${ROLES.join("|")}] [--name ...] | passwd <username> | role <username> <role>`);
+    }
+  } finally {
+    store.close();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((e) => {
+    console.error(e.message);
+    process.exitCode = 1;
+  });
+}
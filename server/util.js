@@ -43,6 +43,27 @@ function pickParticipants(email) {
   return Array.from(new Set(list)).filter(Boolean).sort();
 }
 
+// Nearest-rank percentile over an ascending array of numbers (p in 0..100).
+function percentile(sortedValues, p) {
+  if (!sortedValues.length) return null;
+  const rank = Math.ceil((p / 100) * sortedValues.length);
+  return sortedValues[Math.min(sortedValues.length, Math.max(1, rank)) - 1];
+}
+
+function makeId(prefix = "id") {
+  return `${prefix}_${Date.now()}_${Math.random().toString(16).slice(2)}`;
+}
+
+function safeJsonParse(s) {
+  try { return JSON.parse(s); } catch { return null; }
+}
+
+// Node 18+ has global fetch; for older runtimes, you can install node-fetch.
+const fetchFn =
+  typeof fetch === "function"
+    ? fetch
+    : (...args) => import("node-fetch").then(({ default: f }) => f(...args));
+
 module.exports = {
   safeEmail,
   domainOf,
@@ -50,4 +71,8 @@ module.exports = {
   stableHash,
   parseIsoDate,
   pickParticipants,
+  percentile,
+  makeId,
+  safeJsonParse,
+  fetchFn,
 };
@@ -0,0 +1,119 @@
+/**
+ * HMAC-SHA256 webhook signing, for callbacks into the app and for the app's calls to outside hooks.
+ *
+ * A signed request carries:
+ *   X-Webhook-Id         unique id per delivery (the replay nonce)
+ *   X-Webhook-Timestamp  unix seconds
+ *   X-Webhook-Signature  "sha256=<hex>" of HMAC(secret, `${id}.${timestamp}.${rawBody}`);
+ *                        several space-separated signatures are allowed (one per secret during rotation)
+ *
+ * Incoming: verifyWebhook() accepts a signature made with INCOMING_WEBHOOK_SECRET or
+ * INCOMING_WEBHOOK_SECRET_PREVIOUS, rejects timestamps more than WEBHOOK_TOLERANCE_SECONDS away and
+ * ids seen within that window. The old plain X-Webhook-Secret header only works with
+ * WEBHOOK_ALLOW_PLAIN_SECRET=1; without any secret configured the endpoint refuses every call unless
+ * WEBHOOK_ALLOW_UNSIGNED=1 (local development).
+ *
+ * Outgoing: signedHeaders(body) signs with OUTBOUND_WEBHOOK_SECRET (and _PREVIOUS), which default to
+ * the incoming secrets.
+ */
+const crypto = require("crypto");
+const {
+  INCOMING_WEBHOOK_SECRET,
+  INCOMING_WEBHOOK_SECRET_PREVIOUS,
+  OUTBOUND_WEBHOOK_SECRET,
+  OUTBOUND_WEBHOOK_SECRET_PREVIOUS
+} = require("./config");
+
+const WEBHOOK_TOLERANCE_SECONDS = Number(process.env.WEBHOOK_TOLERANCE_SECONDS || 300);
+const WEBHOOK_ALLOW_PLAIN_SECRET = process.env.WEBHOOK_ALLOW_PLAIN_SECRET === "1";
+const WEBHOOK_ALLOW_UNSIGNED = process.env.WEBHOOK_ALLOW_UNSIGNED === "1";
+const MAX_NONCES = 100000;
+
+const incomingSecrets = [INCOMING_WEBHOOK_SECRET, INCOMING_WEBHOOK_SECRET_PREVIOUS].filter(Boolean);
+const outboundSecrets = [OUTBOUND_WEBHOOK_SECRET, OUTBOUND_WEBHOOK_SECRET_PREVIOUS].filter(Boolean);
+
+function sign(secret, id, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${id}.${timestamp}.`).update(body).digest("hex");
+}
+
+// Constant-time string comparison (hashing first so unequal lengths take the same path)
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+/**
+ * Headers for an outgoing request whose body is exactly `body` (string or Buffer).
+ * Empty when no outbound secret is configured.
+ */
+function signedHeaders(body, now = Date.now()) {
+  if (!outboundSecrets.length) return {};
+  const id = `wh_${crypto.randomUUID()}`;
+  const timestamp = String(Math.floor(now / 1000));
+  const signature = outboundSecrets.map((s) => `sha256=${sign(s, id, timestamp, body)}`).join(" ");
+  return { "X-Webhook-Id": id, "X-Webhook-Timestamp": timestamp, "X-Webhook-Signature": signature };
+}
+
+// -------- replay cache: id -> expiry (ms) --------
+const seen = new Map();
+
+function pruneNonces(now) {
+  for (const [id, expires] of seen) {
+    if (expires > now && seen.size < MAX_NONCES) break; // insertion order ~ expiry order
+    seen.delete(id);
+  }
+}
+
+/**
+ * Checks a request against the incoming secrets. `rawBody` is the exact request body.
+ * Returns null when it is acceptable, else { status, error }.
+ */
+function checkRequest({ id, timestamp, signature, plainSecret, rawBody }, now = Date.now()) {
+  if (!incomingSecrets.length) {
+    if (WEBHOOK_ALLOW_UNSIGNED) return null;
+    return { status: 503, error: "Webhook secret not configured (set INCOMING_WEBHOOK_SECRET)." };
+  }
+
+  if (!signature) {
+    if (plainSecret && WEBHOOK_ALLOW_PLAIN_SECRET) {
+      return incomingSecrets.some((s) => safeEqual(plainSecret, s)) ? null : { status: 401, error: "Unauthorized (bad webhook secret)." };
+    }
+    return { status: 401, error: "Unauthorized (missing X-Webhook-Signature)." };
+  }
+
+  const ts = Number(timestamp);
+  if (!timestamp || !Number.isInteger(ts)) return { status: 401, error: "Unauthorized (missing or invalid X-Webhook-Timestamp)." };
+  if (Math.abs(now / 1000 - ts) > WEBHOOK_TOLERANCE_SECONDS) return { status: 401, error: "Unauthorized (stale X-Webhook-Timestamp)." };
+  if (!id || id.length > 200) return { status: 401, error: "Unauthorized (missing X-Webhook-Id)." };
+
+  const body = rawBody || Buffer.alloc(0);
+  const provided = signature.split(/\s+/).map((s) => s.replace(/^sha256=/, "")).filter(Boolean);
+  const valid = incomingSecrets.some((secret) => {
+    const expected = sign(secret, id, timestamp, body);
+    return provided.some((p) => safeEqual(p, expected));
+  });
+  if (!valid) return { status: 401, error: "Unauthorized (bad webhook signature)." };
+
+  pruneNonces(now);
+  if (seen.has(id)) return { status: 409, error: "Replayed webhook (X-Webhook-Id already used)." };
+  seen.set(id, now + 2 * WEBHOOK_TOLERANCE_SECONDS * 1000);
+  return null;
+}
+
+// Express middleware for routes that receive webhooks; needs req.rawBody (see the body parsers in server.js).
+function verifyWebhook() {
+  return (req, res, next) => {
+    const failure = checkRequest({
+      id: req.header("X-Webhook-Id") || "",
+      timestamp: req.header("X-Webhook-Timestamp") || "",
+      signature: req.header("X-Webhook-Signature") || "",
+      plainSecret: req.header("X-Webhook-Secret") || "",
+      rawBody: req.rawBody
+    });
+    if (failure) return res.status(failure.status).json({ ok: false, error: failure.error });
+    next();
+  };
+}
+
+module.exports = { signedHeaders, verifyWebhook, checkRequest, sign };